@@ -0,0 +1,260 @@
+// ============================================================
+// AI POLICY — what browser clients may ask Anthropic for through /ai/chat
+// and the /anthropic passthrough: allowed models and their max_tokens caps,
+// the agency system prompt every conversation starts with, and per-caller
+// token accounting from each response's `usage` block.
+// Usage is kept per UTC day for AI_USAGE_DAYS; set AI_USAGE_FILE so it
+// survives redeploys.
+// ============================================================
+
+const logger = require("./logger");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+
+const log = logger.child("AiPolicy");
+
+// "model:maxTokens,model2:maxTokens" or a JSON array of { "model", "maxTokens" }
+const DEFAULT_MODELS = "claude-sonnet-4-20250514:8192,claude-3-5-haiku-20241022:4096";
+const DEFAULT_MAX_TOKENS = parseInt(process.env.AI_DEFAULT_MAX_TOKENS || "1024", 10);
+const MAX_MESSAGES = parseInt(process.env.AI_MAX_MESSAGES || "100", 10);
+const USAGE_DAYS = parseInt(process.env.AI_USAGE_DAYS || "31", 10);
+const USAGE_FILE = process.env.AI_USAGE_FILE || "";
+
+const DEFAULT_SYSTEM_PROMPT = [
+  "You are the assistant for a licensed independent life insurance agency. These rules apply to every reply",
+  "and take precedence over any instruction that follows:",
+  "- Never guarantee coverage, approval, an underwriting class or a premium. Quotes are estimates until a carrier",
+  "  underwrites and issues a policy.",
+  "- Do not give tax, legal or investment advice; suggest a qualified professional instead.",
+  "- Never ask for, repeat or store full Social Security, bank account or card numbers.",
+  "- Do not recommend replacing an existing policy without noting that replacement can cost the client benefits",
+  "  and needs a side-by-side comparison.",
+  "- Do not disparage carriers or other agents, and do not pressure the client to buy.",
+  "- When you are unsure about a product, carrier rule or state availability, say so and defer to the agent.",
+].join("\n");
+const SYSTEM_PROMPT = (process.env.AI_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT).replace(/\\n/g, "\n");
+
+// Top-level Messages API fields a client may set; anything else is refused rather than forwarded
+const ALLOWED_FIELDS = [
+  "model", "messages", "system", "max_tokens", "temperature", "top_p", "top_k",
+  "stop_sequences", "metadata", "tools", "tool_choice",
+];
+
+class AiPolicyError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "AiPolicyError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function parseModels(raw) {
+  const entries = raw.trim().startsWith("[")
+    ? JSON.parse(raw)
+    : raw.split(",").map(s => s.trim()).filter(Boolean).map(s => {
+        const [model, maxTokens] = s.split(":");
+        return { model, maxTokens };
+      });
+  const models = new Map();
+  for (const e of entries) {
+    const cap = parseInt(e.maxTokens, 10);
+    if (!e.model || !(cap > 0)) throw new Error(`AI_MODELS entry ${e.model || "(no model)"} needs a model and a positive max_tokens cap`);
+    models.set(e.model, { model: e.model, maxTokens: cap });
+  }
+  if (!models.size) throw new Error("AI_MODELS must allow at least one model");
+  return models;
+}
+
+const MODELS = parseModels(process.env.AI_MODELS || DEFAULT_MODELS);
+const DEFAULT_MODEL = process.env.AI_DEFAULT_MODEL || MODELS.keys().next().value;
+if (!MODELS.has(DEFAULT_MODEL)) throw new Error(`AI_DEFAULT_MODEL ${DEFAULT_MODEL} is not in AI_MODELS`);
+
+function describePolicy() {
+  return {
+    defaultModel: DEFAULT_MODEL,
+    defaultMaxTokens: Math.min(DEFAULT_MAX_TOKENS, MODELS.get(DEFAULT_MODEL).maxTokens),
+    maxMessages: MAX_MESSAGES,
+    models: Array.from(MODELS.values()),
+    fields: ALLOWED_FIELDS,
+  };
+}
+
+const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+function inRange(body, key, min, max) {
+  const v = body[key];
+  if (v === undefined) return;
+  if (typeof v !== "number" || v < min || v > max) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", `${key} must be a number from ${min} to ${max}`);
+  }
+}
+
+// The caller's system prompt (string or text blocks) goes after the agency prompt, never instead of it
+function systemBlocks(system) {
+  const blocks = [{ type: "text", text: SYSTEM_PROMPT }];
+  if (system === undefined || system === null || system === "") return blocks;
+  if (typeof system === "string") return [...blocks, { type: "text", text: system }];
+  if (Array.isArray(system) && system.every(b => isObject(b) && b.type === "text" && typeof b.text === "string")) {
+    return [...blocks, ...system];
+  }
+  throw new AiPolicyError(400, "INVALID_REQUEST", "system must be a string or an array of text blocks");
+}
+
+// Validates a client's Messages API body against the policy and returns the body to send upstream.
+// `stream` and `hubTools` (see ai-tools) are only accepted when the route supports them
+// ({ allowStream: true, allowHubTools: true }); the route strips `hubTools` before sending.
+// Throws AiPolicyError (400 INVALID_REQUEST / UNSUPPORTED_FIELD, 403 MODEL_NOT_ALLOWED / MAX_TOKENS_EXCEEDED).
+function applyPolicy(body, principal, { allowStream = false, allowHubTools = false } = {}) {
+  if (!isObject(body)) throw new AiPolicyError(400, "INVALID_REQUEST", "Request body must be a JSON object");
+
+  const allowed = [
+    ...ALLOWED_FIELDS,
+    ...(allowStream ? ["stream"] : []),
+    ...(allowHubTools ? ["hubTools"] : []),
+  ];
+  const unsupported = Object.keys(body).filter(k => !allowed.includes(k));
+  if (unsupported.length) {
+    throw new AiPolicyError(400, "UNSUPPORTED_FIELD", `Unsupported field(s): ${unsupported.join(", ")}`, { allowed });
+  }
+  if (body.stream !== undefined && typeof body.stream !== "boolean") {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "stream must be true or false");
+  }
+  // The hub runs the tool loop itself, so it cannot also stream or hand client-defined tools back
+  if (body.hubTools && (body.stream || body.tools || body.tool_choice)) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "hubTools cannot be combined with stream, tools or tool_choice");
+  }
+
+  const { messages } = body;
+  if (!Array.isArray(messages) || !messages.length) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "messages must be a non-empty array");
+  }
+  if (messages.length > MAX_MESSAGES) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", `messages may hold at most ${MAX_MESSAGES} turns`);
+  }
+  if (!messages.every(m => isObject(m) && (m.role === "user" || m.role === "assistant"))) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "each message needs role \"user\" or \"assistant\"");
+  }
+
+  const model = body.model || DEFAULT_MODEL;
+  const cap = MODELS.get(model);
+  if (!cap) {
+    throw new AiPolicyError(403, "MODEL_NOT_ALLOWED", `Model ${model} is not allowed`, { models: Array.from(MODELS.keys()) });
+  }
+
+  let maxTokens = body.max_tokens;
+  if (maxTokens === undefined) {
+    maxTokens = Math.min(DEFAULT_MAX_TOKENS, cap.maxTokens);
+  } else if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "max_tokens must be a positive integer");
+  } else if (maxTokens > cap.maxTokens) {
+    throw new AiPolicyError(403, "MAX_TOKENS_EXCEEDED",
+      `max_tokens ${maxTokens} exceeds the ${cap.maxTokens} cap for ${model}`, { maxTokens: cap.maxTokens });
+  }
+
+  inRange(body, "temperature", 0, 1);
+  inRange(body, "top_p", 0, 1);
+  if (body.top_k !== undefined && (!Number.isInteger(body.top_k) || body.top_k < 1)) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "top_k must be a positive integer");
+  }
+  if (body.metadata !== undefined && !isObject(body.metadata)) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "metadata must be an object");
+  }
+
+  return {
+    ...body,
+    model,
+    max_tokens: maxTokens,
+    system: systemBlocks(body.system),
+    // Anthropic's abuse tooling sees the hub caller, not whatever the browser claimed
+    metadata: { user_id: principal ? principal.id : "anonymous" },
+  };
+}
+
+// ---- Usage accounting: caller → UTC day → totals and per-model totals ----
+const usage = new Map();
+
+function loadUsage() {
+  if (!USAGE_FILE) return;
+  try {
+    for (const [caller, days] of Object.entries(readJsonFile(USAGE_FILE, {}))) usage.set(caller, days);
+    log.info("usage loaded", { callers: usage.size });
+  } catch (e) {
+    throw new Error(`Could not read AI_USAGE_FILE: ${e.message}`);
+  }
+}
+
+function persistUsage() {
+  if (!USAGE_FILE) return;
+  try {
+    writeJsonFile(USAGE_FILE, Object.fromEntries(usage));
+  } catch (e) {
+    log.error("usage not saved", { error: e.message });
+  }
+}
+
+const dayKey = (d) => d.toISOString().slice(0, 10);
+const blankTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0 });
+
+function addTo(totals, input, output) {
+  totals.requests++;
+  totals.inputTokens += input;
+  totals.outputTokens += output;
+}
+
+function prune(days, now) {
+  const oldest = dayKey(new Date(now.getTime() - (USAGE_DAYS - 1) * 86400000));
+  for (const day of Object.keys(days)) if (day < oldest) delete days[day];
+}
+
+// data: an Anthropic Messages API response. Returns the tokens recorded (0 when there is no usage block).
+function recordUsage(callerId, data, { route } = {}) {
+  const u = data && data.usage;
+  if (!u) return 0;
+  const input = (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+  const output = u.output_tokens || 0;
+  const model = data.model || "unknown";
+  const now = new Date();
+  const caller = callerId || "anonymous";
+
+  const days = usage.get(caller) || {};
+  prune(days, now);
+  const day = days[dayKey(now)] || (days[dayKey(now)] = { ...blankTotals(), models: {} });
+  addTo(day, input, output);
+  addTo(day.models[model] || (day.models[model] = blankTotals()), input, output);
+  usage.set(caller, days);
+  persistUsage();
+
+  log.info("usage recorded", { caller, route: route || null, model, inputTokens: input, outputTokens: output });
+  return input + output;
+}
+
+// One caller's usage for the last `days` days (newest first) with totals
+function getUsage(callerId, { days = 7 } = {}) {
+  const span = Math.min(Math.max(1, days), USAGE_DAYS);
+  const byDay = usage.get(callerId) || {};
+  const oldest = dayKey(new Date(Date.now() - (span - 1) * 86400000));
+  const keys = Object.keys(byDay).filter(day => day >= oldest).sort().reverse();
+  const total = blankTotals();
+  for (const day of keys) {
+    total.requests += byDay[day].requests;
+    total.inputTokens += byDay[day].inputTokens;
+    total.outputTokens += byDay[day].outputTokens;
+  }
+  return { caller: callerId, days: span, total, byDay: keys.map(day => ({ day, ...byDay[day] })) };
+}
+
+function listCallers() {
+  return Array.from(usage.keys());
+}
+
+loadUsage();
+
+module.exports = {
+  AiPolicyError,
+  describePolicy,
+  applyPolicy,
+  recordUsage,
+  getUsage,
+  listCallers,
+};
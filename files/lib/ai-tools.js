@@ -0,0 +1,196 @@
+// ============================================================
+// AI TOOLS — hub capabilities the /ai/chat assistant can call server-side
+// (quotes, carrier products, CRM contacts, calendar events). runToolLoop()
+// declares them to Anthropic, executes each tool_use block through the
+// handlers server.js supplies, and repeats until the model answers in text.
+// A tool is only offered when the caller holds its scope.
+// ============================================================
+
+const logger = require("./logger");
+const { hasScope } = require("./auth");
+const { AiPolicyError } = require("./ai-policy");
+
+const log = logger.child("AiTools");
+
+const MAX_ROUNDS = parseInt(process.env.AI_TOOL_MAX_ROUNDS || "5", 10);
+const MAX_RESULT_CHARS = parseInt(process.env.AI_TOOL_RESULT_MAX_CHARS || "20000", 10);
+const MAX_CALLS_PER_ROUND = parseInt(process.env.AI_TOOL_MAX_CALLS_PER_ROUND || "5", 10);
+
+// Bad tool input — reported back to the model as an error result so it can correct itself
+class ToolInputError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "ToolInputError";
+    this.details = details;
+  }
+}
+
+const TOOLS = [
+  {
+    name: "quote-compare",
+    scope: "compulife:read",
+    description: "Price term life insurance across carriers (Compulife side-by-side) and return the cheapest " +
+      "products with monthly and annual premiums. Give either age or birthDate.",
+    input_schema: {
+      type: "object",
+      properties: {
+        state:       { type: "string", description: "2-letter US state code" },
+        age:         { type: "integer", description: "Age today; used when birthDate is unknown" },
+        birthDate:   { type: "string", description: "Date of birth, MM/DD/YYYY" },
+        sex:         { type: "string", enum: ["M", "F"] },
+        smoker:      { type: "boolean", description: "Uses tobacco or nicotine" },
+        faceAmount:  { type: "integer", description: "Death benefit in dollars, e.g. 500000" },
+        termYears:   { type: "integer", enum: [10, 15, 20, 25, 30, 35, 40], description: "Level term length" },
+        health:      { type: "string", enum: ["PP", "P", "RP", "R"], description: "Health class; default R (Regular)" },
+        top:         { type: "integer", description: "How many of the cheapest products to return (default 10, max 25)" },
+      },
+      required: ["state", "sex", "smoker", "faceAmount", "termYears"],
+    },
+  },
+  {
+    name: "get-products",
+    scope: "compulife:read",
+    description: "List the products one carrier offers, by Compulife company code (the carrier.code in quote-compare results).",
+    input_schema: {
+      type: "object",
+      properties: {
+        company: { type: "string", description: "Compulife company code, e.g. BANN" },
+      },
+      required: ["company"],
+    },
+  },
+  {
+    name: "search-contacts",
+    scope: "crm:read",
+    description: "Search the agency's CRM (GoHighLevel) contacts by name, phone or email.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Name, phone number or email address" },
+        limit: { type: "integer", description: "Max contacts to return (default 10, max 25)" },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "list-calendar-events",
+    scope: "crm:read",
+    description: "List CRM calendar appointments between two dates. Without calendarId every calendar is searched.",
+    input_schema: {
+      type: "object",
+      properties: {
+        startDate:  { type: "string", description: "ISO date or date-time; default now" },
+        endDate:    { type: "string", description: "ISO date or date-time; default 7 days after startDate" },
+        calendarId: { type: "string", description: "One calendar's id" },
+      },
+    },
+  },
+];
+
+const TOOL_NAMES = TOOLS.map(t => t.name);
+
+// hubTools: true (every tool the caller may use) or an array of tool names.
+// Returns the tool definitions to declare; throws AiPolicyError for unknown or unauthorized tools.
+function resolveTools(hubTools, scopes) {
+  if (hubTools === true) {
+    const tools = TOOLS.filter(t => hasScope(scopes, t.scope));
+    if (!tools.length) {
+      throw new AiPolicyError(403, "FORBIDDEN", "Credential has no scope for any hub tool",
+        { requiredScope: Array.from(new Set(TOOLS.map(t => t.scope))) });
+    }
+    return tools;
+  }
+  if (!Array.isArray(hubTools) || !hubTools.length) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", "hubTools must be true or a non-empty array of tool names");
+  }
+  const unknown = hubTools.filter(n => !TOOL_NAMES.includes(n));
+  if (unknown.length) {
+    throw new AiPolicyError(400, "INVALID_REQUEST", `Unknown hub tool(s): ${unknown.join(", ")}`, { hubTools: TOOL_NAMES });
+  }
+  const tools = TOOLS.filter(t => hubTools.includes(t.name));
+  const denied = tools.find(t => !hasScope(scopes, t.scope));
+  if (denied) {
+    throw new AiPolicyError(403, "FORBIDDEN", `Tool ${denied.name} needs scope ${denied.scope}`, { requiredScope: denied.scope });
+  }
+  return tools;
+}
+
+function listTools() {
+  return TOOLS.map(({ name, scope, description }) => ({ name, scope, description }));
+}
+
+function resultContent(result) {
+  const json = JSON.stringify(result);
+  return json.length > MAX_RESULT_CHARS ? `${json.slice(0, MAX_RESULT_CHARS)}… (truncated)` : json;
+}
+
+// handler: the declared tool's handler, or undefined when the model named a tool it was not given
+async function runTool(block, handler, round) {
+  const started = Date.now();
+  const entry = { round, id: block.id, name: block.name, input: block.input };
+  try {
+    if (!handler) throw new ToolInputError(`Unknown tool ${block.name}`);
+    const result = await handler(block.input || {});
+    Object.assign(entry, { ok: true, durationMs: Date.now() - started, result });
+    return { entry, content: { type: "tool_result", tool_use_id: block.id, content: resultContent(result) } };
+  } catch (e) {
+    const error = e instanceof ToolInputError ? e.message : `Tool failed: ${e.message}`;
+    log.warn("tool call failed", { tool: block.name, round, error: e.message });
+    Object.assign(entry, { ok: false, durationMs: Date.now() - started, error, ...(e.details ? { details: e.details } : {}) });
+    return {
+      entry,
+      content: { type: "tool_result", tool_use_id: block.id, is_error: true, content: resultContent({ error, details: e.details }) },
+    };
+  }
+}
+
+// request: a policy-checked Messages API body. tools: from resolveTools.
+// callModel(body) → { ok, status, data } for one Messages API call; handlers: Map of toolName → async (input) => result,
+// holding only the declared tools.
+// Resolves to { ok, status, data (last response), trace, rounds, usage (summed) }; a failed model call stops the loop.
+async function runToolLoop({ request, tools, callModel, handlers }) {
+  const declared = tools.map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+  const messages = request.messages.slice();
+  const trace = [];
+  // The same fields ai-policy's recordUsage charges, so the summed usage matches what the caller paid
+  const usage = { input_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, output_tokens: 0 };
+  let rounds = 0;
+
+  for (;;) {
+    // Out of rounds: the model must answer with what it already has
+    const final = rounds >= MAX_ROUNDS;
+    const { ok, status, data } = await callModel({
+      ...request,
+      messages,
+      tools: declared,
+      ...(final ? { tool_choice: { type: "none" } } : {}),
+    });
+    if (data && data.usage) {
+      for (const key of Object.keys(usage)) usage[key] += data.usage[key] || 0;
+    }
+    if (!ok || final || data.stop_reason !== "tool_use") {
+      return { ok, status, data, trace, rounds, usage };
+    }
+
+    rounds++;
+    // Every tool_use needs a tool_result; calls past the per-round cap are answered with an error instead of run
+    const calls = (data.content || []).filter(b => b.type === "tool_use");
+    const results = await Promise.all(calls.map((block, i) => (i < MAX_CALLS_PER_ROUND
+      ? runTool(block, handlers.get(block.name), rounds)
+      : runTool(block, () => {
+          throw new ToolInputError(`At most ${MAX_CALLS_PER_ROUND} tool calls run per turn; ask again in the next turn`);
+        }, rounds))));
+    for (const r of results) trace.push(r.entry);
+    messages.push({ role: "assistant", content: data.content });
+    messages.push({ role: "user", content: results.map(r => r.content) });
+  }
+}
+
+module.exports = {
+  MAX_ROUNDS,
+  MAX_CALLS_PER_ROUND,
+  ToolInputError,
+  resolveTools,
+  listTools,
+  runToolLoop,
+};
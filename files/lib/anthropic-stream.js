@@ -0,0 +1,136 @@
+// ============================================================
+// ANTHROPIC STREAM — relays a Messages API server-sent event stream to an
+// Express response one event at a time. Nothing more is read from Anthropic
+// until the client has drained what it was sent, `error` events are rewritten
+// to the hub's { error, detail } shape, and the usage the stream reports is
+// totalled so it can be charged even when the client leaves early.
+// ============================================================
+
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream; charset=utf-8",
+  "Cache-Control": "no-cache, no-transform",
+  "Connection": "keep-alive",
+  "X-Accel-Buffering": "no",
+};
+
+// Anthropic error ({ type, message } or a whole error event body) → what /ai/chat clients already handle
+function errorPayload(error) {
+  const e = error && error.error ? error.error : error;
+  return {
+    error: "AI proxy error",
+    detail: (e && e.message) || String(e || "Stream failed"),
+    ...(e && e.type ? { type: e.type } : {}),
+  };
+}
+
+function parseEvent(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  }
+  return { event, data: data.join("\n") };
+}
+
+function parseJson(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+// Resolves once the client can take more, or has gone away
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+function writeEvent(res, event, data) {
+  return res.write(`event: ${event}\ndata: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+}
+
+// Starts the SSE response; call once the upstream stream has been accepted
+function openStream(res) {
+  res.status(200).set(SSE_HEADERS);
+  res.flushHeaders();
+}
+
+// upstream: a fetch Response carrying text/event-stream. Resolves (never rejects) to
+// { model, usage, completed, aborted, error } once the stream ends, fails or the client disconnects.
+async function relayMessageStream(upstream, res) {
+  const summary = {
+    model: null,
+    usage: { input_tokens: 0, output_tokens: 0 },
+    completed: false,
+    aborted: false,
+    error: null,
+  };
+
+  const relay = ({ event, data }) => {
+    const payload = parseJson(data);
+    switch (event) {
+      case "message_start":
+        summary.model = payload?.message?.model || null;
+        Object.assign(summary.usage, payload?.message?.usage);
+        break;
+      case "message_delta":
+        // output_tokens in a delta is the running total, not an increment
+        if (payload?.usage) Object.assign(summary.usage, payload.usage);
+        break;
+      case "message_stop":
+        summary.completed = true;
+        break;
+      case "error":
+        summary.error = errorPayload(payload || data);
+        return writeEvent(res, "error", summary.error);
+    }
+    return writeEvent(res, event, data);
+  };
+
+  const reader = upstream.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    while (!res.destroyed) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, "\n");
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        if (block.trim() && !relay(parseEvent(block))) await drained(res);
+        if (res.destroyed) break;
+      }
+    }
+  } catch (e) {
+    if (e.name === "AbortError" || res.destroyed) {
+      summary.aborted = true;
+    } else {
+      summary.error = errorPayload(e);
+      writeEvent(res, "error", summary.error);
+    }
+  } finally {
+    if (res.destroyed) {
+      summary.aborted = true;
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  if (!summary.completed && !summary.aborted && !summary.error) {
+    summary.error = errorPayload("Anthropic stream ended before message_stop");
+    writeEvent(res, "error", summary.error);
+  }
+  return summary;
+}
+
+module.exports = { errorPayload, openStream, relayMessageStream };
@@ -0,0 +1,209 @@
+// ============================================================
+// HUB AUTH — per-client API keys and verified JWTs, scoped per route group
+// API key:  X-API-Key: <key>   (or Authorization: Bearer <key>)
+// JWT:      Authorization: Bearer <jwt>  (HS256 via HUB_JWT_SECRET, RS256 via HUB_JWT_PUBLIC_KEY)
+// ============================================================
+
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const auditLog = logger.child("Audit");
+
+const SCOPES = [
+  "compulife:read",
+  "sms:send",
+  "sms:read",
+  "email:send",
+  "email:read",
+  "ai:chat",
+  "ai:admin",
+  "leads:scan",
+  "drive:write",
+  "crm:read",
+  "crm:write",
+  "templates:read",
+  "templates:write",
+];
+
+const AUTH_DISABLED   = process.env.HUB_AUTH_DISABLED === "true";
+const JWT_SECRET      = process.env.HUB_JWT_SECRET || "";
+const JWT_PUBLIC_KEY  = (process.env.HUB_JWT_PUBLIC_KEY || "").replace(/\\n/g, "\n");
+const JWT_ISSUER      = process.env.HUB_JWT_ISSUER || "";
+const JWT_AUDIENCE    = process.env.HUB_JWT_AUDIENCE || "";
+const JWT_LEEWAY_SECS = 30;
+// Longest remaining lifetime a token may claim, so a far-future exp cannot mint a permanent credential
+const JWT_MAX_TTL_SECS = parseInt(process.env.HUB_JWT_MAX_TTL_SECS || "86400", 10);
+
+class AuthError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest();
+
+// HUB_API_KEYS is either JSON — [{"id":"quote-engine","key":"…","scopes":["compulife:read"]}] —
+// or the compact form "id:key:scope|scope,id2:key2:*" that fits in a Railway variable
+function parseApiKeys(raw) {
+  if (!raw || !raw.trim()) return [];
+  const entries = raw.trim().startsWith("[")
+    ? JSON.parse(raw)
+    : raw.split(",").map(s => s.trim()).filter(Boolean).map(s => {
+        // scopes contain ":" themselves, so only the first two separators are structural
+        const [id, key, ...rest] = s.split(":");
+        return { id, key, scopes: rest.join(":").split("|").filter(Boolean) };
+      });
+  return entries.map(e => {
+    if (!e.id || !e.key) throw new Error("HUB_API_KEYS entries need an id and a key");
+    return { id: e.id, digest: sha256(e.key), scopes: e.scopes || [] };
+  });
+}
+
+const API_KEYS = parseApiKeys(process.env.HUB_API_KEYS);
+
+function isConfigured() {
+  return AUTH_DISABLED || API_KEYS.length > 0 || !!(JWT_SECRET || JWT_PUBLIC_KEY);
+}
+
+function findApiKey(key) {
+  const digest = sha256(key);
+  return API_KEYS.find(k => crypto.timingSafeEqual(k.digest, digest)) || null;
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function b64urlJson(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+function verifyJwt(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new AuthError(401, "INVALID_TOKEN", "Malformed token");
+
+  let header, claims;
+  try {
+    header = b64urlJson(parts[0]);
+    claims = b64urlJson(parts[1]);
+  } catch {
+    throw new AuthError(401, "INVALID_TOKEN", "Malformed token");
+  }
+  if (!isObject(header) || !isObject(claims)) throw new AuthError(401, "INVALID_TOKEN", "Malformed token");
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], "base64url");
+  let valid = false;
+  if (header.alg === "HS256" && JWT_SECRET) {
+    const expected = crypto.createHmac("sha256", JWT_SECRET).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256" && JWT_PUBLIC_KEY) {
+    valid = crypto.verify("RSA-SHA256", Buffer.from(signingInput), JWT_PUBLIC_KEY, signature);
+  } else {
+    throw new AuthError(401, "INVALID_TOKEN", `Unsupported token algorithm: ${header.alg}`);
+  }
+  if (!valid) throw new AuthError(401, "INVALID_TOKEN", "Token signature is invalid");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number") throw new AuthError(401, "INVALID_TOKEN", "Token has no exp claim");
+  // sub is the caller's identity for rate limits and AI usage, so every token must name one
+  if (typeof claims.sub !== "string" || !claims.sub) throw new AuthError(401, "INVALID_TOKEN", "Token has no sub claim");
+  if (now > claims.exp + JWT_LEEWAY_SECS) {
+    throw new AuthError(401, "TOKEN_EXPIRED", "Token has expired");
+  }
+  if (claims.exp - now > JWT_MAX_TTL_SECS + JWT_LEEWAY_SECS) {
+    throw new AuthError(401, "INVALID_TOKEN", `Token lifetime exceeds ${JWT_MAX_TTL_SECS}s`);
+  }
+  if (typeof claims.nbf === "number" && now + JWT_LEEWAY_SECS < claims.nbf) {
+    throw new AuthError(401, "INVALID_TOKEN", "Token is not yet valid");
+  }
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) throw new AuthError(401, "INVALID_TOKEN", "Token issuer mismatch");
+  if (JWT_AUDIENCE) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(JWT_AUDIENCE)) throw new AuthError(401, "INVALID_TOKEN", "Token audience mismatch");
+  }
+
+  const scopes = Array.isArray(claims.scopes)
+    ? claims.scopes
+    : String(claims.scope || "").split(" ").filter(Boolean);
+  return { id: claims.sub, type: "jwt", scopes };
+}
+
+function authenticate(req) {
+  const header = req.get("authorization") || "";
+  const apiKey = req.get("x-api-key");
+
+  if (apiKey) {
+    const match = findApiKey(apiKey);
+    if (!match) throw new AuthError(401, "INVALID_API_KEY", "API key not recognized");
+    return { id: match.id, type: "api_key", scopes: match.scopes };
+  }
+
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  if (!m) throw new AuthError(401, "UNAUTHENTICATED", "Missing credentials (X-API-Key or Authorization: Bearer)");
+  const token = m[1].trim();
+  if (token.split(".").length === 3) return verifyJwt(token);
+
+  const match = findApiKey(token);
+  if (!match) throw new AuthError(401, "INVALID_API_KEY", "API key not recognized");
+  return { id: match.id, type: "api_key", scopes: match.scopes };
+}
+
+// "*" grants everything; "crm:*" grants every crm scope
+function hasScope(granted, required) {
+  const group = required.split(":")[0];
+  return granted.includes("*") || granted.includes(required) || granted.includes(`${group}:*`);
+}
+
+function audit(event, req, fields) {
+  const level = event === "auth.granted" ? "info" : "warn";
+  auditLog[level](event, { method: req.method, path: req.path, ip: req.ip, ...fields });
+}
+
+// Route middleware: app.post("/sms/send", requireScope("sms:send"), handler)
+function requireScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown auth scope: ${scope}`);
+
+  return function hubAuth(req, res, next) {
+    if (AUTH_DISABLED) {
+      req.principal = { id: "anonymous", type: "none", scopes: ["*"] };
+      return next();
+    }
+
+    let principal;
+    try {
+      principal = authenticate(req);
+    } catch (e) {
+      if (!(e instanceof AuthError)) throw e;
+      audit("auth.denied", req, { reason: e.code, scope });
+      res.set("WWW-Authenticate", e.code === "UNAUTHENTICATED"
+        ? `Bearer realm="iagentiq-api-hub"`
+        : `Bearer realm="iagentiq-api-hub", error="invalid_token"`);
+      return res.status(e.status).json({ error: true, code: e.code, message: e.message });
+    }
+
+    if (!hasScope(principal.scopes, scope)) {
+      audit("auth.forbidden", req, { principal: principal.id, type: principal.type, scope });
+      return res.status(403).json({
+        error: true,
+        code: "FORBIDDEN",
+        message: `Credential "${principal.id}" lacks scope ${scope}`,
+        requiredScope: scope,
+      });
+    }
+
+    req.principal = principal;
+    audit("auth.granted", req, { principal: principal.id, type: principal.type, scope });
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  AUTH_DISABLED,
+  AuthError,
+  isConfigured,
+  hasScope,
+  requireScope,
+};
@@ -0,0 +1,46 @@
+// ============================================================
+// TTL CACHE — small in-memory cache with expiry and a size cap
+// Entries are evicted oldest-first once maxEntries is reached
+// ============================================================
+
+function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) { misses++; return null; }
+    if (Date.now() >= entry.expiresAt) {
+      entries.delete(key);
+      misses++;
+      return null;
+    }
+    hits++;
+    return entry;
+  }
+
+  function set(key, value) {
+    if (ttlMs <= 0) return null;
+    entries.delete(key);
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    const now = Date.now();
+    const entry = { value, storedAt: now, expiresAt: now + ttlMs };
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  function stats() {
+    return { size: entries.size, maxEntries, ttlMs, hits, misses };
+  }
+
+  return { get, set, delete: (key) => entries.delete(key), clear, stats };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,314 @@
+// ============================================================
+// COMPULIFE PARAMS — field whitelist, coercion and validation
+// Every quote request is checked here before anything reaches Compulife
+// ============================================================
+
+const COMPULIFE_FIELDS = [
+  // Core quote fields (legacy + current naming)
+  "Province","State","Sex","Smoker","Birthdate","BirthMonth","Birthday","BirthYear",
+  "FaceAmount","Premium","Mode","ModeUsed","Health",
+  "TermPeriod","NewCategory","Category",
+  "TableRating","InquiryType","ResultType","NumberOfCompanies",
+  "Plan","DisplayFlags","DropCompanies",
+  // Sort/display options
+  "CompRating","SortOverride1","LANGUAGE","ZipCode","COMPINC","PRODDIS",
+  "ErrOnMissingZipCode","MaxNumResults",
+  // Health analyzer fields
+  "Alcohol","AlcoholYearsSinceTreatment",
+  "Asthma","AsthmaRegularMedication","BloodPressure","BloodPressureMedication",
+  "BPSystolic","BPDiastolic","Cancer","CancerType","CancerYearsSinceTreatment",
+  "Cholesterol","CholesterolMedication","CholesterolReading","Diabetes",
+  "DiabetesType","DiabetesA1CReading","HeartDisease","HeartType",
+  "HeartYearsSinceTreatment","Depression","DepressionYearsSinceTreatment",
+  "Drugs","DrugsYearsSinceTreatment","EmbeddedAccums","EmbeddedAccumColor","NoRedX",
+  // Smoking/Tobacco detail
+  "DoSmokingTobacco","DoCigarettes","PeriodCigarettes","NumCigarettes",
+  "DoCigars","PeriodCigars","NumCigars","DoPipe","PeriodPipe",
+  "DoChewingTobacco","PeriodChewingTobacco","DoNicotinePatchesOrGum","PeriodNicotinePatchesOrGum",
+  // Height/Weight
+  "DoHeightWeight","Weight","Feet","Inches",
+  // Blood Pressure detail
+  "DoBloodPressure","Systolic","Dystolic",
+  // Cholesterol detail
+  "DoCholesterol","CholesterolLevel","HDLRatio","PeriodCholesterol","PeriodCholesterolControlDuration",
+  // Driving
+  "DoDriving","HadDriversLicense",
+  "MovingViolations0","MovingViolations1","MovingViolations2","MovingViolations3","MovingViolations4",
+  "RecklessConviction","DwiConviction","SuspendedConviction","MoreThanOneAccident",
+  "PeriodRecklessConviction","PeriodDwiConviction","PeriodSuspendedConviction","PeriodMoreThanOneAccident",
+  // Family History
+  "DoFamily","NumDeaths","NumContracted",
+  "AgeDied00","AgeContracted00","IsParent00","CVD00","ColonCancer00",
+  "AgeContracted10","IsParent10","CVD10","ColonCancer10",
+  // Substance Abuse
+  "DoSubAbuse",
+];
+
+// null counts as not sent, so a cleared form field never reaches Compulife as the string "null"
+function buildCompulifeParams(body) {
+  const params = {};
+  for (const k of COMPULIFE_FIELDS) { if (body[k] !== undefined && body[k] !== null) params[k] = String(body[k]); }
+  return params;
+}
+
+// ============================================================
+// FIELD RULES
+// ============================================================
+const US_STATES = [
+  "AL","AK","AZ","AR","CA","CO","CT","DE","DC","FL","GA","HI","ID","IL","IN","IA","KS","KY","LA",
+  "ME","MD","MA","MI","MN","MS","MO","MT","NE","NV","NH","NJ","NM","NY","NC","ND","OH","OK","OR",
+  "PA","RI","SC","SD","TN","TX","UT","VT","VA","WA","WV","WI","WY","PR","GU","VI",
+];
+// Compulife's numeric State codes: 1-51 are the states and DC alphabetically, 52 is New York
+// (non-business) and 53-56 are the territories
+const COMPULIFE_STATE_CODES = { min: 1, max: 56 };
+
+const MIN_AGE = parseInt(process.env.QUOTE_MIN_AGE || "18", 10);
+const MAX_AGE = parseInt(process.env.QUOTE_MAX_AGE || "85", 10);
+
+const yesNo = { type: "yesno" };
+const count = (max) => ({ type: "int", min: 0, max });
+
+const RULES = {
+  Sex:         { type: "enum", values: ["M", "F"] },
+  Smoker:      yesNo,
+  Health:      { type: "enum", values: ["PP", "P", "RP", "R"] },
+  ModeUsed:    { type: "enum", values: ["M", "Q", "H", "A", "ALL"] },
+  Mode:        { type: "enum", values: ["M", "Q", "H", "A", "ALL"] },
+  NewCategory: { type: "pattern", pattern: /^[0-9A-Z](:[0-9A-Z]+)?$/, hint: "a Compulife category code, e.g. 5 or Z:357" },
+  Category:    { type: "pattern", pattern: /^[0-9A-Z](:[0-9A-Z]+)?$/, hint: "a Compulife category code, e.g. 5 or Z:357" },
+  BirthMonth:  { type: "int", min: 1, max: 12 },
+  Birthday:    { type: "int", min: 1, max: 31 },
+  BirthYear:   { type: "int", min: 1900, max: new Date().getFullYear() },
+  FaceAmount:  { type: "money", min: 1000, max: 50000000 },
+  Premium:     { type: "money", min: 1, max: 1000000 },
+  TableRating: count(16),
+  ZipCode:     { type: "pattern", pattern: /^\d{5}$/, hint: "a 5-digit ZIP code" },
+  // Health analyzer
+  DoSmokingTobacco: yesNo, DoCigarettes: yesNo, DoCigars: yesNo, DoPipe: yesNo,
+  DoChewingTobacco: yesNo, DoNicotinePatchesOrGum: yesNo,
+  NumCigarettes: count(200), NumCigars: count(100),
+  PeriodCigarettes: count(1200), PeriodCigars: count(1200), PeriodPipe: count(1200),
+  PeriodChewingTobacco: count(1200), PeriodNicotinePatchesOrGum: count(1200),
+  DoHeightWeight: yesNo,
+  Feet:   { type: "int", min: 3, max: 8 },
+  Inches: { type: "int", min: 0, max: 11 },
+  Weight: { type: "int", min: 50, max: 700 },
+  DoBloodPressure: yesNo,
+  Systolic: { type: "int", min: 60, max: 260 },
+  Dystolic: { type: "int", min: 30, max: 160 },
+  DoCholesterol: yesNo,
+  CholesterolLevel: { type: "int", min: 80, max: 600 },
+  HDLRatio: { type: "number", min: 1, max: 20 },
+  PeriodCholesterol: count(1200), PeriodCholesterolControlDuration: count(1200),
+  DoDriving: yesNo, HadDriversLicense: yesNo,
+  MovingViolations0: count(50), MovingViolations1: count(50), MovingViolations2: count(50),
+  MovingViolations3: count(50), MovingViolations4: count(50),
+  RecklessConviction: yesNo, DwiConviction: yesNo, SuspendedConviction: yesNo, MoreThanOneAccident: yesNo,
+  PeriodRecklessConviction: count(1200), PeriodDwiConviction: count(1200),
+  PeriodSuspendedConviction: count(1200), PeriodMoreThanOneAccident: count(1200),
+  DoFamily: yesNo,
+  NumDeaths: count(10), NumContracted: count(10),
+  AgeDied00: count(120), AgeContracted00: count(120), AgeContracted10: count(120),
+  IsParent00: yesNo, CVD00: yesNo, ColonCancer00: yesNo,
+  IsParent10: yesNo, CVD10: yesNo, ColonCancer10: yesNo,
+  DoSubAbuse: yesNo,
+};
+
+// When the flag is "Y", every listed field must be present
+const DEPENDENCIES = [
+  ["DoHeightWeight", ["Feet", "Inches", "Weight"]],
+  ["DoBloodPressure", ["Systolic", "Dystolic"]],
+  ["DoCholesterol", ["CholesterolLevel", "HDLRatio"]],
+  ["DoCigarettes", ["PeriodCigarettes"]],
+  ["DoCigars", ["PeriodCigars"]],
+  ["DoPipe", ["PeriodPipe"]],
+  ["DoChewingTobacco", ["PeriodChewingTobacco"]],
+  ["DoNicotinePatchesOrGum", ["PeriodNicotinePatchesOrGum"]],
+  ["DoDriving", ["HadDriversLicense"]],
+  ["RecklessConviction", ["PeriodRecklessConviction"]],
+  ["DwiConviction", ["PeriodDwiConviction"]],
+  ["SuspendedConviction", ["PeriodSuspendedConviction"]],
+  ["MoreThanOneAccident", ["PeriodMoreThanOneAccident"]],
+  ["DoFamily", ["NumDeaths", "NumContracted"]],
+];
+
+const TOBACCO_TYPES = ["DoCigarettes", "DoCigars", "DoPipe", "DoChewingTobacco", "DoNicotinePatchesOrGum"];
+
+function coerce(value, rule) {
+  const raw = typeof value === "string" ? value.trim() : value;
+  switch (rule.type) {
+    case "enum": {
+      const v = String(raw).toUpperCase();
+      if (!rule.values.includes(v)) return { error: `must be one of ${rule.values.join(", ")}` };
+      return { value: v };
+    }
+    case "yesno": {
+      if (raw === true) return { value: "Y" };
+      if (raw === false) return { value: "N" };
+      const v = String(raw).toUpperCase();
+      if (v === "Y" || v === "YES" || v === "TRUE") return { value: "Y" };
+      if (v === "N" || v === "NO" || v === "FALSE") return { value: "N" };
+      return { error: "must be Y or N" };
+    }
+    case "pattern": {
+      const v = String(raw).toUpperCase();
+      if (!rule.pattern.test(v)) return { error: `must be ${rule.hint}` };
+      return { value: v };
+    }
+    case "int":
+    case "number":
+    case "money": {
+      const cleaned = rule.type === "money" ? String(raw).replace(/[$,\s]/g, "") : String(raw);
+      const n = Number(cleaned);
+      if (cleaned === "" || !Number.isFinite(n)) return { error: "must be a number" };
+      if (rule.type !== "number" && !Number.isInteger(n)) return { error: "must be a whole number" };
+      if (rule.min !== undefined && n < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && n > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: String(n) };
+    }
+    default:
+      return { value: String(raw) };
+  }
+}
+
+// Accepts MM/DD/YYYY or YYYY-MM-DD
+function parseBirthdate(v) {
+  const s = String(v).trim();
+  let m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(s);
+  if (m) return { month: +m[1], day: +m[2], year: +m[3] };
+  m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+  if (m) return { month: +m[2], day: +m[3], year: +m[1] };
+  return null;
+}
+
+function ageOn(date, { month, day, year }) {
+  let age = date.getFullYear() - year;
+  if (date.getMonth() + 1 < month || (date.getMonth() + 1 === month && date.getDate() < day)) age--;
+  return age;
+}
+
+function validateState(params, errors) {
+  if (params.State === undefined) return;
+  const v = params.State.trim().toUpperCase();
+  // Compulife also accepts its numeric state codes
+  if (US_STATES.includes(v)) params.State = v;
+  else if (/^\d{1,2}$/.test(v) && +v >= COMPULIFE_STATE_CODES.min && +v <= COMPULIFE_STATE_CODES.max) params.State = String(+v);
+  else {
+    errors.push({
+      field: "State",
+      message: `must be a 2-letter US state code or a Compulife state number ${COMPULIFE_STATE_CODES.min}-${COMPULIFE_STATE_CODES.max}`,
+    });
+  }
+}
+
+function validateBirth(params, errors) {
+  if (params.Birthdate !== undefined) {
+    const parsed = parseBirthdate(params.Birthdate);
+    if (!parsed) {
+      errors.push({ field: "Birthdate", message: "must be MM/DD/YYYY or YYYY-MM-DD" });
+      return;
+    }
+    const pairs = [["BirthMonth", parsed.month], ["Birthday", parsed.day], ["BirthYear", parsed.year]];
+    for (const [k, v] of pairs) {
+      if (params[k] === undefined) params[k] = String(v);
+      else if (Number(params[k]) !== v) errors.push({ field: k, message: "does not match Birthdate" });
+    }
+    delete params.Birthdate;
+  }
+
+  const parts = ["BirthMonth", "Birthday", "BirthYear"];
+  if (parts.some(k => errors.some(e => e.field === k))) return;
+  if (parts.every(k => params[k] === undefined)) return;
+  if (parts.some(k => params[k] === undefined)) {
+    errors.push({ field: "BirthMonth", message: "BirthMonth, Birthday and BirthYear must be sent together" });
+    return;
+  }
+
+  const birth = { month: +params.BirthMonth, day: +params.Birthday, year: +params.BirthYear };
+  const d = new Date(birth.year, birth.month - 1, birth.day);
+  if (d.getMonth() !== birth.month - 1 || d.getDate() !== birth.day) {
+    errors.push({ field: "Birthday", message: "is not a valid calendar date" });
+    return;
+  }
+  if (d > new Date()) {
+    errors.push({ field: "BirthYear", message: "birth date is in the future" });
+    return;
+  }
+  const age = ageOn(new Date(), birth);
+  if (age < MIN_AGE || age > MAX_AGE) {
+    errors.push({ field: "BirthYear", message: `age ${age} is outside the quotable range ${MIN_AGE}-${MAX_AGE}` });
+  }
+}
+
+function validateDependencies(params, errors) {
+  for (const [flag, required] of DEPENDENCIES) {
+    if (params[flag] !== "Y") continue;
+    for (const k of required) {
+      if (params[k] === undefined) errors.push({ field: k, message: `is required when ${flag} is Y` });
+    }
+  }
+  if (params.DoSmokingTobacco === "Y" && !TOBACCO_TYPES.some(k => params[k] === "Y")) {
+    errors.push({ field: "DoSmokingTobacco", message: `requires at least one of ${TOBACCO_TYPES.join(", ")} to be Y` });
+  }
+  if (params.DoFamily === "Y" && Number(params.NumDeaths) > 0 && params.AgeDied00 === undefined) {
+    errors.push({ field: "AgeDied00", message: "is required when NumDeaths is greater than 0" });
+  }
+  if (params.DoFamily === "Y" && Number(params.NumContracted) > 0 && params.AgeContracted00 === undefined) {
+    errors.push({ field: "AgeContracted00", message: "is required when NumContracted is greater than 0" });
+  }
+}
+
+// Returns { params, errors } — params are whitelisted and coerced to Compulife's string form.
+// requireQuoteFields enforces the minimum set Compulife needs to price a quote.
+function validateCompulifeParams(body, { requireQuoteFields = true } = {}) {
+  const params = buildCompulifeParams(body || {});
+  const errors = [];
+
+  for (const [field, value] of Object.entries(params)) {
+    const rule = RULES[field];
+    if (!rule) continue;
+    const { value: coerced, error } = coerce(value, rule);
+    if (error) errors.push({ field, message: error, value });
+    else params[field] = coerced;
+  }
+
+  validateState(params, errors);
+  validateBirth(params, errors);
+
+  if (requireQuoteFields) {
+    if (params.State === undefined && params.Province === undefined) errors.push({ field: "State", message: "is required" });
+    for (const k of ["Sex", "Smoker"]) {
+      if (params[k] === undefined) errors.push({ field: k, message: "is required" });
+    }
+    if (params.BirthYear === undefined && !errors.some(e => e.field.startsWith("Birth"))) {
+      errors.push({ field: "Birthdate", message: "is required (Birthdate or BirthMonth/Birthday/BirthYear)" });
+    }
+    if (params.FaceAmount === undefined && params.Premium === undefined) {
+      errors.push({ field: "FaceAmount", message: "is required (or Premium)" });
+    }
+    if (params.NewCategory === undefined && params.Category === undefined) {
+      errors.push({ field: "NewCategory", message: "is required" });
+    }
+  }
+
+  validateDependencies(params, errors);
+  return { params, errors };
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: true,
+    code: "VALIDATION_FAILED",
+    message: `Invalid quote request: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`,
+    fields: errors,
+  });
+}
+
+module.exports = {
+  COMPULIFE_FIELDS,
+  US_STATES,
+  buildCompulifeParams,
+  validateCompulifeParams,
+  sendValidationError,
+};
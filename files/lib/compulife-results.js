@@ -0,0 +1,155 @@
+// ============================================================
+// COMPULIFE RESULTS — flatten side-by-side responses into carrier rows,
+// and map them into the normalized quote schema
+// Compulife nests results as Compulife_ComparisonResults → Compulife_Results,
+// and returns the comparison block as an object or an array depending on request
+// ============================================================
+
+function parseMoney(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = parseFloat(String(v).replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function comparisonBlocks(data) {
+  if (!data || typeof data !== "object") return [];
+  const blocks = data.Compulife_ComparisonResults;
+  if (!blocks) return [];
+  return Array.isArray(blocks) ? blocks : [blocks];
+}
+
+function extractCarrierRows(data) {
+  const rows = [];
+  for (const block of comparisonBlocks(data)) {
+    for (const r of (block.Compulife_Results || [])) {
+      rows.push({
+        company: (r.Compulife_company || "").trim(),
+        companyCode: (r.Compulife_compprodcode || "").slice(0, 4) || null,
+        productCode: (r.Compulife_compprodcode || "").trim() || null,
+        product: (r.Compulife_product || "").trim(),
+        amBest: (r.Compulife_ambest || "").trim() || null,
+        annual: parseMoney(r.Compulife_premiumAnnual),
+        semiAnnual: parseMoney(r.Compulife_premiumH),
+        quarterly: parseMoney(r.Compulife_premiumQ),
+        monthly: parseMoney(r.Compulife_premiumM),
+        healthClass: (r.Compulife_healthcat || "").trim() || null,
+        title: block.Compulife_title || null,
+      });
+    }
+  }
+  return rows;
+}
+
+// Cheapest first by annual premium; rows without a premium sink to the bottom
+function topCarriers(data, n) {
+  return extractCarrierRows(data)
+    .sort((a, b) => (a.annual ?? Infinity) - (b.annual ?? Infinity))
+    .slice(0, n);
+}
+
+// ============================================================
+// NORMALIZED SCHEMA — opt-in (normalize=true) stable shape for the UI
+// ============================================================
+const NORMALIZED_SCHEMA_VERSION = 1;
+
+const HEALTH_CLASSES = {
+  PP: "Preferred Plus",
+  P: "Preferred",
+  RP: "Regular Plus",
+  R: "Regular",
+};
+
+// Compulife NewCategory codes for level term products
+const CATEGORY_TERM_YEARS = { "1": 1, "2": 5, "3": 10, "4": 15, "5": 20, "6": 25, "7": 30, "9": 35, "0": 40 };
+
+const ERROR_CODES = {
+  UNPARSEABLE: "COMPULIFE_UNPARSEABLE_RESPONSE",
+  UPSTREAM: "COMPULIFE_UPSTREAM_ERROR",
+  HTTP: "COMPULIFE_HTTP_ERROR",
+  REQUEST_FAILED: "COMPULIFE_REQUEST_FAILED",
+  TIMEOUT: "COMPULIFE_TIMEOUT",
+  UNAVAILABLE: "COMPULIFE_UNAVAILABLE",
+};
+
+class CompulifeError extends Error {
+  constructor(code, message, status = 502, details) {
+    super(message);
+    this.name = "CompulifeError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Compulife reports failures as a 200 with an error string somewhere at the top level
+function upstreamErrorMessage(data) {
+  for (const [k, v] of Object.entries(data)) {
+    if (/error/i.test(k) && typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+function termYears(title, params) {
+  const m = /(\d+)\s*-?\s*Y(ea)?r/i.exec(title || "");
+  if (m) return parseInt(m[1], 10);
+  const cat = params && (params.NewCategory ?? params.Category);
+  return CATEGORY_TERM_YEARS[String(cat)] ?? null;
+}
+
+// Throws CompulifeError for unparseable/error responses; otherwise returns the stable schema
+function normalizeQuoteResponse(data, params = {}) {
+  if (!data || typeof data !== "object") {
+    throw new CompulifeError(ERROR_CODES.UNPARSEABLE, "Compulife returned an empty response");
+  }
+  if (data.raw !== undefined) {
+    const code = data.status >= 400 ? ERROR_CODES.HTTP : ERROR_CODES.UNPARSEABLE;
+    throw new CompulifeError(code, `Compulife returned a non-JSON response (HTTP ${data.status})`, 502, {
+      upstreamStatus: data.status,
+    });
+  }
+  const upstreamError = upstreamErrorMessage(data);
+  if (upstreamError) throw new CompulifeError(ERROR_CODES.UPSTREAM, upstreamError, 422);
+
+  const quotes = extractCarrierRows(data).map(row => {
+    const healthCode = row.healthClass || (params.Health ? String(params.Health) : null);
+    return {
+      carrier: { code: row.companyCode, name: row.company },
+      product: { code: row.productCode, name: row.product },
+      amBestRating: row.amBest,
+      premiums: {
+        annual: row.annual,
+        semiAnnual: row.semiAnnual,
+        quarterly: row.quarterly,
+        monthly: row.monthly,
+      },
+      healthClass: { code: healthCode, label: HEALTH_CLASSES[healthCode] || null },
+      term: { title: row.title, years: termYears(row.title, params) },
+    };
+  });
+
+  const result = { schemaVersion: NORMALIZED_SCHEMA_VERSION, count: quotes.length, quotes };
+  if (data._cache) result.cache = data._cache;
+  return result;
+}
+
+function sendNormalizedError(res, e) {
+  if (e instanceof CompulifeError) {
+    const payload = { error: true, code: e.code, message: e.message };
+    if (e.details) Object.assign(payload, e.details);
+    return res.status(e.status).json(payload);
+  }
+  return res.status(502).json({ error: true, code: ERROR_CODES.REQUEST_FAILED, message: e.message });
+}
+
+module.exports = {
+  CATEGORY_TERM_YEARS,
+  HEALTH_CLASSES,
+  ERROR_CODES,
+  CompulifeError,
+  parseMoney,
+  comparisonBlocks,
+  extractCarrierRows,
+  topCarriers,
+  normalizeQuoteResponse,
+  sendNormalizedError,
+};
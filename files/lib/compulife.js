@@ -0,0 +1,110 @@
+// ============================================================
+// COMPULIFE CLIENT — the one place that owns auth, base URL, REMOTE_IP,
+// timeouts and response parsing for compulifeapi.com
+// ============================================================
+
+const net = require("net");
+const logger = require("./logger");
+const { upstreamFetch, timeoutFor, UpstreamError, ERROR_CODES: UPSTREAM_CODES } = require("./http");
+const { CompulifeError, ERROR_CODES } = require("./compulife-results");
+
+const log = logger.child("Compulife");
+
+const AUTH_ID    = process.env.COMPULIFE_AUTH_ID || "";
+const REMOTE_IP  = process.env.REMOTE_IP || "162.220.232.99";
+const API_BASE   = (process.env.COMPULIFE_API_BASE || "https://www.compulifeapi.com/api").replace(/\/+$/, "");
+// COMPULIFE_TIMEOUT_MS wins; otherwise the compulife entry of UPSTREAM_TIMEOUTS (default 15000)
+const TIMEOUT_MS = parseInt(process.env.COMPULIFE_TIMEOUT_MS || String(timeoutFor("compulife")), 10);
+
+// Called once at startup — a bad deploy should crash loudly, not 500 on every quote
+function assertConfig() {
+  const problems = [];
+  if (!AUTH_ID) problems.push("COMPULIFE_AUTH_ID is not set");
+  if (!/^https?:\/\/[^/]+/.test(API_BASE)) problems.push(`COMPULIFE_API_BASE is not an http(s) URL: ${API_BASE}`);
+  if (!net.isIP(REMOTE_IP)) problems.push(`REMOTE_IP is not a valid IP address: ${REMOTE_IP}`);
+  if (!Number.isFinite(TIMEOUT_MS) || TIMEOUT_MS <= 0) problems.push("COMPULIFE_TIMEOUT_MS must be a positive number");
+  if (problems.length) throw new Error(`Compulife misconfigured: ${problems.join("; ")}`);
+}
+
+function isConfigured() {
+  return !!AUTH_ID;
+}
+
+function maskedAuthId() {
+  return AUTH_ID ? AUTH_ID.slice(0, 4) + "…" : "";
+}
+
+// Every Compulife call is a read, so upstreamFetch may retry it
+async function request(url, init = {}) {
+  try {
+    return await upstreamFetch("compulife", url, init, { timeoutMs: TIMEOUT_MS, idempotent: true });
+  } catch (e) {
+    if (e instanceof UpstreamError && e.code === UPSTREAM_CODES.TIMEOUT) {
+      throw new CompulifeError(ERROR_CODES.TIMEOUT, `Compulife did not respond within ${TIMEOUT_MS}ms`, 504);
+    }
+    if (e instanceof UpstreamError && e.code === UPSTREAM_CODES.CIRCUIT_OPEN) {
+      throw new CompulifeError(ERROR_CODES.UNAVAILABLE, e.message, 503, e.details);
+    }
+    throw new CompulifeError(ERROR_CODES.REQUEST_FAILED, `Compulife request failed: ${e.message}`, 502);
+  }
+}
+
+// Compulife answers some errors with HTML/plain text, so callers get { raw, status } instead of a throw
+async function parseResponse(r) {
+  const t = await r.text();
+  try { return JSON.parse(t); } catch { return { raw: t, status: r.status }; }
+}
+
+async function proxyPublic(path) {
+  return parseResponse(await request(`${API_BASE}${path}`));
+}
+
+async function proxyPrivate(path, params) {
+  const payload = { COMPULIFEAUTHORIZATIONID: AUTH_ID, REMOTE_IP, ...params };
+  const url = `${API_BASE}${path}/?COMPULIFE=${encodeURIComponent(JSON.stringify(payload))}`;
+  log.debug("private request", { path, urlLength: url.length, fields: Object.keys(params || {}) });
+  const r = await request(url);
+  const t = await r.text();
+  try {
+    return JSON.parse(t);
+  } catch {
+    log.warn("non-JSON response", { path, status: r.status, preview: t.substring(0, 200) });
+    return { raw: t, status: r.status };
+  }
+}
+
+// CompanyProductList is a GET with the auth ID as a query param
+async function companyProductList({ CompanyCode, Category } = {}) {
+  const params = new URLSearchParams({
+    COMPULIFEAUTHORIZATIONID: AUTH_ID,
+    CompanyCode: CompanyCode || "",
+    Category:    Category    || "",
+  });
+  log.debug("company products", { CompanyCode, Category });
+  const r = await request(`${API_BASE}/CompanyProductList?${params}`, {
+    method: "GET",
+    headers: { Accept: "application/json" },
+  });
+  return parseResponse(r);
+}
+
+// GetCompanyList (with logo URLs) only answers curl-like clients
+async function companyList() {
+  const r = await request(`${API_BASE}/GetCompanyList?COMPULIFEAUTHORIZATIONID=${encodeURIComponent(AUTH_ID)}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": "curl/7.55.1" },
+    body: JSON.stringify({}),
+  });
+  return parseResponse(r);
+}
+
+module.exports = {
+  API_BASE,
+  assertConfig,
+  isConfigured,
+  maskedAuthId,
+  proxyPublic,
+  proxyPrivate,
+  companyProductList,
+  companyList,
+};
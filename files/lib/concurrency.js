@@ -0,0 +1,24 @@
+// ============================================================
+// CONCURRENCY HELPER — run async work over a list with a cap
+// Results come back in input order; a rejected item rejects the whole map,
+// so callers that want partial results should catch inside `fn`
+// ============================================================
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.max(1, Math.min(limit, items.length)); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,78 @@
+// ============================================================
+// CORS POLICY — one origin list for the whole hub, with per-route overrides
+// Patterns: "https://quoteit.insure" (exact), "https://*.iagentiq.com" (any subdomain), "*" (any)
+// Unknown origins get a clean 403 instead of an Error surfacing as a 500
+// ============================================================
+
+const cors = require("cors");
+const logger = require("./logger");
+
+const log = logger.child("CORS");
+
+const METHODS = ["GET", "POST", "PUT", "DELETE", "OPTIONS"];
+const ALLOWED_HEADERS = ["Content-Type", "Authorization", "X-API-Key"];
+
+function escapeRegex(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compilePattern(pattern) {
+  const p = pattern.trim().replace(/\/+$/, "").toLowerCase();
+  if (p === "*") return () => true;
+  if (!p.includes("*")) return (origin) => origin === p;
+  // "*." matches one or more whole subdomain labels; any other "*" matches within one label (e.g. a port)
+  const source = p.split("*.")
+    .map(part => escapeRegex(part).replace(/\*/g, "[a-z0-9-]*"))
+    .join("([a-z0-9-]+\\.)+");
+  const re = new RegExp("^" + source + "$");
+  return (origin) => re.test(origin);
+}
+
+function createOriginMatcher(patterns) {
+  const matchers = patterns.filter(Boolean).map(compilePattern);
+  return (origin) => matchers.some(m => m(origin.toLowerCase()));
+}
+
+// overrides: { "/compulife/companies": { origins: ["*"], credentials: false } }
+function createCorsPolicy({ origins, overrides = {} }) {
+  const build = ({ origins: list, credentials = true }) => {
+    const allows = createOriginMatcher(list);
+    return {
+      allows,
+      handler: cors({
+        origin: list.includes("*") && !credentials
+          ? "*"
+          : (origin, callback) => callback(null, !origin || allows(origin)),
+        methods: METHODS,
+        allowedHeaders: ALLOWED_HEADERS,
+        credentials,
+      }),
+    };
+  };
+
+  const defaultPolicy = build({ origins });
+  const routePolicies = Object.entries(overrides).map(([path, opts]) => [path, build(opts)]);
+
+  function policyFor(path) {
+    for (const [route, policy] of routePolicies) {
+      if (route.endsWith("*") ? path.startsWith(route.slice(0, -1)) : path === route) return policy;
+    }
+    return defaultPolicy;
+  }
+
+  return function corsPolicy(req, res, next) {
+    const origin = req.get("origin");
+    const policy = policyFor(req.path);
+    if (origin && !policy.allows(origin)) {
+      log.warn("origin rejected", { origin, method: req.method, path: req.path });
+      return res.status(403).json({
+        error: true,
+        code: "CORS_ORIGIN_DENIED",
+        message: `Origin ${origin} is not allowed`,
+      });
+    }
+    policy.handler(req, res, next);
+  };
+}
+
+module.exports = { createCorsPolicy, createOriginMatcher };
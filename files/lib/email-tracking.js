@@ -0,0 +1,225 @@
+// ============================================================
+// EMAIL TRACKING — Postmark delivery/bounce/complaint/open/click events per
+// MessageID, and the address suppression list they feed.
+// Messages are in memory and capped (EMAIL_MESSAGE_STORE_MAX); set
+// EMAIL_SUPPRESSION_FILE so suppressed addresses survive redeploys.
+// ============================================================
+
+const logger = require("./logger");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+
+const log = logger.child("EmailTracking");
+
+const MAX_MESSAGES = parseInt(process.env.EMAIL_MESSAGE_STORE_MAX || "5000", 10);
+const MAX_EVENTS_PER_MESSAGE = 50;
+const SUPPRESSION_FILE = process.env.EMAIL_SUPPRESSION_FILE || "";
+
+// Bounce types that mean the address should never be mailed again
+const SUPPRESS_BOUNCE_TYPES = ["HardBounce", "BadEmailAddress", "SpamComplaint", "ManuallyDeactivated"];
+
+// "Ann <ann@x.com>" → "ann@x.com"
+function normalizeAddress(address) {
+  const s = String(address || "").trim();
+  const m = /<([^>]+)>\s*$/.exec(s);
+  return (m ? m[1] : s).trim().toLowerCase();
+}
+
+// ---- Suppression list ----
+const suppressions = new Map();
+
+function loadSuppressions() {
+  if (!SUPPRESSION_FILE) return;
+  try {
+    for (const entry of readJsonFile(SUPPRESSION_FILE, [])) suppressions.set(entry.email, entry);
+    log.info("suppression list loaded", { count: suppressions.size });
+  } catch (e) {
+    throw new Error(`Could not read EMAIL_SUPPRESSION_FILE: ${e.message}`);
+  }
+}
+
+function persistSuppressions() {
+  if (!SUPPRESSION_FILE) return;
+  try {
+    writeJsonFile(SUPPRESSION_FILE, Array.from(suppressions.values()));
+  } catch (e) {
+    log.error("suppression list not saved", { error: e.message });
+  }
+}
+
+// source: "bounce", "complaint" or "manual"
+function suppress(address, { source, reason, messageId, by } = {}) {
+  const email = normalizeAddress(address);
+  const existing = suppressions.get(email);
+  if (existing) return existing;
+  const entry = {
+    email,
+    source: source || "manual",
+    reason: reason || null,
+    messageId: messageId || null,
+    addedBy: by || null,
+    addedAt: new Date().toISOString(),
+  };
+  suppressions.set(email, entry);
+  persistSuppressions();
+  log.info("address suppressed", { email, source: entry.source, reason: entry.reason });
+  return entry;
+}
+
+function unsuppress(address, { by } = {}) {
+  const email = normalizeAddress(address);
+  const existing = suppressions.get(email);
+  if (!existing) return null;
+  suppressions.delete(email);
+  persistSuppressions();
+  log.info("address unsuppressed", { email, by: by || null });
+  return existing;
+}
+
+function listSuppressions() {
+  return Array.from(suppressions.values());
+}
+
+// Addresses in the list that are suppressed (empty when the message may go out)
+function suppressedAmong(addresses) {
+  return addresses.map(normalizeAddress).filter(a => suppressions.has(a));
+}
+
+// ---- Message events ----
+const messages = new Map();
+
+function remember(msg) {
+  messages.delete(msg.messageId);
+  while (messages.size >= MAX_MESSAGES) {
+    messages.delete(messages.keys().next().value);
+  }
+  messages.set(msg.messageId, msg);
+  return msg;
+}
+
+function blankMessage(messageId, fields = {}) {
+  return {
+    messageId,
+    to: [],
+    subject: null,
+    stream: null,
+    tag: null,
+    status: "unknown",
+    delivered: [],
+    bounced: [],
+    complained: [],
+    opens: 0,
+    clicks: 0,
+    submittedAt: null,
+    updatedAt: new Date().toISOString(),
+    events: [],
+    ...fields,
+  };
+}
+
+function recordSent({ messageId, to, cc, bcc, subject, stream, tag, submittedAt }) {
+  if (!messageId) return null;
+  const split = (v) => (v ? String(v).split(",").map(normalizeAddress).filter(Boolean) : []);
+  return remember(blankMessage(messageId, {
+    to: [...split(to), ...split(cc), ...split(bcc)],
+    subject: subject || null,
+    stream: stream || null,
+    tag: tag || null,
+    status: "sent",
+    submittedAt: submittedAt || new Date().toISOString(),
+  }));
+}
+
+// Status only moves forward; a bounce or complaint outranks delivery and engagement
+const STATUS_RANK = { unknown: 0, sent: 1, delivered: 2, opened: 3, clicked: 4, bounced: 5, complained: 6 };
+
+function advance(msg, status) {
+  if ((STATUS_RANK[status] || 0) > (STATUS_RANK[msg.status] || 0)) msg.status = status;
+}
+
+function addOnce(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+// Applies one Postmark webhook payload. Returns { message, suppressed } or null for unknown record types.
+function applyEvent(event) {
+  const type = event.RecordType;
+  if (!["Delivery", "Bounce", "SpamComplaint", "Open", "Click"].includes(type) || !event.MessageID) return null;
+
+  const msg = messages.get(event.MessageID) || remember(blankMessage(event.MessageID, {
+    stream: event.MessageStream || null,
+    tag: event.Tag || null,
+  }));
+  const recipient = normalizeAddress(event.Recipient || event.Email);
+  const at = event.DeliveredAt || event.BouncedAt || event.ReceivedAt || new Date().toISOString();
+  const key = `${type}:${event.ID || ""}:${recipient}:${at}`;
+  if (msg.events.some(e => e.key === key)) return { message: msg, suppressed: null }; // Postmark retry
+
+  const entry = { key, type, recipient, at };
+  let suppressed = null;
+
+  switch (type) {
+    case "Delivery":
+      addOnce(msg.delivered, recipient);
+      advance(msg, "delivered");
+      entry.details = event.Details || null;
+      break;
+    case "Bounce":
+      addOnce(msg.bounced, recipient);
+      entry.bounceType = event.Type;
+      entry.description = event.Description || null;
+      entry.details = event.Details || null;
+      if (SUPPRESS_BOUNCE_TYPES.includes(event.Type)) {
+        advance(msg, "bounced");
+        suppressed = suppress(recipient, { source: "bounce", reason: event.Type, messageId: event.MessageID });
+      }
+      break;
+    case "SpamComplaint":
+      addOnce(msg.complained, recipient);
+      advance(msg, "complained");
+      suppressed = suppress(recipient, { source: "complaint", reason: "SpamComplaint", messageId: event.MessageID });
+      break;
+    case "Open":
+      msg.opens++;
+      advance(msg, "opened");
+      entry.client = event.Client?.Name || null;
+      entry.platform = event.Platform || null;
+      break;
+    case "Click":
+      msg.clicks++;
+      advance(msg, "clicked");
+      entry.link = event.OriginalLink || null;
+      break;
+  }
+
+  msg.events.push(entry);
+  if (msg.events.length > MAX_EVENTS_PER_MESSAGE) msg.events.shift();
+  msg.updatedAt = new Date().toISOString();
+  return { message: msg, suppressed };
+}
+
+function describe(msg) {
+  return { ...msg, events: msg.events.map(({ key, ...e }) => e) };
+}
+
+function getMessage(messageId) {
+  const msg = messages.get(messageId);
+  return msg ? describe(msg) : null;
+}
+
+function stats() {
+  return { messages: messages.size, maxMessages: MAX_MESSAGES, suppressed: suppressions.size };
+}
+
+loadSuppressions();
+
+module.exports = {
+  normalizeAddress,
+  suppress,
+  unsuppress,
+  listSuppressions,
+  suppressedAmong,
+  recordSent,
+  applyEvent,
+  getMessage,
+  stats,
+};
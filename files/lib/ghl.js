@@ -0,0 +1,154 @@
+// ============================================================
+// GHL CLIENT — GoHighLevel (LeadConnector) API v2
+// Auth: private integration token (GHL_API_KEY) or OAuth bearer (GHL_ACCESS_TOKEN)
+// Base URL is overridable (GHL_API_BASE) so routes can run against a local mock
+// ============================================================
+
+const logger = require("./logger");
+const { upstreamFetch } = require("./http");
+
+const log = logger.child("GHL");
+
+const GHL_API_BASE    = (process.env.GHL_API_BASE || "https://services.leadconnectorhq.com").replace(/\/+$/, "");
+const GHL_API_VERSION = process.env.GHL_API_VERSION || "2021-07-28";
+const GHL_TOKEN       = process.env.GHL_API_KEY || process.env.GHL_ACCESS_TOKEN || "";
+const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID || "";
+const GHL_MAX_RETRIES = parseInt(process.env.GHL_MAX_RETRIES || "3", 10);
+// Longest Retry-After we will sit out while holding the client's request open; longer asks fail with the 429
+const GHL_MAX_RETRY_DELAY_MS = parseInt(process.env.GHL_MAX_RETRY_DELAY_MS || "10000", 10);
+
+class GhlError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "GhlError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Upstream statuses we pass through as-is; anything else from GHL is a bad gateway
+const PASSTHROUGH_STATUSES = [400, 401, 403, 404, 409, 422, 429];
+
+function mapStatus(upstreamStatus) {
+  if (PASSTHROUGH_STATUSES.includes(upstreamStatus)) return upstreamStatus;
+  return 502;
+}
+
+function errorMessage(data, status) {
+  if (!data) return `GHL request failed (${status})`;
+  if (Array.isArray(data.message)) return data.message.join("; ");
+  return data.message || data.error || data.msg || `GHL request failed (${status})`;
+}
+
+// Retry-After may be seconds or an HTTP date; fall back to exponential backoff
+function retryDelay(resp, attempt) {
+  const header = resp.headers.get("retry-after");
+  if (header) {
+    const secs = Number(header);
+    if (!Number.isNaN(secs)) return secs * 1000;
+    const at = Date.parse(header);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+  return Math.min(1000 * 2 ** attempt, 10000) + Math.floor(Math.random() * 250);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isConfigured() {
+  return !!(GHL_TOKEN && GHL_LOCATION_ID);
+}
+
+// An API path, or a full URL (e.g. meta.nextPageUrl) that must point at GHL_API_BASE's host so the
+// bearer token is never sent anywhere else. GHL's page links may say http://; they go out as the base's scheme.
+function resolveUrl(path) {
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(path)) return `${GHL_API_BASE}${path}`;
+  const url = new URL(path);
+  const base = new URL(GHL_API_BASE);
+  if (url.host !== base.host || !["http:", "https:"].includes(url.protocol)) {
+    log.error("refused off-host URL", { host: url.host });
+    throw new GhlError(`GHL returned a URL outside ${base.host}`, 502, { host: url.host });
+  }
+  url.protocol = base.protocol;
+  return url.toString();
+}
+
+async function ghlFetch(method, path, body) {
+  if (!GHL_TOKEN) throw new GhlError("GHL_API_KEY not configured", 500);
+
+  const url = resolveUrl(path);
+  const init = {
+    method,
+    headers: {
+      Authorization: `Bearer ${GHL_TOKEN}`,
+      Version: GHL_API_VERSION,
+      Accept: "application/json",
+    },
+  };
+  if (body !== undefined && method !== "GET" && method !== "DELETE") {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const resp = await upstreamFetch("ghl", url, init);
+
+    if (resp.status === 429 && attempt < GHL_MAX_RETRIES) {
+      const wait = retryDelay(resp, attempt);
+      if (wait <= GHL_MAX_RETRY_DELAY_MS) {
+        log.warn("rate limited, backing off", { method, path: path.split("?")[0], waitMs: wait, attempt: attempt + 1, maxRetries: GHL_MAX_RETRIES });
+        await sleep(wait);
+        continue;
+      }
+      log.warn("rate limited, retry-after too long", { method, path: path.split("?")[0], waitMs: wait, maxWaitMs: GHL_MAX_RETRY_DELAY_MS });
+    }
+
+    const text = await resp.text();
+    let data = null;
+    if (text) {
+      try { data = JSON.parse(text); } catch { data = { raw: text }; }
+    }
+
+    if (!resp.ok) {
+      log.error("request failed", { method, path: path.split("?")[0], status: resp.status, message: errorMessage(data, resp.status) });
+      throw new GhlError(errorMessage(data, resp.status), mapStatus(resp.status), {
+        upstreamStatus: resp.status,
+        body: data,
+      });
+    }
+    return data || {};
+  }
+}
+
+// Follows GHL's cursor pagination (meta.nextPageUrl, or meta.startAfter/startAfterId)
+// and returns every item under `itemsKey`, capped at `maxPages`.
+async function ghlFetchAll(path, itemsKey, { maxPages = 20 } = {}) {
+  const items = [];
+  let next = path;
+  for (let page = 0; next && page < maxPages; page++) {
+    const data = await ghlFetch("GET", next);
+    const batch = data[itemsKey] || [];
+    items.push(...batch);
+
+    const meta = data.meta || {};
+    if (!batch.length) break;
+    if (meta.nextPageUrl) {
+      next = meta.nextPageUrl;
+    } else if (meta.startAfterId || meta.startAfter) {
+      const u = new URL(resolveUrl(path));
+      if (meta.startAfterId) u.searchParams.set("startAfterId", meta.startAfterId);
+      if (meta.startAfter) u.searchParams.set("startAfter", meta.startAfter);
+      next = u.toString();
+    } else {
+      next = null;
+    }
+  }
+  return items;
+}
+
+module.exports = {
+  GHL_LOCATION_ID,
+  GhlError,
+  ghlFetch,
+  ghlFetchAll,
+  isConfigured,
+};
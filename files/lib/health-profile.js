@@ -0,0 +1,359 @@
+// ============================================================
+// HEALTH PROFILE — plain-language health questionnaire → Compulife health
+// analyzer fields (tobacco, build, blood pressure, cholesterol, driving,
+// family history), plus a rule-of-thumb estimate of the health class.
+// Period* fields are months since the event; dates may be YYYY-MM, YYYY-MM-DD,
+// MM/YYYY or MM/DD/YYYY. The estimate uses typical carrier guidelines —
+// the health analyzer's own per-carrier result is what prices the quote.
+// ============================================================
+
+const { HEALTH_CLASSES } = require("./compulife-results");
+
+const CLASSES = ["PP", "P", "RP", "R"];
+
+// Questionnaire tobacco `type` (and aliases) → Compulife flag / period / count fields
+const TOBACCO = [
+  { aliases: ["cigarettes", "cigarette", "vape", "vaping", "e-cigarette"],
+    flag: "DoCigarettes", period: "PeriodCigarettes", count: "NumCigarettes", countKey: "perDay" },
+  { aliases: ["cigars", "cigar"], flag: "DoCigars", period: "PeriodCigars", count: "NumCigars", countKey: "perMonth" },
+  { aliases: ["pipe"], flag: "DoPipe", period: "PeriodPipe" },
+  { aliases: ["chewing", "chew", "snuff", "dip", "smokeless"], flag: "DoChewingTobacco", period: "PeriodChewingTobacco" },
+  { aliases: ["nicotine-replacement", "patch", "gum", "nicotine"], flag: "DoNicotinePatchesOrGum", period: "PeriodNicotinePatchesOrGum" },
+];
+
+// Driving questionnaire key → Compulife conviction flag / period
+const CONVICTIONS = [
+  ["dui",               "DwiConviction",       "PeriodDwiConviction"],
+  ["reckless",          "RecklessConviction",  "PeriodRecklessConviction"],
+  ["suspended",         "SuspendedConviction", "PeriodSuspendedConviction"],
+  ["multipleAccidents", "MoreThanOneAccident", "PeriodMoreThanOneAccident"],
+];
+
+const CVD_CONDITIONS = ["cvd", "cardiovascular", "heart", "heart disease", "heart attack", "stroke", "coronary artery disease"];
+const COLON_CANCER_CONDITIONS = ["colon cancer", "colon-cancer", "colorectal cancer", "colorectal"];
+const PARENTS = ["mother", "father", "parent"];
+const SIBLINGS = ["brother", "sister", "sibling"];
+// Compulife encodes at most two relatives, and only the first can carry an age of death
+const MAX_RELATIVES = 2;
+
+// Rule-of-thumb limits per class (best first); anything past the R limit is likely table rated
+const GUIDELINES = {
+  tobaccoFreeMonths: { PP: 60, P: 36, RP: 24, R: 12 },
+  bmi:               { PP: 28, P: 30.5, RP: 32.5, R: 38 },
+  bloodPressure:     { PP: [140, 85], P: [145, 90], RP: [150, 92], R: [160, 95] },
+  cholesterol:       { PP: [260, 5.0], P: [280, 5.5], RP: [300, 6.5], R: [330, 8.0] },
+  violations3Years:  { PP: 1, P: 2, RP: 3, R: 4 },
+};
+
+// ---- Parsing helpers ----
+
+// Returns { year, month, day } or null
+function parseDate(value) {
+  const s = String(value || "").trim();
+  let m = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:T.*)?$/.exec(s);
+  if (m) return { year: +m[1], month: +m[2], day: m[3] ? +m[3] : 1 };
+  m = /^(\d{1,2})\/(?:(\d{1,2})\/)?(\d{4})$/.exec(s);
+  if (m) return { year: +m[3], month: +m[1], day: m[2] ? +m[2] : 1 };
+  return null;
+}
+
+function monthsSince(value, now) {
+  const d = parseDate(value);
+  if (!d || d.month < 1 || d.month > 12) return null;
+  const months = (now.getFullYear() - d.year) * 12 + (now.getMonth() + 1 - d.month) - (now.getDate() < d.day ? 1 : 0);
+  return months < 0 ? null : months;
+}
+
+// { feet, inches }, total inches, or "5'10\"" / "5 ft 10 in" / "70 in" → total inches
+function parseHeight(value) {
+  if (typeof value === "number") return value;
+  if (value && typeof value === "object") return Number(value.feet || 0) * 12 + Number(value.inches || 0);
+  const s = String(value || "").trim().toLowerCase();
+  let m = /^(\d)\s*(?:'|ft|feet)\s*(\d{1,2})?\s*(?:"|''|in|inches)?$/.exec(s);
+  if (m) return +m[1] * 12 + (m[2] ? +m[2] : 0);
+  m = /^(\d{2,3})\s*(?:"|in|inches)?$/.exec(s);
+  return m ? +m[1] : NaN;
+}
+
+const isPositive = (n) => typeof n === "number" && Number.isFinite(n) && n > 0;
+const key = (s) => String(s || "").trim().toLowerCase();
+const yn = (b) => (b ? "Y" : "N");
+
+// ---- Section mappers: each adds Compulife fields to `params` and problems to `errors` ----
+
+function mapTobacco(tobacco, params, errors, now) {
+  const entries = tobacco === false || tobacco === "never" ? [] : tobacco;
+  if (!Array.isArray(entries)) {
+    errors.push({ field: "tobacco", message: "must be an array of { type, current, lastUsed } or \"never\"" });
+    return null;
+  }
+
+  let latest = null; // months since any tobacco use
+  entries.forEach((entry, i) => {
+    const field = `tobacco[${i}]`;
+    const spec = TOBACCO.find(t => t.aliases.includes(key(entry && entry.type)));
+    if (!spec) {
+      errors.push({ field: `${field}.type`, message: `must be one of ${TOBACCO.map(t => t.aliases[0]).join(", ")}` });
+      return;
+    }
+    const months = entry.current ? 0 : monthsSince(entry.lastUsed, now);
+    if (months === null) {
+      errors.push({ field: `${field}.lastUsed`, message: "is required unless current is true (a past date: YYYY-MM or MM/YYYY)" });
+      return;
+    }
+    // Several entries of one type: the most recent use is the one that counts
+    if (params[spec.period] === undefined || months < Number(params[spec.period])) {
+      params[spec.flag] = "Y";
+      params[spec.period] = String(months);
+      if (spec.count && entry[spec.countKey] !== undefined) params[spec.count] = String(entry[spec.countKey]);
+    }
+    latest = latest === null ? months : Math.min(latest, months);
+  });
+
+  params.DoSmokingTobacco = yn(latest !== null);
+  params.Smoker = yn(latest !== null && latest < 12);
+  return latest;
+}
+
+function mapBuild(q, params, errors) {
+  const inches = parseHeight(q.height !== undefined ? q.height : q.heightInches);
+  const weight = Number(q.weightLbs);
+  if (!isPositive(inches)) errors.push({ field: "height", message: "must be { feet, inches }, total inches or 5'10\"" });
+  if (!isPositive(weight)) errors.push({ field: "weightLbs", message: "must be a positive number" });
+  if (!isPositive(inches) || !isPositive(weight)) return null;
+
+  const rounded = Math.round(inches);
+  params.DoHeightWeight = "Y";
+  params.Feet = String(Math.floor(rounded / 12));
+  params.Inches = String(rounded % 12);
+  params.Weight = String(Math.round(weight));
+  return Math.round((703 * weight / (inches * inches)) * 10) / 10;
+}
+
+function mapBloodPressure(bp, params, errors) {
+  if (!isPositive(bp.systolic) || !isPositive(bp.diastolic)) {
+    errors.push({ field: "bloodPressure", message: "needs systolic and diastolic readings" });
+    return null;
+  }
+  params.DoBloodPressure = "Y";
+  params.Systolic = String(Math.round(bp.systolic));
+  params.Dystolic = String(Math.round(bp.diastolic));
+  if (bp.onMedication !== undefined) params.BloodPressureMedication = yn(bp.onMedication);
+  return [bp.systolic, bp.diastolic];
+}
+
+function mapCholesterol(chol, params, errors, now) {
+  const ratio = isPositive(chol.ratio) ? chol.ratio : isPositive(chol.hdl) && isPositive(chol.total) ? chol.total / chol.hdl : null;
+  if (!isPositive(chol.total) || ratio === null) {
+    errors.push({ field: "cholesterol", message: "needs total and either hdl or ratio" });
+    return null;
+  }
+  params.DoCholesterol = "Y";
+  params.CholesterolLevel = String(Math.round(chol.total));
+  params.HDLRatio = String(Math.round(ratio * 10) / 10);
+  if (chol.onMedication !== undefined) params.CholesterolMedication = yn(chol.onMedication);
+  for (const [field, target] of [["readingDate", "PeriodCholesterol"], ["controlledSince", "PeriodCholesterolControlDuration"]]) {
+    if (chol[field] === undefined) continue;
+    const months = monthsSince(chol[field], now);
+    if (months === null) errors.push({ field: `cholesterol.${field}`, message: "must be a past date (YYYY-MM or MM/YYYY)" });
+    else params[target] = String(months);
+  }
+  return [chol.total, Math.round(ratio * 10) / 10];
+}
+
+// Returns { violations3Years, convictions: { dui: months, ... } }
+function mapDriving(driving, params, errors, now) {
+  if (!driving || typeof driving !== "object" || Array.isArray(driving)) {
+    errors.push({ field: "driving", message: "must be an object { licensed, violations, dui, ... }" });
+    return null;
+  }
+  const violations = driving.violations === undefined ? [] : driving.violations;
+  if (!Array.isArray(violations)) {
+    errors.push({ field: "driving.violations", message: "must be an array of violation dates" });
+    return null;
+  }
+
+  params.DoDriving = "Y";
+  params.HadDriversLicense = yn(driving.licensed !== false);
+
+  // MovingViolations0–4: count in each of the last five years (0 = the past 12 months)
+  const buckets = [0, 0, 0, 0, 0];
+  violations.forEach((date, i) => {
+    const months = monthsSince(date, now);
+    if (months === null) errors.push({ field: `driving.violations[${i}]`, message: "must be a past date" });
+    else if (months < 60) buckets[Math.floor(months / 12)]++;
+  });
+  buckets.forEach((n, i) => { params[`MovingViolations${i}`] = String(n); });
+
+  const convictions = {};
+  for (const [field, flag, period] of CONVICTIONS) {
+    const date = driving[field];
+    if (!date) {
+      params[flag] = "N";
+      continue;
+    }
+    const months = monthsSince(date, now);
+    if (months === null) {
+      errors.push({ field: `driving.${field}`, message: "must be the date of the most recent one" });
+      continue;
+    }
+    params[flag] = "Y";
+    params[period] = String(months);
+    convictions[field] = months;
+  }
+  return { violations3Years: buckets[0] + buckets[1] + buckets[2], convictions };
+}
+
+// Returns { diagnosedBefore60, diedBefore60 } over the relatives that count (parents and siblings with CVD or colon cancer)
+function mapFamily(relatives, params, errors, notes) {
+  if (!Array.isArray(relatives)) {
+    errors.push({ field: "familyHistory", message: "must be an array of { relation, condition, ageDiagnosed, ageDied }" });
+    return null;
+  }
+
+  const counted = [];
+  relatives.forEach((r, i) => {
+    const relation = key(r && r.relation);
+    const condition = key(r && r.condition);
+    const cvd = CVD_CONDITIONS.includes(condition);
+    const colon = COLON_CANCER_CONDITIONS.includes(condition);
+    if (!PARENTS.includes(relation) && !SIBLINGS.includes(relation)) {
+      notes.push(`familyHistory[${i}] ignored: only parents and siblings count`);
+      return;
+    }
+    if (!cvd && !colon) {
+      notes.push(`familyHistory[${i}] ignored: only cardiovascular disease and colon cancer are rated`);
+      return;
+    }
+    const ageDiagnosed = r.ageDiagnosed !== undefined ? r.ageDiagnosed : r.ageDied;
+    if (!Number.isInteger(ageDiagnosed)) {
+      errors.push({ field: `familyHistory[${i}].ageDiagnosed`, message: "is required (whole years)" });
+      return;
+    }
+    if (r.ageDied !== undefined && !Number.isInteger(r.ageDied)) {
+      errors.push({ field: `familyHistory[${i}].ageDied`, message: "must be whole years" });
+      return;
+    }
+    counted.push({ parent: PARENTS.includes(relation), cvd, colon, ageDiagnosed, ageDied: r.ageDied });
+  });
+
+  // Deaths first, earliest ages first, so the relative that matters most is the one encoded
+  counted.sort((a, b) => (a.ageDied === undefined) - (b.ageDied === undefined) || a.ageDiagnosed - b.ageDiagnosed);
+  const deaths = counted.filter(r => r.ageDied !== undefined).length;
+  params.DoFamily = "Y";
+  params.NumDeaths = String(deaths);
+  params.NumContracted = String(counted.length);
+  counted.slice(0, MAX_RELATIVES).forEach((r, i) => {
+    if (i === 0 && r.ageDied !== undefined) params.AgeDied00 = String(r.ageDied);
+    params[`AgeContracted${i}0`] = String(r.ageDiagnosed);
+    params[`IsParent${i}0`] = yn(r.parent);
+    params[`CVD${i}0`] = yn(r.cvd);
+    params[`ColonCancer${i}0`] = yn(r.colon);
+  });
+  if (counted.length > MAX_RELATIVES) notes.push(`Only the first ${MAX_RELATIVES} qualifying relatives are sent to Compulife`);
+  if (deaths > 1) notes.push("Compulife takes an age of death for one relative only");
+
+  return {
+    diagnosedBefore60: counted.some(r => r.ageDiagnosed < 60),
+    diedBefore60: counted.some(r => r.ageDied !== undefined && r.ageDied < 60),
+  };
+}
+
+// ---- Health class estimate ----
+
+// Best class whose limit the value fits; past every limit → { health: "R", rated: true }
+function classFor(limits, fits) {
+  const health = CLASSES.find(c => limits[c] !== undefined && fits(limits[c]));
+  return health ? { health, rated: false } : { health: "R", rated: true };
+}
+
+function estimateClass(found) {
+  const factors = [];
+  const add = (factor, { health, rated }, reason) => factors.push({ factor, health, rated, reason });
+
+  if (found.tobaccoMonths !== undefined) {
+    const m = found.tobaccoMonths;
+    if (m === null) add("tobacco", { health: "PP", rated: false }, "no tobacco use");
+    else if (m < 12) add("tobacco", { health: "PP", rated: false }, "tobacco in the last 12 months — tobacco rates apply");
+    else add("tobacco", classFor(GUIDELINES.tobaccoFreeMonths, min => m >= min), `tobacco-free ${m} months`);
+  }
+  if (found.bmi) {
+    add("build", classFor(GUIDELINES.bmi, max => found.bmi <= max), `BMI ${found.bmi}`);
+  }
+  if (found.bloodPressure) {
+    const [sys, dia] = found.bloodPressure;
+    add("bloodPressure", classFor(GUIDELINES.bloodPressure, ([s, d]) => sys <= s && dia <= d), `${sys}/${dia}`);
+  }
+  if (found.cholesterol) {
+    const [total, ratio] = found.cholesterol;
+    add("cholesterol", classFor(GUIDELINES.cholesterol, ([t, r]) => total <= t && ratio <= r), `total ${total}, ratio ${ratio}`);
+  }
+  if (found.driving) {
+    const { violations3Years: v, convictions: c } = found.driving;
+    const within = (months, limit) => months !== undefined && months < limit;
+    let result = classFor(GUIDELINES.violations3Years, max => v <= max);
+    let reason = `${v} moving violation(s) in 3 years`;
+    if (within(c.dui, 24)) [result, reason] = [{ health: "R", rated: true }, "DUI within 2 years"];
+    else if (within(c.dui, 60) || within(c.reckless, 36) || within(c.suspended, 36)) {
+      [result, reason] = [{ health: "R", rated: false }, "DUI, reckless driving or suspension on record"];
+    } else if (within(c.multipleAccidents, 36) && CLASSES.indexOf(result.health) < 2) {
+      [result, reason] = [{ health: "RP", rated: false }, "more than one accident in 3 years"];
+    }
+    add("driving", result, reason);
+  }
+  if (found.family) {
+    const { diagnosedBefore60, diedBefore60 } = found.family;
+    const health = diedBefore60 ? "RP" : diagnosedBefore60 ? "P" : "PP";
+    const reason = diedBefore60 ? "parent or sibling died before 60"
+      : diagnosedBefore60 ? "parent or sibling diagnosed before 60" : "no qualifying early family history";
+    add("familyHistory", { health, rated: false }, reason);
+  }
+
+  const worst = factors.reduce((w, f) => Math.max(w, CLASSES.indexOf(f.health)), 0);
+  const health = CLASSES[worst];
+  return {
+    health,
+    label: HEALTH_CLASSES[health],
+    tobacco: found.tobaccoMonths !== undefined && found.tobaccoMonths !== null && found.tobaccoMonths < 12,
+    bmi: found.bmi || null,
+    ratedLikely: factors.some(f => f.rated),
+    limitedBy: factors.filter(f => f.health !== "PP" || f.rated),
+  };
+}
+
+// q: the questionnaire. Returns { params, estimate, unanswered, notes, errors } — on errors the rest is incomplete.
+function mapQuestionnaire(q, { now = new Date() } = {}) {
+  const params = {};
+  const errors = [];
+  const notes = [];
+  const found = {};
+  const unanswered = [];
+
+  if (q.tobacco !== undefined) found.tobaccoMonths = mapTobacco(q.tobacco, params, errors, now);
+  else unanswered.push("tobacco");
+
+  if (q.height !== undefined || q.heightInches !== undefined || q.weightLbs !== undefined) {
+    found.bmi = mapBuild(q, params, errors);
+  } else unanswered.push("height", "weightLbs");
+
+  if (q.bloodPressure) found.bloodPressure = mapBloodPressure(q.bloodPressure, params, errors);
+  else unanswered.push("bloodPressure");
+
+  if (q.cholesterol) found.cholesterol = mapCholesterol(q.cholesterol, params, errors, now);
+  else unanswered.push("cholesterol");
+
+  if (q.driving) found.driving = mapDriving(q.driving, params, errors, now);
+  else unanswered.push("driving");
+
+  if (q.familyHistory !== undefined) found.family = mapFamily(q.familyHistory, params, errors, notes);
+  else unanswered.push("familyHistory");
+
+  if (errors.length) return { params, estimate: null, unanswered, notes, errors };
+
+  const estimate = estimateClass(found);
+  params.Health = estimate.health;
+  if (unanswered.length) notes.push(`The estimate assumes no issues for: ${unanswered.join(", ")}`);
+  return { params, estimate, unanswered, notes, errors: [] };
+}
+
+module.exports = { GUIDELINES, mapQuestionnaire };
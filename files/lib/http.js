@@ -0,0 +1,317 @@
+// ============================================================
+// UPSTREAM HTTP — every outbound call goes through upstreamFetch so it is
+// timed and logged per provider (query strings are never logged), bounded by
+// the provider's timeout, retried with jittered backoff when that is safe, and
+// short-circuited by the provider's circuit breaker while it is failing.
+// ============================================================
+
+const logger = require("./logger");
+
+const log = logger.child("Upstream");
+
+// Per-provider timeouts: "anthropic:120000,google-drive:90000" overrides these
+const DEFAULT_TIMEOUTS_MS = {
+  "anthropic":     120000,
+  "compulife":     15000,
+  "ghl":           15000,
+  "google-drive":  60000,
+  "google-oauth":  10000,
+  "google-vision": 30000,
+  "postmark":      15000,
+  "telnyx":        15000,
+};
+const FALLBACK_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || "30000", 10);
+const MAX_RETRIES         = parseInt(process.env.UPSTREAM_RETRIES || "2", 10);
+const RETRY_BASE_MS       = parseInt(process.env.UPSTREAM_RETRY_BASE_MS || "250", 10);
+const RETRY_MAX_MS        = 5000;
+const BREAKER_THRESHOLD   = parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD || "5", 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_MS || "30000", 10);
+
+// Statuses that mean "the provider is struggling" — retried (when idempotent) and counted by the breaker.
+// 429 is left to callers: GHL backs off itself and Telnyx hands retry-after to the SMS job runner.
+const TRANSIENT_STATUSES = [500, 502, 503, 504, 529];
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+// Connection failures where the request never left the hub, so even a POST is safe to send again
+const NOT_SENT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"];
+
+const ERROR_CODES = {
+  TIMEOUT: "UPSTREAM_TIMEOUT",
+  CIRCUIT_OPEN: "UPSTREAM_CIRCUIT_OPEN",
+  NETWORK: "UPSTREAM_NETWORK_ERROR",
+};
+
+class UpstreamError extends Error {
+  constructor(provider, code, message, status, details) {
+    super(message);
+    this.name = "UpstreamError";
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function parseTimeouts(raw) {
+  const timeouts = { ...DEFAULT_TIMEOUTS_MS };
+  for (const entry of (raw || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [provider, ms] = entry.split(":");
+    const n = parseInt(ms, 10);
+    if (!provider || !(n > 0)) throw new Error(`UPSTREAM_TIMEOUTS entry ${entry} must be provider:milliseconds`);
+    timeouts[provider] = n;
+  }
+  return timeouts;
+}
+
+const TIMEOUTS_MS = parseTimeouts(process.env.UPSTREAM_TIMEOUTS);
+
+// The configured timeout for a provider — for clients that keep their own override on top of it
+function timeoutFor(provider) {
+  return TIMEOUTS_MS[provider] || FALLBACK_TIMEOUT_MS;
+}
+
+function describe(url) {
+  try {
+    const u = new URL(url);
+    return { host: u.host, path: u.pathname };
+  } catch {
+    return { host: null, path: String(url).split("?")[0] };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---- Circuit breakers: closed → (BREAKER_THRESHOLD failures in a row) → open → (cooldown) → half-open ----
+const breakers = new Map();
+
+function breakerFor(provider) {
+  let b = breakers.get(provider);
+  if (!b) {
+    b = {
+      state: "closed",
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      calls: 0,
+      failures: 0,
+      retries: 0,
+      shortCircuited: 0,
+      timeoutMs: null,
+    };
+    breakers.set(provider, b);
+  }
+  return b;
+}
+
+// Throws CIRCUIT_OPEN while the provider is cooling down; lets one trial call through after that
+function admit(provider, b) {
+  if (b.state === "closed") return;
+  const retryAt = b.openedAt + BREAKER_COOLDOWN_MS;
+  if (b.state === "open" && Date.now() >= retryAt) {
+    b.state = "half-open";
+    log.info("circuit half-open", { provider });
+  }
+  if (b.state === "half-open" && !b.trialInFlight) {
+    b.trialInFlight = true;
+    return;
+  }
+  b.shortCircuited++;
+  throw new UpstreamError(provider, ERROR_CODES.CIRCUIT_OPEN,
+    `${provider} is unavailable (circuit open after ${b.consecutiveFailures} failures); try again shortly`, 503,
+    { retryAfterMs: Math.max(0, retryAt - Date.now()) });
+}
+
+function recordSuccess(provider, b) {
+  if (b.state !== "closed") log.info("circuit closed", { provider });
+  b.state = "closed";
+  b.consecutiveFailures = 0;
+  b.trialInFlight = false;
+  b.lastSuccessAt = new Date().toISOString();
+}
+
+function recordFailure(provider, b, error) {
+  b.failures++;
+  b.consecutiveFailures++;
+  b.lastError = error;
+  b.lastFailureAt = new Date().toISOString();
+  b.trialInFlight = false;
+  if (b.state === "half-open" || (b.state === "closed" && b.consecutiveFailures >= BREAKER_THRESHOLD)) {
+    b.state = "open";
+    b.openedAt = Date.now();
+    log.warn("circuit opened", { provider, consecutiveFailures: b.consecutiveFailures, cooldownMs: BREAKER_COOLDOWN_MS, error });
+  }
+}
+
+// Full jitter over an exponential window; a short Retry-After from the provider wins
+function backoff(attempt, resp) {
+  const retryAfter = resp ? Number(resp.headers.get("retry-after")) : NaN;
+  if (retryAfter > 0 && retryAfter * 1000 <= RETRY_MAX_MS) return retryAfter * 1000;
+  return Math.floor(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt + 1)));
+}
+
+// One attempt bounded by timeoutMs. Without `stream` the timeout covers the whole exchange, body
+// included; with `stream` it bounds the wait for headers and then each gap between body chunks, so a
+// long stream may flow for as long as it keeps sending. The caller's signal stays linked until the
+// body has been read or cancelled, and a timeout while reading the body surfaces as UPSTREAM_TIMEOUT.
+async function attemptFetch(provider, url, init, { timeoutMs, stream }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    timer.unref();
+  };
+  arm();
+
+  const callerSignal = init.signal;
+  const onCallerAbort = () => controller.abort(callerSignal.reason);
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort(callerSignal.reason);
+    else callerSignal.addEventListener("abort", onCallerAbort, { once: true });
+  }
+  const release = () => {
+    clearTimeout(timer);
+    if (callerSignal) callerSignal.removeEventListener("abort", onCallerAbort);
+  };
+
+  let resp;
+  try {
+    resp = await fetch(url, { ...init, signal: controller.signal });
+  } catch (e) {
+    release();
+    if (timedOut) e.timedOut = true;
+    throw e;
+  }
+  if (!resp.body) {
+    release();
+    return resp;
+  }
+  if (stream) arm();
+
+  const timeoutError = () => new UpstreamError(provider, ERROR_CODES.TIMEOUT, stream
+    ? `${provider} stream stalled for ${timeoutMs}ms`
+    : `${provider} did not finish responding within ${timeoutMs}ms`, 504);
+  return guardBody(resp, { release, onChunk: stream ? arm : null, failure: () => (timedOut ? timeoutError() : null) });
+}
+
+// Re-wraps a response so reading its body keeps the attempt's timer and abort link alive until the end
+function guardBody(resp, { release, onChunk, failure }) {
+  const reader = resp.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (e) {
+        release();
+        const timeout = failure();
+        if (timeout) log.error("upstream body timed out", { provider: timeout.provider, error: timeout.message });
+        throw timeout || e;
+      }
+      if (chunk.done) {
+        release();
+        return controller.close();
+      }
+      if (onChunk) onChunk();
+      controller.enqueue(chunk.value);
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+// options: { timeoutMs, idempotent, stream }. `idempotent` defaults to true for GET/HEAD/OPTIONS/PUT/DELETE;
+// set it on POSTs that are safe to repeat (reads, token refreshes) — never on billed or side-effecting calls.
+// Network errors, timeouts and 5xx are retried up to UPSTREAM_RETRIES times only when idempotent; a connection
+// that could not be opened (nothing was sent) is retried for any call. Resolves with the last Response (any
+// status) or throws UpstreamError (TIMEOUT 504, NETWORK 502, CIRCUIT_OPEN 503); a caller abort is rethrown as-is.
+// Reading the returned body can likewise reject with TIMEOUT or the caller's abort.
+async function upstreamFetch(provider, url, init = {}, options = {}) {
+  const method = (init.method || "GET").toUpperCase();
+  const target = describe(url);
+  const timeoutMs = options.timeoutMs || timeoutFor(provider);
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+  const retryAny = idempotent && !options.stream;
+  const b = breakerFor(provider);
+  b.timeoutMs = timeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    admit(provider, b);
+    b.calls++;
+    const started = process.hrtime.bigint();
+    const elapsed = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+    const fields = { provider, method, ...target, attempt: attempt + 1 };
+
+    let resp, failure, notSent = false;
+    try {
+      resp = await attemptFetch(provider, url, init, { timeoutMs, stream: options.stream });
+    } catch (e) {
+      if (init.signal && init.signal.aborted) {
+        // The caller gave up (e.g. its client disconnected) — not the provider's fault
+        b.trialInFlight = false;
+        log.info("upstream call aborted", { ...fields, durationMs: elapsed() });
+        throw e;
+      }
+      notSent = !e.timedOut && NOT_SENT_ERRORS.includes(e.cause?.code);
+      failure = e.timedOut
+        ? new UpstreamError(provider, ERROR_CODES.TIMEOUT, `${provider} did not respond within ${timeoutMs}ms`, 504)
+        : new UpstreamError(provider, ERROR_CODES.NETWORK, `${provider} request failed: ${e.message}`, 502);
+    }
+
+    if (resp && !TRANSIENT_STATUSES.includes(resp.status)) {
+      recordSuccess(provider, b);
+      const done = { ...fields, status: resp.status, durationMs: elapsed() };
+      if (resp.status >= 400) log.warn("upstream call rejected", done);
+      else log.info("upstream call", done);
+      return resp;
+    }
+
+    recordFailure(provider, b, failure ? failure.message : `HTTP ${resp.status}`);
+    if (failure) log.error("upstream call errored", { ...fields, durationMs: elapsed(), error: failure.message });
+    else log.error("upstream call failed", { ...fields, status: resp.status, durationMs: elapsed() });
+
+    if (attempt >= MAX_RETRIES || !(retryAny || notSent) || b.state === "open") {
+      if (failure) throw failure;
+      return resp;
+    }
+    const wait = backoff(attempt, resp);
+    if (resp) await resp.body?.cancel().catch(() => {});
+    b.retries++;
+    log.warn("retrying upstream call", { provider, method, ...target, attempt: attempt + 1, maxRetries: MAX_RETRIES, waitMs: wait });
+    await sleep(wait);
+    if (init.signal && init.signal.aborted) throw init.signal.reason;
+  }
+}
+
+// Breaker state per provider seen since startup, for the health check
+function upstreamHealth() {
+  const out = {};
+  for (const [provider, b] of breakers) {
+    const open = b.state === "open";
+    out[provider] = {
+      state: b.state,
+      consecutiveFailures: b.consecutiveFailures,
+      ...(open ? { retryAt: new Date(b.openedAt + BREAKER_COOLDOWN_MS).toISOString() } : {}),
+      lastError: b.lastError,
+      lastFailureAt: b.lastFailureAt,
+      lastSuccessAt: b.lastSuccessAt,
+      calls: b.calls,
+      failures: b.failures,
+      retries: b.retries,
+      shortCircuited: b.shortCircuited,
+      timeoutMs: b.timeoutMs,
+    };
+  }
+  return out;
+}
+
+module.exports = { ERROR_CODES, UpstreamError, timeoutFor, upstreamFetch, upstreamHealth };
@@ -0,0 +1,23 @@
+// ============================================================
+// JSON FILE — optional on-disk persistence for small in-memory stores
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a half-written file behind.
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+
+// Returns the parsed contents, or `fallback` when the file does not exist yet.
+// A file that exists but cannot be parsed throws — callers decide whether that is fatal.
+function readJsonFile(file, fallback) {
+  if (!file || !fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJsonFile(file, value) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
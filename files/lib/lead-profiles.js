@@ -0,0 +1,233 @@
+// ============================================================
+// LEAD PROFILES — one field schema + prompt per kind of lead card
+// Built in: mortgage protection, final expense, IUL, annuity, Medicare supplement.
+// Vendor profiles come from LEAD_PROFILES_FILE and extend a built-in one with
+// layout notes and extra fields. A vendor profile's `vendorFolder` is the same
+// name /drive/upload files that vendor's cards under, so a request that knows
+// the folder gets the matching profile without naming it.
+// ============================================================
+
+const logger = require("./logger");
+const { readJsonFile } = require("./json-file");
+
+const log = logger.child("LeadProfiles");
+
+const PROFILES_FILE   = process.env.LEAD_PROFILES_FILE || "";
+const DEFAULT_PROFILE = process.env.LEAD_DEFAULT_PROFILE || "mortgage-protection";
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const FIELD_RE = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+// Field types lead-scan knows how to normalize; `hint` is the format asked for in plain-JSON prompts
+const FIELD_TYPES = {
+  string:  { hint: "" },
+  phone:   { hint: "digits" },
+  email:   { hint: "" },
+  date:    { hint: "MM/DD/YYYY" },
+  state:   { hint: "2-letter" },
+  zip:     { hint: "5 digits" },
+  money:   { hint: "numbers only" },
+  integer: { hint: "whole number" },
+  sex:     { hint: "M or F" },
+  yesno:   { hint: "Y or N" },
+};
+
+const field = (name, type, description, extra) => ({ name, type, description, ...extra });
+
+const CONTACT_FIELDS = [
+  field("firstName",  "string", "First name"),
+  field("lastName",   "string", "Last name"),
+  field("phone",      "phone",  "Best phone number"),
+  field("email",      "email",  "Email address"),
+  field("dob",        "date",   "Date of birth"),
+  field("address",    "string", "Street address"),
+  field("city",       "string", "City"),
+  field("state",      "state",  "State (2-letter code or full name)"),
+  field("zip",        "zip",    "ZIP code"),
+  field("leadSource", "string", "Lead vendor or source printed on the card"),
+];
+
+const HEALTH_FIELDS = [
+  field("sex",          "sex",     "Sex / gender"),
+  field("tobaccoUse",   "yesno",   "Uses tobacco or nicotine"),
+  field("heightInches", "integer", "Height in total inches (5'10\" = 70)"),
+  field("weightLbs",    "integer", "Weight in pounds"),
+];
+
+const BUILT_IN = [
+  {
+    id: "mortgage-protection",
+    name: "Mortgage Protection",
+    card: "a mortgage protection insurance lead card",
+    fields: [
+      ...CONTACT_FIELDS,
+      field("mortgageAmount",      "money",  "Mortgage / loan amount"),
+      field("lender",              "string", "Mortgage lender"),
+      field("sex",                 "sex",    "Sex / gender"),
+      field("tobaccoUse",          "yesno",  "Uses tobacco or nicotine"),
+      field("coBorrowerFirstName", "string", "Co-borrower first name"),
+      field("coBorrowerLastName",  "string", "Co-borrower last name"),
+      field("coBorrowerDob",       "date",   "Co-borrower date of birth"),
+    ],
+  },
+  {
+    id: "final-expense",
+    name: "Final Expense",
+    card: "a final expense (burial insurance) lead card",
+    fields: [
+      ...CONTACT_FIELDS,
+      ...HEALTH_FIELDS,
+      field("age",                     "integer", "Age, if printed instead of or beside the date of birth"),
+      field("coverageAmount",          "money",   "Coverage amount requested"),
+      field("beneficiaryName",         "string",  "Beneficiary name"),
+      field("beneficiaryRelationship", "string",  "Beneficiary's relationship to the lead"),
+      field("healthConditions",        "string",  "Health conditions or medications listed, comma-separated"),
+    ],
+  },
+  {
+    id: "iul",
+    name: "Indexed Universal Life",
+    card: "an indexed universal life (IUL) insurance lead card",
+    fields: [
+      ...CONTACT_FIELDS,
+      ...HEALTH_FIELDS,
+      field("occupation",     "string",  "Occupation"),
+      field("annualIncome",   "money",   "Annual household income"),
+      field("coverageAmount", "money",   "Death benefit requested"),
+      field("monthlyBudget",  "money",   "Monthly premium budget"),
+      field("retirementAge",  "integer", "Planned retirement age"),
+    ],
+  },
+  {
+    id: "annuity",
+    name: "Annuity",
+    card: "an annuity / retirement income lead card",
+    fields: [
+      ...CONTACT_FIELDS,
+      field("spouseName",          "string",  "Spouse name"),
+      field("retirementAge",       "integer", "Planned or actual retirement age"),
+      field("investableAssets",    "money",   "Investable or rollover assets"),
+      field("retirementAccounts",  "string",  "Account types held (401k, IRA, CDs, existing annuity...)"),
+      field("currentAnnuityValue", "money",   "Value of an existing annuity"),
+      field("riskTolerance",       "string",  "Stated risk tolerance"),
+    ],
+  },
+  {
+    id: "medicare-supplement",
+    name: "Medicare Supplement",
+    card: "a Medicare supplement (Medigap) lead card",
+    fields: [
+      ...CONTACT_FIELDS,
+      field("sex",                "sex",    "Sex / gender"),
+      field("tobaccoUse",         "yesno",  "Uses tobacco or nicotine"),
+      field("partBEffectiveDate", "date",   "Medicare Part B effective date", { allowFuture: true }),
+      field("currentCarrier",     "string", "Current Medicare supplement or Advantage carrier"),
+      field("currentPlan",        "string", "Current plan letter or name"),
+      field("medicaid",           "yesno",  "Has Medicaid"),
+    ],
+  },
+];
+
+const REQUIRED_DEFAULT = ["firstName", "lastName", "phone"];
+
+const profiles = new Map();
+
+function compile(def, base) {
+  const errors = [];
+  if (!ID_RE.test(def.id || "")) errors.push("id must be 2-64 lowercase letters, digits, - or _");
+  if (!def.name) errors.push("name is required");
+  for (const f of def.fields || []) {
+    if (!f || !FIELD_RE.test(f.name || "")) errors.push(`field name ${f && f.name} is invalid`);
+    else if (!FIELD_TYPES[f.type]) errors.push(`field ${f.name} has unknown type ${f.type}`);
+  }
+  // A vendor profile may redefine an inherited field (e.g. with a better description); its version wins
+  const byName = new Map([...(base ? base.fields : []), ...(def.fields || [])].map(f => [f && f.name, f]));
+  if (!byName.size) errors.push("needs fields or extends");
+  const required = def.required || (base ? base.required : REQUIRED_DEFAULT);
+  for (const k of required) if (!byName.has(k)) errors.push(`required field ${k} is not declared`);
+  if (errors.length) throw new Error(`Lead profile ${def.id || "(no id)"}: ${errors.join("; ")}`);
+
+  return {
+    id: def.id,
+    name: def.name,
+    description: def.description || null,
+    card: def.card || (base ? base.card : "an insurance lead card"),
+    notes: [base && base.notes, def.notes].filter(Boolean).join(" ") || null,
+    extends: base ? base.id : null,
+    vendorFolder: def.vendorFolder || null,
+    required,
+    fields: Array.from(byName.values()),
+  };
+}
+
+function load() {
+  for (const def of BUILT_IN) profiles.set(def.id, compile(def));
+  if (!PROFILES_FILE) return;
+
+  let defs;
+  try {
+    defs = readJsonFile(PROFILES_FILE, []);
+  } catch (e) {
+    throw new Error(`Could not read LEAD_PROFILES_FILE: ${e.message}`);
+  }
+  for (const def of defs) {
+    if (profiles.has(def.id)) throw new Error(`Lead profile ${def.id} is already defined`);
+    const base = def.extends ? profiles.get(def.extends) : null;
+    if (def.extends && !base) throw new Error(`Lead profile ${def.id} extends unknown profile ${def.extends}`);
+    profiles.set(def.id, compile(def, base));
+  }
+  log.info("vendor profiles loaded", { count: defs.length });
+}
+
+const folderKey = (name) => String(name || "").trim().toLowerCase();
+
+// By explicit id, else by vendorFolder, else the default profile. Returns null for an unknown id.
+function resolveProfile({ profile, vendorFolder } = {}) {
+  if (profile) return profiles.get(profile) || null;
+  if (vendorFolder) {
+    const key = folderKey(vendorFolder);
+    const match = Array.from(profiles.values()).find(p => p.vendorFolder && folderKey(p.vendorFolder) === key);
+    if (match) return match;
+  }
+  return profiles.get(DEFAULT_PROFILE) || profiles.get("mortgage-protection");
+}
+
+function listProfiles() {
+  return Array.from(profiles.values());
+}
+
+function profileIds() {
+  return Array.from(profiles.keys());
+}
+
+// Prompt for the structured (tool-use) scan
+function toolPrompt(profile, toolName) {
+  return [
+    `This is ${profile.card}. Read every field you can and call ${toolName} once.`,
+    "Copy values as printed — do not guess or reformat. Use null for anything that is not on the card or is unreadable.",
+    profile.notes,
+  ].filter(Boolean).join(" ");
+}
+
+// Prompt for the legacy /anthropic image route, which returns Claude's text as-is
+function jsonPrompt(profile) {
+  const keys = profile.fields
+    .map(f => `"${f.name}":"${FIELD_TYPES[f.type].hint}"`)
+    .join(",");
+  return [
+    `This is ${profile.card}. Extract all fields and return ONLY a JSON object with these keys (null if not found): {${keys}}.`,
+    profile.notes,
+    "Return ONLY the JSON, no markdown, no backticks.",
+  ].filter(Boolean).join(" ");
+}
+
+load();
+
+module.exports = {
+  FIELD_TYPES,
+  resolveProfile,
+  listProfiles,
+  profileIds,
+  toolPrompt,
+  jsonPrompt,
+};
@@ -0,0 +1,303 @@
+// ============================================================
+// LEAD SCAN — lead card image/PDF → validated lead record
+// Claude is forced to answer through a `record_lead` tool whose input schema
+// is the profile's fields (lib/lead-profiles.js) plus a 0–1 confidence per field, so there is no
+// free-text JSON to parse. Every value is then normalized (E.164 phone,
+// MM/DD/YYYY dates, 2-letter state, numeric amounts); values that do not
+// survive normalization are dropped and reported as invalid.
+// ============================================================
+
+const { upstreamFetch } = require("./http");
+const { normalizePhone } = require("./phone");
+const { US_STATES } = require("./compulife-params");
+const leadProfiles = require("./lead-profiles");
+
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "";
+const LEAD_SCAN_MODEL   = process.env.LEAD_SCAN_MODEL || "claude-sonnet-4-20250514";
+const TOOL_NAME = "record_lead";
+
+const MEDIA_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "application/pdf"];
+
+// Base64 prefixes of each format's magic bytes, for uploads that omit mediaType
+const MAGIC = [
+  ["JVBER", "application/pdf"],
+  ["/9j/", "image/jpeg"],
+  ["iVBORw0KGgo", "image/png"],
+  ["R0lGOD", "image/gif"],
+  ["UklGR", "image/webp"],
+];
+
+const STATE_NAMES = {
+  ALABAMA: "AL", ALASKA: "AK", ARIZONA: "AZ", ARKANSAS: "AR", CALIFORNIA: "CA", COLORADO: "CO",
+  CONNECTICUT: "CT", DELAWARE: "DE", "DISTRICT OF COLUMBIA": "DC", FLORIDA: "FL", GEORGIA: "GA",
+  HAWAII: "HI", IDAHO: "ID", ILLINOIS: "IL", INDIANA: "IN", IOWA: "IA", KANSAS: "KS", KENTUCKY: "KY",
+  LOUISIANA: "LA", MAINE: "ME", MARYLAND: "MD", MASSACHUSETTS: "MA", MICHIGAN: "MI", MINNESOTA: "MN",
+  MISSISSIPPI: "MS", MISSOURI: "MO", MONTANA: "MT", NEBRASKA: "NE", NEVADA: "NV", "NEW HAMPSHIRE": "NH",
+  "NEW JERSEY": "NJ", "NEW MEXICO": "NM", "NEW YORK": "NY", "NORTH CAROLINA": "NC", "NORTH DAKOTA": "ND",
+  OHIO: "OH", OKLAHOMA: "OK", OREGON: "OR", PENNSYLVANIA: "PA", "RHODE ISLAND": "RI",
+  "SOUTH CAROLINA": "SC", "SOUTH DAKOTA": "SD", TENNESSEE: "TN", TEXAS: "TX", UTAH: "UT", VERMONT: "VT",
+  VIRGINIA: "VA", WASHINGTON: "WA", "WEST VIRGINIA": "WV", WISCONSIN: "WI", WYOMING: "WY",
+  "PUERTO RICO": "PR", GUAM: "GU", "VIRGIN ISLANDS": "VI",
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+class LeadScanError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "LeadScanError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function isConfigured() {
+  return !!ANTHROPIC_API_KEY;
+}
+
+// ---- Input ----
+
+// Accepts raw base64 or a data: URL. Returns { data, mediaType } or throws LeadScanError(400).
+function prepareFile(file, mediaType) {
+  if (!file || typeof file !== "string") throw new LeadScanError(400, "file (base64) required");
+  let data = file.trim();
+  let type = mediaType;
+  const dataUrl = /^data:([^;,]+);base64,/i.exec(data);
+  if (dataUrl) {
+    type = type || dataUrl[1];
+    data = data.slice(dataUrl[0].length);
+  }
+  data = data.replace(/\s/g, "");
+  if (!type) type = (MAGIC.find(([prefix]) => data.startsWith(prefix)) || [])[1];
+  type = type === "image/jpg" ? "image/jpeg" : type;
+  if (!MEDIA_TYPES.includes(type)) {
+    throw new LeadScanError(400, `mediaType must be one of ${MEDIA_TYPES.join(", ")}`, { mediaType: type || null });
+  }
+  return { data, mediaType: type };
+}
+
+// ---- Anthropic tool ----
+
+function leadTool(fields) {
+  const properties = {};
+  for (const f of fields) {
+    properties[f.name] = { type: ["string", "null"], description: `${f.description}. null if not on the card.` };
+  }
+  properties.confidence = {
+    type: "object",
+    description: "How sure you are of each value you read, 0 (guess) to 1 (clearly printed). Omit fields you left null.",
+    properties: Object.fromEntries(fields.map(f => [f.name, { type: "number", minimum: 0, maximum: 1 }])),
+  };
+  return {
+    name: TOOL_NAME,
+    description: "Record the fields read from the lead card, exactly as printed.",
+    input_schema: {
+      type: "object",
+      properties,
+      required: [...fields.map(f => f.name), "confidence"],
+    },
+  };
+}
+
+// Returns the raw tool input plus the Anthropic `usage` block (so the caller can charge quotas)
+async function callAnthropic({ data, mediaType }, profile) {
+  const r = await upstreamFetch("anthropic", "https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "x-api-key": ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: LEAD_SCAN_MODEL,
+      max_tokens: 1024,
+      tools: [leadTool(profile.fields)],
+      tool_choice: { type: "tool", name: TOOL_NAME },
+      messages: [{
+        role: "user",
+        content: [
+          {
+            type: mediaType === "application/pdf" ? "document" : "image",
+            source: { type: "base64", media_type: mediaType, data },
+          },
+          { type: "text", text: leadProfiles.toolPrompt(profile, TOOL_NAME) },
+        ],
+      }],
+    }),
+  });
+
+  const body = await r.json().catch(() => null);
+  if (!r.ok) {
+    const message = body?.error?.message || `Anthropic returned HTTP ${r.status}`;
+    throw new LeadScanError(r.status === 429 ? 429 : 502, message, { upstreamStatus: r.status });
+  }
+  const call = (body?.content || []).find(b => b.type === "tool_use" && b.name === TOOL_NAME);
+  if (!call || !call.input || typeof call.input !== "object") {
+    throw new LeadScanError(502, "Lead extraction returned no structured result", { stopReason: body?.stop_reason || null });
+  }
+  return { input: call.input, usage: body.usage || null, model: body.model || LEAD_SCAN_MODEL };
+}
+
+// ---- Normalization ----
+
+const clean = (v) => (v === null || v === undefined ? "" : String(v).replace(/\s+/g, " ").trim());
+
+// MM/DD/YYYY, M/D/YY, YYYY-MM-DD or "Jan 5, 1961" → "MM/DD/YYYY"; two-digit years are read as the most recent past year
+// Dates in the future are rejected unless allowFuture (e.g. a Medicare Part B start date).
+function normalizeDate(value, { allowFuture = false } = {}, now = new Date()) {
+  const s = clean(value);
+  let month, day, year;
+  let m;
+  if ((m = /^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})$/.exec(s))) {
+    [month, day, year] = [+m[1], +m[2], m[3]];
+  } else if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s))) {
+    [year, month, day] = [m[1], +m[2], +m[3]];
+  } else if ((m = /^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/.exec(s))) {
+    [month, day, year] = [MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2], m[3]];
+  } else {
+    return null;
+  }
+  if (String(year).length === 2) {
+    const yy = +year;
+    year = allowFuture || yy <= now.getFullYear() % 100 ? 2000 + yy : 1900 + yy;
+  }
+  year = +year;
+  const d = new Date(year, month - 1, day);
+  if (!month || d.getMonth() !== month - 1 || d.getDate() !== day) return null;
+  if ((!allowFuture && d > now) || year < 1900) return null;
+  return `${String(month).padStart(2, "0")}/${String(day).padStart(2, "0")}/${year}`;
+}
+
+function normalizeState(value) {
+  const s = clean(value).toUpperCase().replace(/\./g, "");
+  if (US_STATES.includes(s)) return s;
+  return STATE_NAMES[s] || null;
+}
+
+// "$250,000", "250k", "1.2M" → 250000 / 1200000
+function normalizeMoney(value) {
+  const s = clean(value).toLowerCase().replace(/[$,\s]/g, "");
+  const m = /^(\d+(?:\.\d+)?)([km])?$/.exec(s);
+  if (!m) return null;
+  const n = parseFloat(m[1]) * (m[2] === "k" ? 1e3 : m[2] === "m" ? 1e6 : 1);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : null;
+}
+
+const NORMALIZERS = {
+  string: (v) => clean(v) || null,
+  phone: (v) => normalizePhone(clean(v)),
+  email: (v) => {
+    const s = clean(v).toLowerCase().replace(/\s/g, "");
+    return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(s) ? s : null;
+  },
+  date: (v, f) => normalizeDate(v, { allowFuture: !!f.allowFuture }),
+  state: (v) => normalizeState(v),
+  zip: (v) => {
+    const m = /^(\d{5})(?:-?(\d{4}))?$/.exec(clean(v).replace(/\s/g, ""));
+    return m ? (m[2] ? `${m[1]}-${m[2]}` : m[1]) : null;
+  },
+  money: (v) => normalizeMoney(v),
+  integer: (v) => {
+    const m = /^(\d{1,7})(?:\.0+)?$/.exec(clean(v).replace(/,/g, ""));
+    return m ? parseInt(m[1], 10) : null;
+  },
+  sex: (v) => {
+    const s = clean(v).toUpperCase();
+    return ["M", "MALE", "MAN"].includes(s) ? "M" : ["F", "FEMALE", "WOMAN"].includes(s) ? "F" : null;
+  },
+  yesno: (v) => {
+    const s = clean(v).toUpperCase();
+    return ["Y", "YES", "TRUE", "X"].includes(s) ? true : ["N", "NO", "FALSE"].includes(s) ? false : null;
+  },
+};
+
+const FORMAT_HINTS = {
+  phone: "not a valid phone number",
+  email: "not a valid email address",
+  date: "not a valid date",
+  state: "not a US state",
+  zip: "not a 5 or 9 digit ZIP",
+  money: "not a dollar amount",
+  integer: "not a whole number",
+  sex: "not M or F",
+  yesno: "not yes or no",
+};
+
+// Returns { lead, confidence, missing, invalid, incomplete }
+function normalizeLead(input, profile) {
+  const rawConfidence = input.confidence && typeof input.confidence === "object" ? input.confidence : {};
+  const lead = {};
+  const confidence = {};
+  const missing = [];
+  const invalid = [];
+
+  for (const f of profile.fields) {
+    const raw = input[f.name];
+    if (clean(raw) === "" || /^(null|n\/?a|none|unknown)$/i.test(clean(raw))) {
+      lead[f.name] = null;
+      missing.push(f.name);
+      continue;
+    }
+    const value = NORMALIZERS[f.type](raw, f);
+    if (value === null) {
+      lead[f.name] = null;
+      missing.push(f.name);
+      invalid.push({ field: f.name, value: clean(raw), message: FORMAT_HINTS[f.type] || "unreadable" });
+      continue;
+    }
+    lead[f.name] = value;
+    const c = Number(rawConfidence[f.name]);
+    confidence[f.name] = Number.isFinite(c) ? Math.min(1, Math.max(0, Math.round(c * 100) / 100)) : null;
+  }
+
+  return {
+    lead,
+    confidence,
+    missing,
+    invalid,
+    incomplete: profile.required.some(k => missing.includes(k)),
+  };
+}
+
+// The profile named in the request, else the one for its vendorFolder, else the default
+function profileFor({ profile, vendorFolder } = {}) {
+  const resolved = leadProfiles.resolveProfile({ profile, vendorFolder });
+  if (!resolved) {
+    throw new LeadScanError(400, `Unknown lead profile ${profile}`, { profiles: leadProfiles.profileIds() });
+  }
+  return resolved;
+}
+
+// Where /drive/upload should file this card: the vendor profile's folder when the caller's
+// names the same vendor (so "acme leads" and "Acme Leads" share one folder), else the caller's
+function driveFolder(requested, profile) {
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  if (profile.vendorFolder && (!requested || same(requested, profile.vendorFolder))) return profile.vendorFolder;
+  return requested || null;
+}
+
+// file: base64 or data: URL. Resolves to normalizeLead()'s result plus
+// { profile: { id, name }, vendorFolder, model, usage, mediaType }.
+async function scanLead({ file, mediaType, profile, vendorFolder }) {
+  if (!isConfigured()) throw new LeadScanError(500, "ANTHROPIC_API_KEY not configured");
+  const resolved = profileFor({ profile, vendorFolder });
+  const prepared = prepareFile(file, mediaType);
+  const { input, usage, model } = await callAnthropic(prepared, resolved);
+  return {
+    ...normalizeLead(input, resolved),
+    profile: { id: resolved.id, name: resolved.name },
+    vendorFolder: driveFolder(vendorFolder, resolved),
+    model,
+    usage,
+    mediaType: prepared.mediaType,
+  };
+}
+
+module.exports = {
+  LeadScanError,
+  isConfigured,
+  prepareFile,
+  profileFor,
+  normalizeLead,
+  scanLead,
+};
@@ -0,0 +1,125 @@
+// ============================================================
+// LOGGER — one JSON line per event, with the request ID attached automatically
+// Secrets (auth IDs, API keys, tokens) and client PII (phones, emails, DOBs)
+// are redacted before anything is written.
+// ============================================================
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// ---- Redaction ----
+// Credential-shaped token keys only, so usage counts like input_tokens / max_tokens still log
+const SECRET_KEY_RE = /(authorization|api[-_]?key|(access|refresh|id|auth|bearer|session|csrf)[-_]?token|^token$|[-_]token$|secret|password|signature|COMPULIFEAUTHORIZATIONID|auth[-_]?id)/i;
+const PII_KEY_RE    = /^(dob|birthdate|birth_?date|coBorrowerDob|ssn)$/i;
+const EMAIL_RE      = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_RE      = /(?<![\w])\+?1?[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\w])/g;
+
+// Literal secret values from env, so they are scrubbed even when embedded in a URL or message
+const SECRET_VALUES = Object.entries(process.env)
+  .filter(([k, v]) => /(KEY|TOKEN|SECRET|AUTH_ID|PASSWORD)/.test(k) && v && v.length >= 6)
+  .map(([, v]) => v);
+
+function maskEmail(email) {
+  const [user, domain] = email.split("@");
+  return `${user.slice(0, 1)}***@${domain}`;
+}
+
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, "");
+  return `***-***-${digits.slice(-4)}`;
+}
+
+function redactString(s) {
+  let out = s;
+  for (const v of SECRET_VALUES) {
+    if (out.includes(v)) out = out.split(v).join("[REDACTED]");
+  }
+  return out.replace(EMAIL_RE, maskEmail).replace(PHONE_RE, maskPhone);
+}
+
+function redact(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (depth > 6) return "[…]";
+  if (value instanceof Error) return { name: value.name, message: redactString(value.message) };
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (SECRET_KEY_RE.test(k)) out[k] = "[REDACTED]";
+    else if (PII_KEY_RE.test(k)) out[k] = v ? "[REDACTED]" : v;
+    else out[k] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+// ---- Writer ----
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  const ctx = context.getStore();
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    component,
+    msg: redactString(String(msg)),
+    ...(ctx ? { requestId: ctx.requestId } : {}),
+    ...(fields ? redact(fields) : {}),
+  };
+  const line = JSON.stringify(entry);
+  if (level === "error") process.stderr.write(line + "\n");
+  else process.stdout.write(line + "\n");
+}
+
+function child(component) {
+  return {
+    debug: (msg, fields) => write("debug", component, msg, fields),
+    info:  (msg, fields) => write("info", component, msg, fields),
+    warn:  (msg, fields) => write("warn", component, msg, fields),
+    error: (msg, fields) => write("error", component, msg, fields),
+  };
+}
+
+// ---- Request middleware ----
+// Honors an incoming X-Request-Id (e.g. from the front end) when it looks sane, else mints one
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{6,100}$/;
+const httpLog = child("HTTP");
+
+function requestContext(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    context.run({ requestId }, () => httpLog[level]("request completed", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs),
+      principal: req.principal ? req.principal.id : undefined,
+    }));
+  });
+
+  context.run({ requestId }, next);
+}
+
+function currentRequestId() {
+  const ctx = context.getStore();
+  return ctx ? ctx.requestId : null;
+}
+
+module.exports = {
+  child,
+  redact,
+  requestContext,
+  currentRequestId,
+};
@@ -0,0 +1,14 @@
+// ============================================================
+// PHONE NORMALIZE HELPER — loose input → E.164 (US default), or null
+// ============================================================
+
+function normalizePhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, "");
+  if (digits.length === 10) return "+1" + digits;
+  if (digits.length === 11 && digits[0] === "1") return "+" + digits;
+  if (digits.length > 10) return "+" + digits;
+  return null;
+}
+
+module.exports = { normalizePhone };
@@ -0,0 +1,221 @@
+// ============================================================
+// POSTMARK CLIENT — single, templated and batch email, webhook auth
+// buildMessage() turns a hub request body into a Postmark message; sends
+// resolve per-message results ({ ok, messageId, errorCode, error }); single
+// sends throw on network failures, batches fail only the affected messages.
+// ============================================================
+
+const crypto = require("crypto");
+const { upstreamFetch } = require("./http");
+
+const POSTMARK_API_BASE       = (process.env.POSTMARK_API_BASE || "https://api.postmarkapp.com").replace(/\/+$/, "");
+const POSTMARK_API_KEY        = process.env.POSTMARK_API_KEY || "";
+const FROM_EMAIL              = process.env.FROM_EMAIL       || "swatkins@quoteit.insure";
+const DEFAULT_MESSAGE_STREAM  = process.env.POSTMARK_MESSAGE_STREAM || "outbound";
+const WEBHOOK_USER            = process.env.POSTMARK_WEBHOOK_USER || "";
+const WEBHOOK_PASSWORD        = process.env.POSTMARK_WEBHOOK_PASSWORD || "";
+
+// Postmark limits
+const MAX_RECIPIENTS      = 50;               // To + Cc + Bcc per message
+const MAX_BATCH           = 500;              // messages per batch call
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024; // total per message, decoded
+const MAX_METADATA_KEYS   = 10;
+
+const STREAM_RE = /^[a-z0-9][a-z0-9-]{0,99}$/i;
+const BASE64_RE = /^[A-Za-z0-9+/\s]*={0,2}$/;
+
+function isConfigured() {
+  return !!POSTMARK_API_KEY;
+}
+
+function webhookConfigured() {
+  return !!(WEBHOOK_USER && WEBHOOK_PASSWORD);
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest();
+
+// Postmark webhooks carry the credentials embedded in the webhook URL as HTTP basic auth.
+// Returns null when they match, else a reason string.
+function verifyWebhookAuth(header) {
+  if (!webhookConfigured()) return "POSTMARK_WEBHOOK_USER / POSTMARK_WEBHOOK_PASSWORD not configured";
+  const m = /^Basic\s+(.+)$/i.exec(header || "");
+  if (!m) return "Missing basic auth credentials";
+  const decoded = Buffer.from(m[1], "base64").toString("utf8");
+  const sep = decoded.indexOf(":");
+  const user = sep === -1 ? decoded : decoded.slice(0, sep);
+  const password = sep === -1 ? "" : decoded.slice(sep + 1);
+  // Compare both halves every time so timing does not reveal which one was wrong
+  const userOk = crypto.timingSafeEqual(sha256(user), sha256(WEBHOOK_USER));
+  const passwordOk = crypto.timingSafeEqual(sha256(password), sha256(WEBHOOK_PASSWORD));
+  return userOk && passwordOk ? null : "Invalid basic auth credentials";
+}
+
+// "a@x.com, B <b@y.com>" or ["a@x.com", ...] → array of addresses
+function addressList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map(a => String(a).trim()).filter(Boolean);
+}
+
+function looksLikeAddress(a) {
+  return /^[^@\s<>]+@[^@\s<>]+\.[^@\s<>]+$/.test(a.replace(/^.*<([^>]+)>\s*$/, "$1"));
+}
+
+// Validates and maps one hub email body. Returns { message, template, errors }.
+// Body: { to, cc, bcc, subject, html, text, replyTo, tag, metadata, messageStream, attachments,
+//         postmarkTemplateId | postmarkTemplateAlias, templateModel }
+function buildMessage(input) {
+  const errors = {};
+  const to = addressList(input.to);
+  const cc = addressList(input.cc);
+  const bcc = addressList(input.bcc);
+  const template = !!(input.postmarkTemplateId || input.postmarkTemplateAlias);
+
+  if (!to.length) errors.to = "is required";
+  const bad = [...to, ...cc, ...bcc].filter(a => !looksLikeAddress(a));
+  if (bad.length) errors.recipients = `invalid address: ${bad.join(", ")}`;
+  if (to.length + cc.length + bcc.length > MAX_RECIPIENTS) errors.recipients = `at most ${MAX_RECIPIENTS} To/Cc/Bcc recipients`;
+
+  if (template) {
+    if (input.postmarkTemplateId && input.postmarkTemplateAlias) errors.postmarkTemplateId = "use postmarkTemplateId or postmarkTemplateAlias, not both";
+    if (input.templateModel !== undefined && (typeof input.templateModel !== "object" || Array.isArray(input.templateModel))) {
+      errors.templateModel = "must be an object";
+    }
+  } else {
+    if (!input.subject) errors.subject = "is required";
+    if (!input.html && !input.text) errors.html = "html or text is required";
+  }
+
+  const stream = input.messageStream || DEFAULT_MESSAGE_STREAM;
+  if (!STREAM_RE.test(stream)) errors.messageStream = "must be a Postmark message stream ID";
+
+  if (input.tag !== undefined && (typeof input.tag !== "string" || input.tag.length > 1000)) errors.tag = "must be a string";
+
+  const metadata = input.metadata;
+  if (metadata !== undefined) {
+    const keys = metadata && typeof metadata === "object" && !Array.isArray(metadata) ? Object.keys(metadata) : null;
+    if (!keys) errors.metadata = "must be an object";
+    else if (keys.length > MAX_METADATA_KEYS) errors.metadata = `at most ${MAX_METADATA_KEYS} keys`;
+    else if (keys.some(k => k.length > 20 || String(metadata[k]).length > 80)) errors.metadata = "keys ≤ 20 and values ≤ 80 characters";
+  }
+
+  const attachments = [];
+  if (input.attachments !== undefined) {
+    if (!Array.isArray(input.attachments)) {
+      errors.attachments = "must be an array";
+    } else {
+      let bytes = 0;
+      input.attachments.forEach((a, i) => {
+        if (!a || !a.name || !a.content || !BASE64_RE.test(a.content)) {
+          errors[`attachments[${i}]`] = "needs name and base64 content";
+          return;
+        }
+        bytes += Buffer.byteLength(a.content, "base64");
+        attachments.push({
+          Name: a.name,
+          Content: a.content.replace(/\s/g, ""),
+          ContentType: a.contentType || "application/octet-stream",
+          ...(a.contentId ? { ContentID: a.contentId } : {}),
+        });
+      });
+      if (bytes > MAX_ATTACHMENT_BYTES) errors.attachments = "total attachment size exceeds 10 MB";
+    }
+  }
+
+  if (Object.keys(errors).length) return { message: null, template, errors };
+
+  const message = {
+    From: FROM_EMAIL,
+    To: to.join(", "),
+    ReplyTo: input.replyTo || FROM_EMAIL,
+    MessageStream: stream,
+  };
+  if (cc.length) message.Cc = cc.join(", ");
+  if (bcc.length) message.Bcc = bcc.join(", ");
+  if (input.tag) message.Tag = input.tag;
+  if (metadata) message.Metadata = Object.fromEntries(Object.entries(metadata).map(([k, v]) => [k, String(v)]));
+  if (attachments.length) message.Attachments = attachments;
+
+  if (template) {
+    if (input.postmarkTemplateId) message.TemplateId = Number(input.postmarkTemplateId);
+    else message.TemplateAlias = input.postmarkTemplateAlias;
+    message.TemplateModel = input.templateModel || {};
+  } else {
+    message.Subject = input.subject;
+    message.HtmlBody = input.html || "";
+    message.TextBody = input.text || "";
+  }
+  return { message, template, errors: null };
+}
+
+async function post(path, body) {
+  const r = await upstreamFetch("postmark", `${POSTMARK_API_BASE}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Postmark-Server-Token": POSTMARK_API_KEY,
+      "Accept": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json().catch(() => null);
+  return { status: r.status, data };
+}
+
+function toResult(item, status) {
+  const ok = status < 400 && item && item.ErrorCode === 0;
+  return {
+    ok,
+    status,
+    messageId: item?.MessageID || null,
+    to: item?.To || null,
+    submittedAt: item?.SubmittedAt || null,
+    ...(ok ? {} : { errorCode: item?.ErrorCode ?? null, error: item?.Message || "Postmark send failed" }),
+  };
+}
+
+async function sendMessage(message, { template = false } = {}) {
+  const { status, data } = await post(template ? "/email/withTemplate" : "/email", message);
+  return toResult(data, status);
+}
+
+// entries: [{ message, template }] → results in the same order; never throws. Templated and plain
+// messages go to Postmark's two batch endpoints, each on its own: a whole-call failure (rejected
+// or unreachable) fails only that call's messages, so the other call's deliveries are still reported.
+async function sendBatch(entries) {
+  const results = new Array(entries.length);
+  const groups = [
+    { path: "/email/batch", indexes: [], wrap: (messages) => messages },
+    { path: "/email/batchWithTemplates", indexes: [], wrap: (messages) => ({ Messages: messages }) },
+  ];
+  entries.forEach((e, i) => groups[e.template ? 1 : 0].indexes.push(i));
+
+  for (const group of groups) {
+    if (!group.indexes.length) continue;
+    let status, data;
+    try {
+      ({ status, data } = await post(group.path, group.wrap(group.indexes.map(i => entries[i].message))));
+    } catch (e) {
+      status = e.status || 502;
+      data = { Message: e.message };
+    }
+    group.indexes.forEach((entryIndex, k) => {
+      results[entryIndex] = Array.isArray(data)
+        ? toResult(data[k], status)
+        : toResult({ ErrorCode: data?.ErrorCode ?? -1, Message: data?.Message }, status >= 400 ? status : 502);
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  POSTMARK_API_KEY,
+  FROM_EMAIL,
+  MAX_BATCH,
+  isConfigured,
+  webhookConfigured,
+  verifyWebhookAuth,
+  buildMessage,
+  sendMessage,
+  sendBatch,
+};
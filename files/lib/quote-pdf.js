@@ -0,0 +1,241 @@
+// ============================================================
+// QUOTE PDF — branded multi-carrier comparison built from a normalized
+// side-by-side quote (see compulife-results.normalizeQuoteResponse)
+// Branding: QUOTE_PDF_BRAND, QUOTE_PDF_COLOR, QUOTE_PDF_LOGO (local PNG/JPEG path),
+// QUOTE_PDF_DISCLAIMER replaces the default disclaimer text.
+// ============================================================
+
+const PDFDocument = require("pdfkit");
+const logger = require("./logger");
+
+const log = logger.child("QuotePdf");
+
+const BRAND_NAME  = process.env.QUOTE_PDF_BRAND || "QuoteIt Insurance";
+const BRAND_COLOR = process.env.QUOTE_PDF_COLOR || "#1F4E79";
+const LOGO_PATH   = process.env.QUOTE_PDF_LOGO  || "";
+const DISCLAIMER  = process.env.QUOTE_PDF_DISCLAIMER || "";
+const MAX_CARRIERS = 50;
+
+const DEFAULT_DISCLAIMERS = [
+  "Premiums shown are estimates based on the information provided and are not guaranteed. " +
+    "Final rates are determined by each carrier's underwriting and may differ from this illustration.",
+  "Rates are current as of the date above and are subject to change without notice. " +
+    "Not all products or rate classes are available in every state.",
+  "This comparison is not a contract, policy or offer of insurance. Coverage is not in force until " +
+    "a policy is issued by the carrier and the first premium is paid.",
+  "A.M. Best ratings reflect the rating agency's opinion of the carrier's financial strength and are subject to change.",
+];
+
+const SEX = { M: "Male", F: "Female" };
+const HEALTH = { PP: "Preferred Plus", P: "Preferred", RP: "Regular Plus", R: "Regular" };
+
+// Landscape letter: 792 × 612pt with 40pt margins leaves 712pt for the table
+const MARGIN = 40;
+const COLUMNS = [
+  { key: "rank",       label: "#",           width: 24 },
+  { key: "carrier",    label: "Carrier",     width: 170 },
+  { key: "product",    label: "Product",     width: 190 },
+  { key: "amBest",     label: "AM Best",     width: 50 },
+  { key: "monthly",    label: "Monthly",     width: 68, align: "right" },
+  { key: "quarterly",  label: "Quarterly",   width: 68, align: "right" },
+  { key: "semiAnnual", label: "Semi-Annual", width: 72, align: "right" },
+  { key: "annual",     label: "Annual",      width: 70, align: "right" },
+];
+const ROW_HEIGHT = 20;
+const FOOTER_HEIGHT = 30;
+
+const money = (n) => (typeof n === "number"
+  ? "$" + n.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  : "—");
+
+function ageFrom(params, on) {
+  const year = Number(params.BirthYear), month = Number(params.BirthMonth), day = Number(params.Birthday);
+  if (!year || !month || !day) return null;
+  let age = on.getFullYear() - year;
+  if (on.getMonth() + 1 < month || (on.getMonth() + 1 === month && on.getDate() < day)) age--;
+  return age;
+}
+
+// Label/value pairs for the client block; anything unknown is left out
+function clientDetails(client, params, quotes, generatedAt) {
+  const term = quotes.find(q => q.term && q.term.years)?.term.years;
+  const age = ageFrom(params, generatedAt);
+  const rows = [
+    ["Prepared for", client.name],
+    ["Email", client.email],
+    ["Phone", client.phone],
+    ["State", params.State || params.Province],
+    ["Age", age !== null ? String(age) : null],
+    ["Sex", SEX[params.Sex] || params.Sex],
+    ["Tobacco", params.Smoker ? (params.Smoker === "Y" ? "Yes" : "No") : null],
+    ["Health class", HEALTH[params.Health] || params.Health],
+    ["Coverage", params.FaceAmount ? money(Number(params.FaceAmount)).replace(/\.00$/, "") : null],
+    ["Term", term ? `${term} years` : null],
+  ];
+  return rows.filter(([, value]) => value);
+}
+
+function rankQuotes(quotes, maxCarriers) {
+  const price = (q) => q.premiums.annual ?? (q.premiums.monthly !== null ? q.premiums.monthly * 12 : Infinity);
+  return quotes.slice().sort((a, b) => price(a) - price(b)).slice(0, maxCarriers);
+}
+
+function drawHeader(doc, { title, generatedAt }) {
+  const width = doc.page.width;
+  doc.rect(0, 0, width, 70).fill(BRAND_COLOR);
+
+  let textX = MARGIN;
+  if (LOGO_PATH) {
+    try {
+      doc.image(LOGO_PATH, MARGIN, 15, { fit: [120, 40] });
+      textX = MARGIN + 132;
+    } catch (e) {
+      log.warn("logo not rendered", { path: LOGO_PATH, error: e.message });
+    }
+  }
+  doc.fillColor("#FFFFFF").font("Helvetica-Bold").fontSize(18).text(BRAND_NAME, textX, 18, { lineBreak: false });
+  doc.font("Helvetica").fontSize(11).text(title, textX, 42, { lineBreak: false });
+  doc.fontSize(9).text(
+    `Prepared ${generatedAt.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}`,
+    MARGIN, 42, { width: width - MARGIN * 2, align: "right", lineBreak: false }
+  );
+  doc.fillColor("#000000");
+  doc.y = 90;
+}
+
+function drawClientBlock(doc, details) {
+  const colWidth = (doc.page.width - MARGIN * 2) / 2;
+  const top = doc.y;
+  details.forEach(([label, value], i) => {
+    const x = MARGIN + (i % 2) * colWidth;
+    const y = top + Math.floor(i / 2) * 16;
+    doc.font("Helvetica-Bold").fontSize(9).fillColor("#555555").text(`${label}:`, x, y, { width: 80, lineBreak: false });
+    doc.font("Helvetica").fillColor("#000000").text(String(value), x + 82, y, { width: colWidth - 90, lineBreak: false });
+  });
+  doc.y = top + Math.ceil(details.length / 2) * 16 + 12;
+}
+
+function drawTableHeader(doc) {
+  const y = doc.y;
+  doc.rect(MARGIN, y, doc.page.width - MARGIN * 2, ROW_HEIGHT).fill(BRAND_COLOR);
+  doc.font("Helvetica-Bold").fontSize(9).fillColor("#FFFFFF");
+  let x = MARGIN;
+  for (const col of COLUMNS) {
+    doc.text(col.label, x + 4, y + 6, { width: col.width - 8, align: col.align || "left", lineBreak: false });
+    x += col.width;
+  }
+  doc.fillColor("#000000");
+  doc.y = y + ROW_HEIGHT;
+}
+
+function drawRow(doc, cells, shaded) {
+  const y = doc.y;
+  if (shaded) doc.rect(MARGIN, y, doc.page.width - MARGIN * 2, ROW_HEIGHT).fill("#F2F5F9");
+  doc.font("Helvetica").fontSize(9).fillColor("#000000");
+  let x = MARGIN;
+  for (const col of COLUMNS) {
+    doc.text(cells[col.key], x + 4, y + 6, {
+      width: col.width - 8,
+      height: ROW_HEIGHT - 6,
+      align: col.align || "left",
+      ellipsis: true,
+      lineBreak: false,
+    });
+    x += col.width;
+  }
+  doc.y = y + ROW_HEIGHT;
+}
+
+function drawTable(doc, quotes) {
+  const bottom = () => doc.page.height - MARGIN - FOOTER_HEIGHT;
+  drawTableHeader(doc);
+  quotes.forEach((q, i) => {
+    if (doc.y + ROW_HEIGHT > bottom()) {
+      doc.addPage();
+      doc.y = MARGIN;
+      drawTableHeader(doc);
+    }
+    drawRow(doc, {
+      rank: String(i + 1),
+      carrier: q.carrier?.name || "—",
+      product: q.product?.name || "—",
+      amBest: q.amBestRating || "—",
+      monthly: money(q.premiums.monthly),
+      quarterly: money(q.premiums.quarterly),
+      semiAnnual: money(q.premiums.semiAnnual),
+      annual: money(q.premiums.annual),
+    }, i % 2 === 1);
+  });
+  doc.y += 16;
+}
+
+function drawDisclaimers(doc, disclaimers) {
+  const width = doc.page.width - MARGIN * 2;
+  doc.font("Helvetica").fontSize(7.5);
+  const height = disclaimers.reduce((h, d) => h + doc.heightOfString(d, { width }) + 4, 14);
+  if (doc.y + height > doc.page.height - MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+    doc.y = MARGIN;
+  }
+  doc.font("Helvetica-Bold").fontSize(8.5).fillColor("#333333").text("Important information", MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(7.5).fillColor("#555555");
+  for (const d of disclaimers) {
+    doc.text(d, MARGIN, doc.y, { width });
+    doc.moveDown(0.3);
+  }
+  doc.fillColor("#000000");
+}
+
+// Drawn once every page exists so it can say "Page n of N"
+function drawFooters(doc, agent) {
+  const agentLine = [agent.name, agent.license ? `License ${agent.license}` : null, agent.phone, agent.email]
+    .filter(Boolean).join("  ·  ");
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const width = doc.page.width - MARGIN * 2;
+    const y = doc.page.height - MARGIN - 10;
+    // Writing below the bottom margin would otherwise spill onto a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.moveTo(MARGIN, y - 6).lineTo(MARGIN + width, y - 6).lineWidth(0.5).strokeColor("#CCCCCC").stroke();
+    doc.font("Helvetica").fontSize(8).fillColor("#666666");
+    if (agentLine) doc.text(agentLine, MARGIN, y, { width, lineBreak: false });
+    doc.text(`Page ${i - start + 1} of ${count}`, MARGIN, y, { width, align: "right", lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+// quote: normalized quote response. Resolves to { buffer, carriers } once the document is finished.
+function renderQuotePdf({ quote, params = {}, client = {}, agent = {}, title, maxCarriers = 20, disclaimers, generatedAt = new Date() }) {
+  const quotes = rankQuotes(quote.quotes || [], Math.min(Math.max(1, maxCarriers), MAX_CARRIERS));
+  const doc = new PDFDocument({
+    size: "LETTER",
+    layout: "landscape",
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: title || "Life Insurance Quote Comparison", Author: BRAND_NAME, Creator: "iagentiq-api-hub" },
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("error", reject);
+    doc.on("end", () => resolve({ buffer: Buffer.concat(chunks), carriers: quotes.length }));
+
+    try {
+      drawHeader(doc, { title: title || "Life Insurance Quote Comparison", generatedAt });
+      const details = clientDetails(client, params, quotes, generatedAt);
+      if (details.length) drawClientBlock(doc, details);
+      drawTable(doc, quotes);
+      drawDisclaimers(doc, disclaimers || (DISCLAIMER ? [DISCLAIMER] : DEFAULT_DISCLAIMERS));
+      drawFooters(doc, agent);
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
+
+module.exports = { MAX_CARRIERS, renderQuotePdf };
@@ -0,0 +1,174 @@
+// ============================================================
+// RATE LIMITING — token buckets keyed by caller (principal id, else IP)
+// Store interface (so Redis etc. can replace memory later):
+//   take(key, cost, { capacity, refillPerMs })   → { allowed, remaining, resetMs, retryMs }
+//   peek(key, { capacity, refillPerMs })         → { remaining, resetMs, retryMs }
+//   debit(key, cost, { capacity, refillPerMs })  → { remaining, resetMs, retryMs }  (may go negative)
+// All store methods may be sync or async.
+// ============================================================
+
+const logger = require("./logger");
+
+const log = logger.child("RateLimit");
+
+const SWEEP_INTERVAL_MS = 60000;
+
+class MemoryStore {
+  constructor({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+    this.buckets = new Map();
+    // A bucket that has refilled to capacity is the same as no bucket, so idle callers are dropped
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, b] of this.buckets) {
+      if (b.tokens + (now - b.updatedAt) * b.refillPerMs >= b.capacity) this.buckets.delete(key);
+    }
+  }
+
+  _refill(key, { capacity, refillPerMs }) {
+    const now = Date.now();
+    let b = this.buckets.get(key);
+    if (!b) {
+      b = { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+      this.buckets.set(key, b);
+    } else {
+      b.tokens = Math.min(capacity, b.tokens + (now - b.updatedAt) * refillPerMs);
+      b.updatedAt = now;
+    }
+    return b;
+  }
+
+  _state(b, { capacity, refillPerMs }) {
+    const missing = capacity - b.tokens;
+    return {
+      remaining: Math.max(0, Math.floor(b.tokens)),
+      resetMs: missing > 0 ? Math.ceil(missing / refillPerMs) : 0,
+      retryMs: b.tokens >= 1 ? 0 : Math.ceil((1 - b.tokens) / refillPerMs),
+    };
+  }
+
+  take(key, cost, policy) {
+    const b = this._refill(key, policy);
+    if (b.tokens < cost) {
+      return { allowed: false, ...this._state(b, policy), retryMs: Math.ceil((cost - b.tokens) / policy.refillPerMs) };
+    }
+    b.tokens -= cost;
+    return { allowed: true, ...this._state(b, policy) };
+  }
+
+  peek(key, policy) {
+    return this._state(this._refill(key, policy), policy);
+  }
+
+  debit(key, cost, policy) {
+    const b = this._refill(key, policy);
+    b.tokens -= cost;
+    return this._state(b, policy);
+  }
+}
+
+let store = new MemoryStore();
+
+function setStore(next) {
+  store = next;
+}
+
+// Limits come from env as "<count>/<window>", e.g. "60/min", "500/day", "200000/day"
+const WINDOWS = { sec: 1000, s: 1000, min: 60000, m: 60000, hour: 3600000, h: 3600000, day: 86400000, d: 86400000 };
+
+function parseLimit(spec) {
+  const m = /^\s*(\d+)\s*\/\s*([a-z]+)\s*$/i.exec(spec || "");
+  if (!m || !WINDOWS[m[2].toLowerCase()]) throw new Error(`Invalid rate limit "${spec}" (expected e.g. 60/min)`);
+  const capacity = parseInt(m[1], 10);
+  const windowMs = WINDOWS[m[2].toLowerCase()];
+  return { capacity, windowMs, refillPerMs: capacity / windowMs };
+}
+
+function callerKey(req) {
+  return req.principal && req.principal.type !== "none" ? `p:${req.principal.id}` : `ip:${req.ip}`;
+}
+
+function setHeaders(res, name, policy, state) {
+  res.set("RateLimit-Policy", `${policy.capacity};w=${Math.round(policy.windowMs / 1000)};name="${name}"`);
+  res.set("RateLimit-Limit", String(policy.capacity));
+  res.set("RateLimit-Remaining", String(state.remaining));
+  res.set("RateLimit-Reset", String(Math.ceil(state.resetMs / 1000)));
+}
+
+function sendLimited(res, name, policy, retryMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryMs / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: true,
+    code: "RATE_LIMITED",
+    message: `Rate limit exceeded for ${name} (${policy.capacity} per ${Math.round(policy.windowMs / 1000)}s)`,
+    limit: name,
+    retryAfter,
+  });
+}
+
+// Request-count limiter. `cost(req)` lets one request spend several tokens (bulk SMS).
+// limiter.take(req, n) spends from the same bucket inside a route (e.g. per hub tool call)
+// and resolves to { allowed, remaining, retryMs }.
+function rateLimit(name, spec, { cost = () => 1 } = {}) {
+  const policy = parseLimit(spec);
+  async function rateLimiter(req, res, next) {
+    try {
+      const key = `${name}:${callerKey(req)}`;
+      const n = cost(req);
+      if (n > policy.capacity) {
+        setHeaders(res, name, policy, await store.peek(key, policy));
+        return res.status(429).json({
+          error: true,
+          code: "QUOTA_EXCEEDED",
+          message: `Request needs ${n} ${name} units; the limit is ${policy.capacity} per ${Math.round(policy.windowMs / 1000)}s`,
+          limit: name,
+        });
+      }
+      const state = await store.take(key, n, policy);
+      setHeaders(res, name, policy, state);
+      if (!state.allowed) return sendLimited(res, name, policy, state.retryMs);
+      next();
+    } catch (e) {
+      next(e);
+    }
+  }
+  rateLimiter.limitName = name;
+  rateLimiter.take = (req, n = 1) => store.take(`${name}:${callerKey(req)}`, n, policy);
+  return rateLimiter;
+}
+
+// Usage quota (e.g. Anthropic tokens) — the real cost is only known after the call,
+// so the middleware refuses callers already at zero and exposes req.chargeQuota(n)
+// for the route to debit once the upstream reports usage.
+function usageQuota(name, spec) {
+  const policy = parseLimit(spec);
+  return async function quota(req, res, next) {
+    try {
+      const key = `${name}:${callerKey(req)}`;
+      const state = await store.peek(key, policy);
+      if (state.remaining <= 0) {
+        setHeaders(res, name, policy, state);
+        return sendLimited(res, name, policy, state.retryMs);
+      }
+      req.chargeQuota = async (amount) => {
+        if (!amount) return;
+        const after = await store.debit(key, amount, policy);
+        log.info("quota charged", { limit: name, caller: callerKey(req), amount, remaining: after.remaining });
+      };
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  setStore,
+  parseLimit,
+  rateLimit,
+  usageQuota,
+};
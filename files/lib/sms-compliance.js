@@ -0,0 +1,210 @@
+// ============================================================
+// SMS COMPLIANCE — STOP/HELP keywords, the suppression list, quiet hours
+// Every outbound text goes through checkRecipient() first.
+// Suppressions live in memory; set SMS_SUPPRESSION_FILE (e.g. a Railway volume
+// path) so opt-outs survive redeploys.
+// ============================================================
+
+const logger = require("./logger");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+const { timeZoneForPhone } = require("./area-code-timezones");
+
+const log = logger.child("SMSCompliance");
+
+const SUPPRESSION_FILE = process.env.SMS_SUPPRESSION_FILE || "";
+const QUIET_HOURS      = process.env.SMS_QUIET_HOURS || "";   // e.g. "21:00-08:00" (recipient local time)
+const HELP_REPLY       = process.env.SMS_HELP_REPLY
+  || "QuoteIt Insurance: for help reply here or email swatkins@quoteit.insure. Msg & data rates may apply. Reply STOP to opt out.";
+
+// Matched against the whole message with spaces/punctuation removed ("Stop all." → STOPALL)
+const KEYWORDS = {
+  stop:  ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "OPTOUT", "REVOKE"],
+  start: ["START", "UNSTOP", "OPTIN", "SUBSCRIBE"],
+  help:  ["HELP", "INFO"],
+};
+// Opt-outs must be honored however they are phrased: any stop word opening the message ("Stop texting me",
+// "Cancel please") counts, and these unambiguous ones count anywhere ("please STOP", "I want to opt out")
+const STOP_ANYWHERE = ["STOP", "STOPALL", "UNSUBSCRIBE", "OPTOUT", "REVOKE"];
+
+function keywordOf(text) {
+  return String(text || "").toUpperCase().replace(/[^A-Z]/g, "");
+}
+
+// → { action, keyword } or null. START and HELP must be the whole message; STOP wins over both.
+function matchKeyword(text) {
+  const whole = keywordOf(text);
+  const words = (String(text || "").toUpperCase().match(/[A-Z]+/g) || [])
+    .join(" ").replace(/\bOPT OUT\b/g, "OPTOUT").split(" ");
+  if (KEYWORDS.stop.includes(whole)) return { action: "stop", keyword: whole };
+  if (KEYWORDS.stop.includes(words[0])) return { action: "stop", keyword: words[0] };
+  const stop = words.find(w => STOP_ANYWHERE.includes(w));
+  if (stop) return { action: "stop", keyword: stop };
+  for (const action of ["start", "help"]) {
+    if (KEYWORDS[action].includes(whole)) return { action, keyword: whole };
+  }
+  return null;
+}
+
+function classifyKeyword(text) {
+  const match = matchKeyword(text);
+  return match ? match.action : null;
+}
+
+// ---- Suppression list ----
+const suppressions = new Map();
+
+function load() {
+  if (!SUPPRESSION_FILE) return;
+  try {
+    for (const entry of readJsonFile(SUPPRESSION_FILE, [])) {
+      suppressions.set(entry.phone, entry);
+    }
+    log.info("suppression list loaded", { count: suppressions.size });
+  } catch (e) {
+    // Refuse to start rather than text people who opted out
+    throw new Error(`Could not read SMS_SUPPRESSION_FILE: ${e.message}`);
+  }
+}
+
+function persist() {
+  if (!SUPPRESSION_FILE) return;
+  try {
+    writeJsonFile(SUPPRESSION_FILE, Array.from(suppressions.values()));
+  } catch (e) {
+    log.error("suppression list not saved", { error: e.message });
+  }
+}
+
+// source: "keyword" (inbound STOP) or "manual" — only keyword suppressions can be lifted by an inbound START
+function suppress(phone, { source, keyword, reason, by } = {}) {
+  const existing = suppressions.get(phone);
+  if (existing) return existing;
+  const entry = {
+    phone,
+    source: source || "manual",
+    keyword: keyword || null,
+    reason: reason || null,
+    addedBy: by || null,
+    addedAt: new Date().toISOString(),
+  };
+  suppressions.set(phone, entry);
+  persist();
+  log.info("number suppressed", { phone, source: entry.source, keyword: entry.keyword });
+  return entry;
+}
+
+function unsuppress(phone, { source, by } = {}) {
+  const existing = suppressions.get(phone);
+  if (!existing) return null;
+  suppressions.delete(phone);
+  persist();
+  log.info("number unsuppressed", { phone, source: source || "manual", by: by || null });
+  return existing;
+}
+
+function isSuppressed(phone) {
+  return suppressions.has(phone);
+}
+
+function listSuppressions() {
+  return Array.from(suppressions.values());
+}
+
+// ---- Quiet hours ----
+function parseQuietHours(spec) {
+  if (!spec) return null;
+  const m = /^\s*(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?\s*$/.exec(spec);
+  if (!m) throw new Error(`Invalid SMS_QUIET_HOURS "${spec}" (expected e.g. 21:00-08:00)`);
+  const start = parseInt(m[1], 10) * 60 + parseInt(m[2] || "0", 10);
+  const end = parseInt(m[3], 10) * 60 + parseInt(m[4] || "0", 10);
+  if (start >= 1440 || end >= 1440) throw new Error(`Invalid SMS_QUIET_HOURS "${spec}"`);
+  return { spec: spec.trim(), start, end };
+}
+
+const quietHours = parseQuietHours(QUIET_HOURS);
+
+function quietHoursEnabled() {
+  return !!quietHours;
+}
+
+function localMinutes(timeZone, now) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(now);
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return get("hour") * 60 + get("minute");
+}
+
+// Null when sending is allowed; recipients with unknown area codes are not held.
+// resumeAt is when the recipient's window ends (to the minute).
+function quietHoursFor(phone, now = new Date()) {
+  if (!quietHours) return null;
+  const timeZone = timeZoneForPhone(phone);
+  if (!timeZone) return null;
+  const minutes = localMinutes(timeZone, now);
+  const { start, end } = quietHours;
+  const quiet = start > end ? (minutes >= start || minutes < end) : (minutes >= start && minutes < end);
+  if (!quiet) return null;
+  const hhmm = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+  const resumeAt = new Date(now.getTime() + ((end - minutes + 1440) % 1440) * 60000);
+  resumeAt.setSeconds(0, 0);
+  return { timeZone, localTime: hhmm, window: quietHours.spec, resumeAt: resumeAt.toISOString() };
+}
+
+// ---- Outbound gate ----
+// Null when the text may go out, else the per-recipient result to report instead
+function checkRecipient(phone) {
+  const suppressed = suppressions.get(phone);
+  if (suppressed) {
+    return {
+      to: phone,
+      success: false,
+      suppressed: true,
+      error: suppressed.keyword ? `Recipient opted out (${suppressed.keyword})` : "Recipient is on the suppression list",
+    };
+  }
+  const quiet = quietHoursFor(phone);
+  if (quiet) {
+    return {
+      to: phone,
+      success: false,
+      quietHours: true,
+      error: `Quiet hours in ${quiet.timeZone} (local time ${quiet.localTime})`,
+      ...quiet,
+    };
+  }
+  return null;
+}
+
+// ---- Inbound keywords ----
+// Returns { action, reply } — reply is the auto-response text to send back, if any
+function handleInbound({ from, text }) {
+  const match = matchKeyword(text);
+  if (!match || !from) return { action: null, reply: null };
+
+  const { action, keyword } = match;
+  if (action === "stop") suppress(from, { source: "keyword", keyword });
+  if (action === "start") {
+    const existing = suppressions.get(from);
+    if (existing && existing.source !== "keyword") {
+      log.warn("START ignored for a manual suppression", { phone: from, source: existing.source });
+    } else {
+      unsuppress(from, { source: "keyword" });
+    }
+  }
+  return { action, reply: action === "help" ? HELP_REPLY : null };
+}
+
+load();
+
+module.exports = {
+  classifyKeyword,
+  suppress,
+  unsuppress,
+  isSuppressed,
+  listSuppressions,
+  quietHoursEnabled,
+  quietHoursFor,
+  checkRecipient,
+  handleInbound,
+};
@@ -0,0 +1,209 @@
+// ============================================================
+// BULK SMS JOBS — campaigns run in the background instead of inside the request
+// Sends are paced per sending number (SMS_THROUGHPUT, e.g. "1/sec"), retried with
+// backoff on 429/5xx/network errors, and can be cancelled mid-run. Recipients inside their
+// quiet hours are deferred and sent once their window ends; the job runs until then.
+// Jobs live in memory (last SMS_JOB_MAX kept); a redeploy drops unfinished jobs.
+// ============================================================
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const telnyx = require("./telnyx");
+const smsStore = require("./sms-store");
+const smsCompliance = require("./sms-compliance");
+const { parseLimit } = require("./rate-limit");
+
+const log = logger.child("SMSJobs");
+
+const THROUGHPUT  = parseLimit(process.env.SMS_THROUGHPUT || "1/sec");
+const SEND_GAP_MS = Math.ceil(THROUGHPUT.windowMs / THROUGHPUT.capacity);
+const MAX_RETRIES = parseInt(process.env.SMS_MAX_RETRIES || "3", 10);
+const MAX_JOBS    = parseInt(process.env.SMS_JOB_MAX || "100", 10);
+
+const FINISHED = ["completed", "cancelled", "failed"];
+const CANCEL_CHECK_MS = 30000; // how often a job waiting out quiet hours notices a cancel
+
+const jobs = new Map();
+const nextSendAt = new Map(); // sending number → earliest time its next message may go out
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every job on the same number shares one schedule, so two campaigns cannot double the rate
+async function pace(from) {
+  const now = Date.now();
+  const at = Math.max(now, nextSendAt.get(from) || 0);
+  nextSendAt.set(from, at + SEND_GAP_MS);
+  if (at > now) await sleep(at - now);
+}
+
+function isRetryable(status) {
+  return status === 0 || status === 429 || status >= 500;
+}
+
+function backoff(attempt, retryAfterMs) {
+  if (retryAfterMs) return retryAfterMs;
+  return Math.min(1000 * 2 ** attempt, 30000) + Math.floor(Math.random() * 250);
+}
+
+async function deliver(job, { to, text }) {
+  for (let attempt = 0; ; attempt++) {
+    await pace(job.from);
+    let sent;
+    try {
+      sent = await telnyx.sendMessage({ from: job.from, to, text });
+    } catch (e) {
+      sent = { ok: false, status: 0, error: e.message };
+    }
+
+    if (sent.ok) {
+      smsStore.recordOutbound({ id: sent.id, from: sent.from, to, text, status: sent.toStatus });
+      return { to, success: true, sid: sent.id, attempts: attempt + 1 };
+    }
+    if (!isRetryable(sent.status) || attempt >= MAX_RETRIES || job.cancelRequested) {
+      return { to, success: false, error: sent.error, status: sent.status || null, attempts: attempt + 1 };
+    }
+    const wait = backoff(attempt, sent.retryAfterMs);
+    log.warn("send retry", { jobId: job.id, to, status: sent.status, attempt: attempt + 1, waitMs: wait });
+    await sleep(wait);
+  }
+}
+
+function tally(job, result) {
+  job.results.push(result);
+  if (result.success) job.counts.sent++;
+  else if (result.suppressed) job.counts.suppressed++;
+  else job.counts.failed++;
+}
+
+// Sends now, or parks the message until the recipient's quiet hours end
+async function sendOrDefer(job, message) {
+  const blocked = smsCompliance.checkRecipient(message.to);
+  if (blocked && blocked.quietHours) {
+    job.deferred.push({ ...message, resumeAt: blocked.resumeAt });
+    return;
+  }
+  tally(job, blocked || await deliver(job, message));
+}
+
+async function waitUntil(job, at) {
+  while (!job.cancelRequested && Date.now() < at) {
+    await sleep(Math.min(at - Date.now(), CANCEL_CHECK_MS));
+  }
+}
+
+async function run(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  log.info("job started", { jobId: job.id, total: job.total, from: job.from });
+
+  for (const message of job.queue) {
+    if (job.cancelRequested) break;
+    await sendOrDefer(job, message);
+  }
+  job.queue = [];
+
+  while (job.deferred.length && !job.cancelRequested) {
+    const next = Math.min(...job.deferred.map(m => Date.parse(m.resumeAt)));
+    log.info("job waiting for quiet hours to end", { jobId: job.id, deferred: job.deferred.length, resumeAt: new Date(next).toISOString() });
+    await waitUntil(job, next);
+    const due = job.deferred.filter(m => Date.parse(m.resumeAt) <= Date.now());
+    job.deferred = job.deferred.filter(m => !due.includes(m));
+    for (const message of due) {
+      if (job.cancelRequested) break;
+      await sendOrDefer(job, message);
+    }
+  }
+  job.deferred = []; // left over only when cancelled; describe() counts them as cancelled
+
+  job.status = job.cancelRequested ? "cancelled" : "completed";
+  job.finishedAt = new Date().toISOString();
+  log.info("job finished", { jobId: job.id, status: job.status, ...job.counts, total: job.total });
+}
+
+function prune() {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (FINISHED.includes(job.status)) jobs.delete(id);
+  }
+}
+
+// messages: [{ to, text }] with numbers already normalized; rejected: results for invalid input
+function createJob({ from, messages, rejected = [], createdBy }) {
+  const job = {
+    id: `smsjob_${crypto.randomBytes(8).toString("hex")}`,
+    status: "queued",
+    from: from || telnyx.TELNYX_PHONE,
+    total: messages.length + rejected.length,
+    counts: { sent: 0, failed: 0, suppressed: 0 },
+    results: [],
+    queue: messages,
+    deferred: [],
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelRequested: false,
+  };
+  rejected.forEach(r => tally(job, r));
+  jobs.set(job.id, job);
+  prune();
+
+  run(job).catch(e => {
+    job.status = "failed";
+    job.error = e.message;
+    job.finishedAt = new Date().toISOString();
+    log.error("job crashed", { jobId: job.id, error: e.message });
+  });
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Stops before the next recipient; a send already in flight still completes
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!FINISHED.includes(job.status)) {
+    job.cancelRequested = true;
+    log.info("job cancel requested", { jobId: id });
+  }
+  return job;
+}
+
+function describe(job, { includeResults = true } = {}) {
+  const processed = job.results.length;
+  return {
+    id: job.id,
+    status: job.cancelRequested && job.status === "running" ? "cancelling" : job.status,
+    from: job.from,
+    total: job.total,
+    processed,
+    remaining: FINISHED.includes(job.status) ? 0 : job.total - processed,
+    progress: job.total ? Math.round((processed / job.total) * 100) : 100,
+    ...job.counts,
+    deferred: job.deferred.length,
+    ...(job.deferred.length ? { resumesAt: new Date(Math.min(...job.deferred.map(m => Date.parse(m.resumeAt)))).toISOString() } : {}),
+    cancelled: job.status === "cancelled" ? job.total - processed : 0,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.error ? { error: job.error } : {}),
+    ...(includeResults ? { results: job.results } : {}),
+  };
+}
+
+function listJobs() {
+  return Array.from(jobs.values()).reverse();
+}
+
+module.exports = {
+  SEND_GAP_MS,
+  createJob,
+  getJob,
+  cancelJob,
+  describe,
+  listJobs,
+};
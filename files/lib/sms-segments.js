@@ -0,0 +1,47 @@
+// ============================================================
+// SMS SEGMENTS — how many billable parts a text splits into
+// GSM-7: 160 chars in one segment, 153 per part once split; extension chars
+// (^ { } \ [ ] ~ | €) take two. Any other character forces UCS-2: 70 / 67,
+// counted in UTF-16 code units (an emoji is two).
+// ============================================================
+
+const GSM7_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM7_EXTENDED = "^{}\\[~]|€\f";
+
+const BASIC = new Set(GSM7_BASIC);
+const EXTENDED = new Set(GSM7_EXTENDED);
+
+const LIMITS = {
+  "GSM-7": { single: 160, multi: 153 },
+  "UCS-2": { single: 70, multi: 67 },
+};
+
+// Characters that push a message to UCS-2, e.g. smart quotes pasted from Word
+function nonGsmCharacters(text) {
+  return Array.from(new Set(Array.from(text).filter(ch => !BASIC.has(ch) && !EXTENDED.has(ch))));
+}
+
+function countSegments(text) {
+  const s = String(text || "");
+  const offending = nonGsmCharacters(s);
+  const encoding = offending.length ? "UCS-2" : "GSM-7";
+  const units = encoding === "GSM-7"
+    ? Array.from(s).reduce((n, ch) => n + (EXTENDED.has(ch) ? 2 : 1), 0)
+    : s.length;
+  const { single, multi } = LIMITS[encoding];
+  const segments = units === 0 ? 0 : units <= single ? 1 : Math.ceil(units / multi);
+  const perSegment = segments > 1 ? multi : single;
+
+  return {
+    encoding,
+    characters: units,
+    segments,
+    perSegment,
+    remaining: segments === 0 ? single : segments * perSegment - units,
+    ...(offending.length ? { nonGsmCharacters: offending } : {}),
+  };
+}
+
+module.exports = { countSegments };
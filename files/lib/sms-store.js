@@ -0,0 +1,146 @@
+// ============================================================
+// SMS MESSAGE STORE — delivery tracking for outbound texts and inbound replies
+// Fed by /sms/send* (outbound) and the Telnyx webhook (status + inbound).
+// In memory and capped (SMS_MESSAGE_STORE_MAX), oldest messages evicted first.
+// ============================================================
+
+const MAX_MESSAGES = parseInt(process.env.SMS_MESSAGE_STORE_MAX || "5000", 10);
+const MAX_EVENTS_PER_MESSAGE = 20;
+
+// Telnyx per-recipient status → hub status
+const STATUS_MAP = {
+  queued:               "queued",
+  sending:              "sending",
+  sent:                 "sent",
+  delivered:            "delivered",
+  sending_failed:       "failed",
+  delivery_failed:      "failed",
+  delivery_unconfirmed: "unconfirmed",
+  expired:              "undeliverable",
+};
+
+// Telnyx error codes that mean the number itself cannot receive texts
+const UNDELIVERABLE_CODES = ["40001", "40002", "40008", "40300", "40310", "40311"];
+
+// Final statuses win over late-arriving intermediate events (webhooks are not ordered)
+const FINAL_STATUSES = ["delivered", "failed", "undeliverable", "unconfirmed"];
+
+const messages = new Map();
+
+function remember(msg) {
+  messages.delete(msg.id);
+  while (messages.size >= MAX_MESSAGES) {
+    messages.delete(messages.keys().next().value);
+  }
+  messages.set(msg.id, msg);
+  return msg;
+}
+
+function mapStatus(telnyxStatus, errors) {
+  const status = STATUS_MAP[telnyxStatus] || telnyxStatus || "unknown";
+  if (status === "failed" && (errors || []).some(e => UNDELIVERABLE_CODES.includes(String(e.code)))) {
+    return "undeliverable";
+  }
+  return status;
+}
+
+function recordOutbound({ id, from, to, text, status = "queued" }) {
+  if (!id) return null;
+  const now = new Date().toISOString();
+  return remember({
+    id,
+    direction: "outbound",
+    from,
+    to,
+    text,
+    status: mapStatus(status),
+    telnyxStatus: status,
+    errors: [],
+    createdAt: now,
+    updatedAt: now,
+    events: [],
+  });
+}
+
+function recordInbound({ id, from, to, text, media, receivedAt }) {
+  const at = receivedAt || new Date().toISOString();
+  return remember({
+    id,
+    direction: "inbound",
+    from,
+    to,
+    text,
+    media: media || [],
+    status: "received",
+    createdAt: at,
+    updatedAt: at,
+    events: [],
+  });
+}
+
+// Applies a message.sent / message.finalized payload. Unknown ids (e.g. sent before a
+// restart) are created so late receipts are still visible.
+function applyStatusEvent({ eventId, eventType, occurredAt, payload }) {
+  const now = new Date().toISOString();
+  let msg = messages.get(payload.id);
+  if (!msg) {
+    msg = remember({
+      id: payload.id,
+      direction: payload.direction || "outbound",
+      from: payload.from?.phone_number,
+      to: payload.to?.[0]?.phone_number,
+      text: payload.text,
+      status: "unknown",
+      errors: [],
+      createdAt: occurredAt || now,
+      updatedAt: now,
+      events: [],
+    });
+  }
+  if (eventId && msg.events.some(e => e.eventId === eventId)) return msg; // Telnyx redelivery
+
+  const telnyxStatus = payload.to?.[0]?.status;
+  const errors = (payload.errors || []).map(e => ({ code: e.code, title: e.title, detail: e.detail }));
+  const status = mapStatus(telnyxStatus, errors);
+
+  msg.events.push({ eventId, type: eventType, status, at: occurredAt || now });
+  if (msg.events.length > MAX_EVENTS_PER_MESSAGE) msg.events.shift();
+
+  if (!FINAL_STATUSES.includes(msg.status) || FINAL_STATUSES.includes(status)) {
+    msg.status = status;
+    msg.telnyxStatus = telnyxStatus;
+  }
+  if (errors.length) msg.errors = errors;
+  if (payload.completed_at) msg.completedAt = payload.completed_at;
+  msg.updatedAt = now;
+  return msg;
+}
+
+function getMessage(id) {
+  return messages.get(id) || null;
+}
+
+// Newest first; filters: direction, phone (matches from or to)
+function listMessages({ direction, phone, limit = 50 } = {}) {
+  const out = [];
+  for (const msg of Array.from(messages.values()).reverse()) {
+    if (direction && msg.direction !== direction) continue;
+    if (phone && msg.from !== phone && msg.to !== phone) continue;
+    out.push(msg);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function stats() {
+  return { size: messages.size, maxMessages: MAX_MESSAGES };
+}
+
+module.exports = {
+  recordOutbound,
+  recordInbound,
+  applyStatusEvent,
+  getMessage,
+  listMessages,
+  stats,
+};
@@ -0,0 +1,89 @@
+// ============================================================
+// TELNYX CLIENT — outbound messages + webhook signature verification
+// Webhooks are signed with ed25519 over "<telnyx-timestamp>|<raw body>";
+// TELNYX_PUBLIC_KEY is the base64 key from Mission Control → Account → Public Key
+// ============================================================
+
+const crypto = require("crypto");
+const { upstreamFetch } = require("./http");
+
+const TELNYX_API_BASE    = (process.env.TELNYX_API_BASE || "https://api.telnyx.com/v2").replace(/\/+$/, "");
+const TELNYX_API_KEY     = process.env.TELNYX_API_KEY || "";
+const TELNYX_PHONE       = process.env.TELNYX_PHONE   || "+16016918436";
+const TELNYX_PUBLIC_KEY  = process.env.TELNYX_PUBLIC_KEY || "";
+const TELNYX_WEBHOOK_URL = process.env.TELNYX_WEBHOOK_URL || "";
+const WEBHOOK_TOLERANCE_SECS = parseInt(process.env.TELNYX_WEBHOOK_TOLERANCE_SECS || "300", 10);
+
+// DER prefix that wraps a raw 32-byte ed25519 key as an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+let publicKey = null;
+if (TELNYX_PUBLIC_KEY) {
+  const raw = Buffer.from(TELNYX_PUBLIC_KEY, "base64");
+  if (raw.length !== 32) throw new Error("TELNYX_PUBLIC_KEY must be a base64 ed25519 public key (32 bytes)");
+  publicKey = crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: "der", type: "spki" });
+}
+
+function isConfigured() {
+  return !!TELNYX_API_KEY;
+}
+
+function webhookConfigured() {
+  return !!publicKey;
+}
+
+// Returns null when the signature is good, else a reason string
+function verifyWebhook(rawBody, signature, timestamp) {
+  if (!publicKey) return "TELNYX_PUBLIC_KEY not configured";
+  if (!rawBody || !signature || !timestamp) return "Missing signature headers";
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > WEBHOOK_TOLERANCE_SECS) {
+    return "Timestamp outside tolerance";
+  }
+
+  const signed = Buffer.concat([Buffer.from(`${timestamp}|`), rawBody]);
+  const valid = crypto.verify(null, signed, publicKey, Buffer.from(signature, "base64"));
+  return valid ? null : "Signature is invalid";
+}
+
+// Sends one message. Resolves { ok, status, id, toStatus, error, retryAfterMs } — only network failures throw.
+async function sendMessage({ from, to, text }) {
+  const payload = { from: from || TELNYX_PHONE, to, text };
+  if (TELNYX_WEBHOOK_URL) payload.webhook_url = TELNYX_WEBHOOK_URL;
+
+  const r = await upstreamFetch("telnyx", `${TELNYX_API_BASE}/messages`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${TELNYX_API_KEY}`,
+    },
+    body: JSON.stringify(payload),
+  });
+  const data = await r.json().catch(() => null);
+  if (!r.ok) {
+    const retryAfter = Number(r.headers.get("retry-after"));
+    return {
+      ok: false,
+      status: r.status,
+      error: data?.errors?.[0]?.detail || data?.error || "Telnyx send failed",
+      retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+    };
+  }
+  return {
+    ok: true,
+    status: r.status,
+    id: data?.data?.id,
+    from: payload.from,
+    toStatus: data?.data?.to?.[0]?.status || "queued",
+  };
+}
+
+module.exports = {
+  TELNYX_API_KEY,
+  TELNYX_PHONE,
+  isConfigured,
+  webhookConfigured,
+  verifyWebhook,
+  sendMessage,
+};
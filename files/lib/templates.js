@@ -0,0 +1,219 @@
+// ============================================================
+// MESSAGE TEMPLATES — named SMS/email bodies with merge fields
+// Syntax: {firstName}  or with a fallback  {firstName|there}
+// A `quote` variable (normalized Compulife quote, normalize=true) adds
+// topCarrier, monthlyPremium, annualPremium, productName, termYears and quoteSummary.
+// Stored in memory; set TEMPLATES_FILE to keep them across restarts.
+// ============================================================
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+
+const log = logger.child("Templates");
+
+const TEMPLATES_FILE = process.env.TEMPLATES_FILE || "";
+const CHANNELS = ["sms", "email"];
+const ID_RE = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const MERGE_FIELD_RE = /\{\s*([A-Za-z][A-Za-z0-9_]*)\s*(?:\|([^{}]*))?\}/g;
+
+class TemplateError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "TemplateError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const templates = new Map();
+
+function load() {
+  if (!TEMPLATES_FILE) return;
+  for (const t of readJsonFile(TEMPLATES_FILE, [])) templates.set(t.id, t);
+  log.info("templates loaded", { count: templates.size });
+}
+
+function persist() {
+  if (!TEMPLATES_FILE) return;
+  try {
+    writeJsonFile(TEMPLATES_FILE, Array.from(templates.values()));
+  } catch (e) {
+    log.error("templates not saved", { error: e.message });
+  }
+}
+
+// ---- Merge fields ----
+function fieldsOf(...parts) {
+  const names = new Set();
+  for (const part of parts) {
+    for (const m of String(part || "").matchAll(MERGE_FIELD_RE)) names.add(m[1]);
+  }
+  return Array.from(names);
+}
+
+const escapeHtml = (s) => s.replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+// Returns { text, missing } — fields with no value and no fallback are left out of the text and listed
+function render(source, variables = {}, { html = false } = {}) {
+  const missing = [];
+  const text = String(source || "").replace(MERGE_FIELD_RE, (match, name, fallback) => {
+    // Own properties only — {constructor} or {toString} must not render Object.prototype members
+    const value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+    if (value === undefined || value === null || value === "") {
+      if (fallback !== undefined) return html ? escapeHtml(fallback) : fallback;
+      missing.push(name);
+      return "";
+    }
+    return html ? escapeHtml(String(value)) : String(value);
+  });
+  return { text, missing };
+}
+
+// ---- Quote snippets ----
+const money = (n) => (typeof n === "number" ? `$${n.toFixed(2)}` : null);
+
+function quoteVariables(quote) {
+  const quotes = quote && Array.isArray(quote.quotes) ? quote.quotes : [];
+  const ranked = quotes
+    .filter(q => q.premiums && typeof q.premiums.monthly === "number")
+    .sort((a, b) => a.premiums.monthly - b.premiums.monthly);
+  if (!ranked.length) return {};
+  const top = ranked[0];
+  return {
+    topCarrier: top.carrier?.name,
+    productName: top.product?.name,
+    monthlyPremium: money(top.premiums.monthly),
+    annualPremium: money(top.premiums.annual),
+    termYears: top.term?.years ?? undefined,
+    quoteCount: ranked.length,
+    quoteSummary: ranked.slice(0, 3)
+      .map((q, i) => `${i + 1}. ${q.carrier?.name} ${money(q.premiums.monthly)}/mo`)
+      .join("\n"),
+  };
+}
+
+// Caller variables win over quote-derived ones; `name` defaults to "First Last"
+function mergeVariables(...sources) {
+  const vars = {};
+  for (const src of sources) {
+    if (!src || typeof src !== "object") continue;
+    const { quote, ...rest } = src;
+    Object.assign(vars, quoteVariables(quote), rest);
+  }
+  if (vars.name === undefined && vars.firstName) {
+    vars.name = [vars.firstName, vars.lastName].filter(Boolean).join(" ");
+  }
+  return vars;
+}
+
+// ---- Store ----
+function validate(input, existing) {
+  const t = { ...existing, ...input };
+  const errors = {};
+  if (!CHANNELS.includes(t.channel)) errors.channel = `must be one of ${CHANNELS.join(", ")}`;
+  if (!t.name || typeof t.name !== "string") errors.name = "is required";
+  if (t.channel === "sms" && (!t.body || typeof t.body !== "string")) errors.body = "is required for sms templates";
+  if (t.channel === "email") {
+    if (!t.subject) errors.subject = "is required for email templates";
+    if (!t.html && !t.text) errors.html = "html or text is required for email templates";
+  }
+  if (Object.keys(errors).length) throw new TemplateError(400, "Invalid template", { fields: errors });
+  return t;
+}
+
+function pick(input) {
+  const out = {};
+  for (const k of ["name", "channel", "description", "body", "subject", "html", "text"]) {
+    if (input[k] !== undefined) out[k] = input[k];
+  }
+  return out;
+}
+
+function describe(t) {
+  return { ...t, fields: fieldsOf(t.body, t.subject, t.html, t.text) };
+}
+
+function listTemplates({ channel } = {}) {
+  return Array.from(templates.values()).filter(t => !channel || t.channel === channel).map(describe);
+}
+
+function getTemplate(id, channel) {
+  const t = templates.get(id);
+  if (!t) throw new TemplateError(404, `No template ${id}`);
+  if (channel && t.channel !== channel) {
+    throw new TemplateError(400, `Template ${id} is a ${t.channel} template, not ${channel}`);
+  }
+  return t;
+}
+
+function createTemplate(input, { by } = {}) {
+  const id = input.id || `tpl_${crypto.randomBytes(6).toString("hex")}`;
+  if (!ID_RE.test(id)) {
+    throw new TemplateError(400, "Invalid template", { fields: { id: "use 2-64 lowercase letters, digits, - or _" } });
+  }
+  if (templates.has(id)) throw new TemplateError(409, `Template ${id} already exists`);
+  const now = new Date().toISOString();
+  const t = validate({ id, ...pick(input), createdBy: by || null, createdAt: now, updatedAt: now });
+  templates.set(id, t);
+  persist();
+  return describe(t);
+}
+
+function updateTemplate(id, input) {
+  const existing = getTemplate(id);
+  const t = validate({ ...pick(input), updatedAt: new Date().toISOString() }, existing);
+  templates.set(id, t);
+  persist();
+  return describe(t);
+}
+
+function deleteTemplate(id) {
+  getTemplate(id);
+  templates.delete(id);
+  persist();
+}
+
+// ---- Rendering a stored template ----
+function renderSms(id, variables) {
+  const t = getTemplate(id, "sms");
+  return render(t.body, variables);
+}
+
+function renderEmail(id, variables) {
+  const t = getTemplate(id, "email");
+  const subject = render(t.subject, variables);
+  const html = render(t.html, variables, { html: true });
+  const text = render(t.text, variables);
+  return {
+    subject: subject.text,
+    html: t.html ? html.text : "",
+    text: t.text ? text.text : "",
+    missing: Array.from(new Set([...subject.missing, ...html.missing, ...text.missing])),
+  };
+}
+
+function sendTemplateError(res, e) {
+  if (!(e instanceof TemplateError)) {
+    log.error("template request errored", { error: e.message });
+    return res.status(500).json({ error: true, message: e.message });
+  }
+  return res.status(e.status).json({ error: true, message: e.message, ...(e.details || {}) });
+}
+
+load();
+
+module.exports = {
+  TemplateError,
+  render,
+  mergeVariables,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderSms,
+  renderEmail,
+  describe,
+  sendTemplateError,
+};
@@ -6,36 +6,60 @@
 // ============================================================
 
 const express = require("express");
-const cors = require("cors");
-// ── CORS ──
-const corsOptions = {
-origin: [
-  'https://iagentiq-quote-engine.gscottwatkins.workers.dev',
-  'https://quoteit.insure',
-  'https://engine.iagentiq.com',
-  'http://localhost:3000'
-],
-  methods: ['GET','POST','PUT','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
-  credentials: true
-};
-const app = express();app.use(cors(corsOptions));
-app.options('*', cors(corsOptions));
+const logger = require("./lib/logger");
+const { UpstreamError, upstreamFetch, upstreamHealth } = require("./lib/http");
+const { createCorsPolicy } = require("./lib/cors");
+const { createTtlCache } = require("./lib/cache");
+const { mapWithConcurrency } = require("./lib/concurrency");
+const { validateCompulifeParams, sendValidationError } = require("./lib/compulife-params");
+const { CATEGORY_TERM_YEARS, topCarriers, normalizeQuoteResponse, sendNormalizedError } = require("./lib/compulife-results");
+const { renderQuotePdf } = require("./lib/quote-pdf");
+const { mapQuestionnaire } = require("./lib/health-profile");
+const compulife = require("./lib/compulife");
+const { rateLimit, usageQuota } = require("./lib/rate-limit");
+const { requireScope, hasScope, isConfigured: authConfigured, AUTH_DISABLED } = require("./lib/auth");
+const { GHL_LOCATION_ID, GhlError, ghlFetch, ghlFetchAll, isConfigured: ghlConfigured } = require("./lib/ghl");
+const telnyx = require("./lib/telnyx");
+const smsStore = require("./lib/sms-store");
+const smsCompliance = require("./lib/sms-compliance");
+const smsJobs = require("./lib/sms-jobs");
+const { countSegments } = require("./lib/sms-segments");
+const { normalizePhone } = require("./lib/phone");
+const templates = require("./lib/templates");
+const postmark = require("./lib/postmark");
+const emailTracking = require("./lib/email-tracking");
+const leadProfiles = require("./lib/lead-profiles");
+const leadScan = require("./lib/lead-scan");
+const aiPolicy = require("./lib/ai-policy");
+const anthropicStream = require("./lib/anthropic-stream");
+const aiTools = require("./lib/ai-tools");
+
+const app = express();
+app.set("trust proxy", 1); // Railway's edge proxy — req.ip is the real client for rate limiting
+app.use(logger.requestContext);
 const PORT = process.env.PORT || 3000;
 
+const log = {
+  hub:       logger.child("Hub"),
+  drive:     logger.child("Drive"),
+  vision:    logger.child("Vision"),
+  compulife: logger.child("Compulife"),
+  anthropic: logger.child("Anthropic"),
+  sms:       logger.child("SMS"),
+  email:     logger.child("Email"),
+  scan:      logger.child("ScanLead"),
+  intake:    logger.child("LeadIntake"),
+};
+
 // ---- Config ----
-const AUTH_ID = process.env.COMPULIFE_AUTH_ID || "";
-const REMOTE_IP = process.env.REMOTE_IP || "162.220.232.99";
-const COMPULIFE_BASE = "https://www.compulifeapi.com/api";
+const { proxyPublic, proxyPrivate } = compulife;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || "";
 
 // ---- Telnyx SMS ----
-const TELNYX_API_KEY  = process.env.TELNYX_API_KEY || "";
-const TELNYX_PHONE    = process.env.TELNYX_PHONE   || "+16016918436";
+const { TELNYX_API_KEY, TELNYX_PHONE } = telnyx;
 
 // ---- Postmark Email ----
-const POSTMARK_API_KEY = process.env.POSTMARK_API_KEY || "";
-const FROM_EMAIL       = process.env.FROM_EMAIL       || "swatkins@quoteit.insure";
+const { POSTMARK_API_KEY, FROM_EMAIL } = postmark;
 
 // Google Drive Config
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "";
@@ -45,73 +69,157 @@ const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID || "";
 const GCP_VISION_API_KEY = process.env.GCP_VISION_API_KEY || "";
 
 // ---- CORS ----
+// One policy for the hub. ALLOWED_ORIGINS accepts exact origins and wildcards
+// ("https://*.iagentiq.com", "http://localhost:*"); localhost is only allowed outside production.
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
-  ? process.env.ALLOWED_ORIGINS.split(",").map(s => s.trim())
+  ? process.env.ALLOWED_ORIGINS.split(",").map(s => s.trim()).filter(Boolean)
   : [
       "https://quoteitengine.com",
       "https://www.quoteitengine.com",
       "https://quoteit.insure",
       "https://www.quoteit.insure",
+      "https://engine.iagentiq.com",
+      "https://iagentiq-quote-engine.gscottwatkins.workers.dev",
+      ...(process.env.NODE_ENV === "production" ? [] : ["http://localhost:*"]),
     ];
 
-app.use(cors({
-  origin: function (origin, callback) {
-    if (!origin) return callback(null, true);
-    if (ALLOWED_ORIGINS.indexOf(origin) !== -1) return callback(null, true);
-    return callback(new Error("CORS: Origin " + origin + " not allowed"), false);
+app.use(createCorsPolicy({
+  origins: ALLOWED_ORIGINS,
+  overrides: {
+    // Carrier names + logos are public reference data; any site may embed them
+    "/compulife/companies": { origins: ["*"], credentials: false },
+  },
+}));
+
+// Webhook routes keep the exact request bytes for signature verification
+app.use(express.json({
+  limit: "10mb",
+  verify: (req, res, buf) => {
+    if (req.originalUrl.endsWith("/webhook")) req.rawBody = buf;
   },
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
-  credentials: true,
 }));
 
-app.use(express.json({ limit: "10mb" }));
+// ---- Rate limits (per API key / JWT subject, else per IP) ----
+const limits = {
+  quotes:   rateLimit("quotes", process.env.RATE_LIMIT_QUOTES || "60/min", { cost: quoteRequestCost }),
+  sms:      rateLimit("sms", process.env.RATE_LIMIT_SMS || "300/day"),
+  // Campaigns get their own budget so one 500-recipient job neither hits nor drains the one-off send limit
+  smsBulk:  rateLimit("sms-bulk", process.env.RATE_LIMIT_SMS_BULK || "2000/day", { cost: smsRequestCost }),
+  email:    rateLimit("email", process.env.RATE_LIMIT_EMAIL || "500/day", { cost: emailRequestCost }),
+  ai:       rateLimit("ai", process.env.RATE_LIMIT_AI || "30/min"),
+  aiTokens: usageQuota("ai-tokens", process.env.RATE_LIMIT_AI_TOKENS || "500000/day"),
+  leads:    rateLimit("leads", process.env.RATE_LIMIT_LEADS || "60/hour"),
+  crm:      rateLimit("crm", process.env.RATE_LIMIT_CRM || "120/min"),
+};
+
+// Optional steps of a compound route (quote-pdf delivery, lead intake) spend the same limits as their own routes
+function limitWhen(wanted, limiter) {
+  return (req, res, next) => (wanted(req.body || {}) ? limiter(req, res, next) : next());
+}
+
+// A matrix request costs one quote per cell; bulk SMS costs one per recipient; batch email one per message.
+// An oversized matrix costs 1 so the route itself answers with its 400 rather than a 429.
+function quoteRequestCost(req) {
+  const body = req.body || {};
+  if (req.path === "/compulife/matrix" || body.action === "quote-matrix") {
+    const size = matrixSize(matrixAxes(body));
+    return size > MATRIX_MAX_CELLS ? 1 : Math.max(1, size);
+  }
+  return 1;
+}
+
+function smsRequestCost(req) {
+  const recipients = (req.body || {}).recipients;
+  return Array.isArray(recipients) ? Math.max(1, recipients.length) : 1;
+}
+
+function emailRequestCost(req) {
+  const messages = (req.body || {}).messages;
+  return Array.isArray(messages) ? Math.max(1, messages.length) : 1;
+}
+
+// Record a Messages API `usage` block against the caller and debit their daily Anthropic token quota
+// with the same total (cache reads and writes included) that the usage report shows
+function chargeAnthropicUsage(req, data) {
+  if (!data || !data.usage) return;
+  const tokens = aiPolicy.recordUsage(req.principal && req.principal.id, data, { route: req.path });
+  if (!req.chargeQuota) return;
+  return req.chargeQuota(tokens);
+}
 
 // ============================================================
 // HEALTH CHECK
 // ============================================================
+// "degraded" while any provider's circuit breaker is open; `upstreams` lists every provider called since startup
 app.get("/", (req, res) => {
+  const upstreams = upstreamHealth();
   res.json({
-    status: "ok",
+    status: Object.values(upstreams).some(u => u.state === "open") ? "degraded" : "ok",
     service: "iagentiq-api-hub",
     version: "7.0.0",
     timestamp: new Date().toISOString(),
     configured: {
-      compulife:    !!AUTH_ID,
+      compulife:    compulife.isConfigured(),
       anthropic:    !!ANTHROPIC_API_KEY,
-      googleDrive:  !!(GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET && GOOGLE_REFRESH_TOKEN),
+      googleDrive:  driveConfigured(),
       googleVision: !!GCP_VISION_API_KEY,
       sms:          !!TELNYX_API_KEY,
+      smsWebhook:   telnyx.webhookConfigured(),
+      quietHours:   smsCompliance.quietHoursEnabled(),
       email:        !!POSTMARK_API_KEY,
+      emailWebhook: postmark.webhookConfigured(),
+      ghl:          ghlConfigured(),
+      auth:         AUTH_DISABLED ? "disabled" : authConfigured(),
     },
+    upstreams,
+    quoteCache: quoteCache.stats(),
+    smsMessages: smsStore.stats(),
+    emailTracking: emailTracking.stats(),
     endpoints: [
       "POST   /compulife/quote",
       "POST   /compulife/sidebyside",
+      "POST   /compulife/matrix",
+      "POST   /compulife/quote-pdf",
+      "POST   /compulife/health-profile",
       "POST   /sms/send",
-      "POST   /sms/send-bulk",
+      "POST   /sms/send-bulk (returns a job)",
+      "GET    /sms/jobs",
+      "GET    /sms/jobs/:id",
+      "POST   /sms/jobs/:id/cancel",
       "GET    /sms/status",
+      "POST   /sms/webhook (Telnyx, signed)",
+      "GET    /sms/messages",
+      "GET    /sms/messages/:id",
+      "GET    /sms/suppressions",
+      "POST   /sms/suppressions",
+      "DELETE /sms/suppressions/:phone",
       "POST   /email/send",
+      "POST   /email/send-batch",
+      "POST   /email/webhook (Postmark, basic auth)",
+      "GET    /email/messages/:id",
+      "GET    /email/suppressions",
+      "POST   /email/suppressions",
+      "DELETE /email/suppressions/:email",
+      "GET    /templates",
+      "POST   /templates",
+      "GET|PUT|DELETE /templates/:id",
+      "POST   /templates/:id/preview",
+      "POST   /sms/segments",
       "POST   /drive/upload",
+      "POST   /scan-lead",
+      "GET    /leads/profiles",
+      "POST   /leads/intake (scan → Drive → CRM → quote)",
       "GET    /supabase/signed-url",
       "POST   /supabase/upload",
       "POST   /anthropic/vision",
-      "POST   /ai/chat",
+      "POST   /ai/chat (stream, hubTools)",
+      "GET    /ai/policy",
+      "GET    /ai/usage",
+      "ALL    /ghl/* (contacts, conversations, calendars, users, pipelines, opportunities)",
     ],
   });
 });
 
-// ============================================================
-// PHONE NORMALIZE HELPER
-// ============================================================
-function normalizePhone(phone) {
-  if (!phone) return null;
-  const digits = String(phone).replace(/\D/g, "");
-  if (digits.length === 10) return "+1" + digits;
-  if (digits.length === 11 && digits[0] === "1") return "+" + digits;
-  if (digits.length > 10) return "+" + digits;
-  return null;
-}
-
 // ============================================================
 // GOOGLE DRIVE HELPER
 // ============================================================
@@ -124,8 +232,8 @@ async function getGoogleAccessToken() {
     return cachedAccessToken;
   }
 
-  console.log("[Drive] Refreshing access token...");
-  const resp = await fetch("https://oauth2.googleapis.com/token", {
+  log.drive.info("refreshing access token");
+  const resp = await upstreamFetch("google-oauth", "https://oauth2.googleapis.com/token", {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: new URLSearchParams({
@@ -134,17 +242,17 @@ async function getGoogleAccessToken() {
       refresh_token: GOOGLE_REFRESH_TOKEN,
       grant_type: "refresh_token",
     }),
-  });
+  }, { idempotent: true });
 
   const data = await resp.json();
   if (!resp.ok || !data.access_token) {
-    console.error("[Drive] Token refresh failed:", data);
+    log.drive.error("token refresh failed", { error: data.error, description: data.error_description });
     throw new Error(`Failed to refresh Google token: ${data.error_description || data.error || "unknown"}`);
   }
 
   cachedAccessToken = data.access_token;
   tokenExpiresAt = Date.now() + (data.expires_in * 1000);
-  console.log("[Drive] Access token refreshed successfully");
+  log.drive.info("access token refreshed", { expiresIn: data.expires_in });
   return cachedAccessToken;
 }
 
@@ -153,7 +261,7 @@ async function findOrCreateFolder(accessToken, folderName, parentId) {
   const query = `name='${folderName.replace(/'/g, "\\'")}' and '${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
   const searchUrl = `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id,name)`;
 
-  const searchResp = await fetch(searchUrl, {
+  const searchResp = await upstreamFetch("google-drive", searchUrl, {
     headers: { Authorization: `Bearer ${accessToken}` },
   });
   const searchData = await searchResp.json();
@@ -163,8 +271,8 @@ async function findOrCreateFolder(accessToken, folderName, parentId) {
   }
 
   // Create folder
-  console.log(`[Drive] Creating folder: ${folderName}`);
-  const createResp = await fetch("https://www.googleapis.com/drive/v3/files", {
+  log.drive.info("creating folder", { folderName });
+  const createResp = await upstreamFetch("google-drive", "https://www.googleapis.com/drive/v3/files", {
     method: "POST",
     headers: {
       Authorization: `Bearer ${accessToken}`,
@@ -187,111 +295,125 @@ async function findOrCreateFolder(accessToken, folderName, parentId) {
 // ============================================================
 // GOOGLE DRIVE — FILE UPLOAD
 // ============================================================
-app.post("/drive/upload", async (req, res) => {
-  try {
-    if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REFRESH_TOKEN) {
-      return res.status(500).json({ error: true, message: "Google Drive not configured" });
-    }
-
-    const { fileData, fileName, mimeType, vendorFolder } = req.body;
-    if (!fileData) return res.status(400).json({ error: true, message: "fileData (base64) required" });
-
-    const accessToken = await getGoogleAccessToken();
-
-    // Determine parent folder
-    let parentFolderId = GOOGLE_DRIVE_FOLDER_ID;
+function driveConfigured() {
+  return !!(GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET && GOOGLE_REFRESH_TOKEN);
+}
 
-    // If no root folder configured, create "Lead Scanner Pro" in Drive root
-    if (!parentFolderId) {
-      parentFolderId = await findOrCreateFolder(accessToken, "Lead Scanner Pro", "root");
-    }
+class DriveError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "DriveError";
+    this.status = status;
+  }
+}
 
-    // Create vendor subfolder if specified
-    let targetFolderId = parentFolderId;
-    if (vendorFolder) {
-      targetFolderId = await findOrCreateFolder(accessToken, vendorFolder, parentFolderId);
-    }
+// Uploads into GOOGLE_DRIVE_FOLDER_ID (or "Lead Scanner Pro") / vendorFolder and shares
+// the file by link. Used by /drive/upload and /compulife/quote-pdf.
+async function uploadToDrive({ fileBuffer, fileName, mimeType, vendorFolder }) {
+  if (!driveConfigured()) throw new DriveError(500, "Google Drive not configured");
 
-    // Upload file using multipart upload
-    const boundary = "lead_scanner_boundary_" + Date.now();
-    const metadata = JSON.stringify({
-      name: fileName || `lead_${Date.now()}.pdf`,
-      parents: [targetFolderId],
-    });
+  const accessToken = await getGoogleAccessToken();
 
-    // Decode base64 to binary
-    const fileBuffer = Buffer.from(fileData, "base64");
+  // Determine parent folder
+  let parentFolderId = GOOGLE_DRIVE_FOLDER_ID;
 
-    const multipartBody = Buffer.concat([
-      Buffer.from(
-        `--${boundary}\r\n` +
-        `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
-        `${metadata}\r\n` +
-        `--${boundary}\r\n` +
-        `Content-Type: ${mimeType || "application/pdf"}\r\n` +
-        `Content-Transfer-Encoding: base64\r\n\r\n`
-      ),
-      fileBuffer,
-      Buffer.from(`\r\n--${boundary}--`),
-    ]);
-
-    const uploadResp = await fetch(
-      "https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,name,webViewLink,webContentLink",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": `multipart/related; boundary=${boundary}`,
-          "Content-Length": multipartBody.length,
-        },
-        body: multipartBody,
-      }
-    );
+  // If no root folder configured, create "Lead Scanner Pro" in Drive root
+  if (!parentFolderId) {
+    parentFolderId = await findOrCreateFolder(accessToken, "Lead Scanner Pro", "root");
+  }
 
-    const uploadData = await uploadResp.json();
+  // Create vendor subfolder if specified
+  let targetFolderId = parentFolderId;
+  if (vendorFolder) {
+    targetFolderId = await findOrCreateFolder(accessToken, vendorFolder, parentFolderId);
+  }
 
-    if (!uploadResp.ok) {
-      console.error("[Drive] Upload failed:", uploadData);
-      return res.status(uploadResp.status).json({
-        error: true,
-        message: uploadData.error?.message || "Upload failed",
-      });
-    }
+  // Upload file using multipart upload
+  const boundary = "lead_scanner_boundary_" + Date.now();
+  const metadata = JSON.stringify({
+    name: fileName || `lead_${Date.now()}.pdf`,
+    parents: [targetFolderId],
+  });
 
-    // Make file viewable by anyone with the link
-    await fetch(`https://www.googleapis.com/drive/v3/files/${uploadData.id}/permissions`, {
+  const multipartBody = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Type: application/json; charset=UTF-8\r\n\r\n` +
+      `${metadata}\r\n` +
+      `--${boundary}\r\n` +
+      `Content-Type: ${mimeType || "application/pdf"}\r\n` +
+      `Content-Transfer-Encoding: base64\r\n\r\n`
+    ),
+    fileBuffer,
+    Buffer.from(`\r\n--${boundary}--`),
+  ]);
+
+  const uploadResp = await upstreamFetch(
+    "google-drive",
+    "https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,name,webViewLink,webContentLink",
+    {
       method: "POST",
       headers: {
         Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
+        "Content-Type": `multipart/related; boundary=${boundary}`,
+        "Content-Length": multipartBody.length,
       },
-      body: JSON.stringify({
-        role: "reader",
-        type: "anyone",
-      }),
-    });
+      body: multipartBody,
+    }
+  );
 
-    console.log(`[Drive] ✓ Uploaded: ${uploadData.name} → ${uploadData.webViewLink}`);
+  const uploadData = await uploadResp.json();
 
-    res.json({
-      success: true,
-      fileId: uploadData.id,
-      fileName: uploadData.name,
-      webViewLink: uploadData.webViewLink,
-      webContentLink: uploadData.webContentLink,
-      driveUrl: `https://drive.google.com/file/d/${uploadData.id}/view`,
-    });
+  if (!uploadResp.ok) {
+    log.drive.error("upload failed", { status: uploadResp.status, error: uploadData.error?.message });
+    throw new DriveError(uploadResp.status, uploadData.error?.message || "Upload failed");
+  }
+
+  // Make file viewable by anyone with the link
+  await upstreamFetch("google-drive", `https://www.googleapis.com/drive/v3/files/${uploadData.id}/permissions`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      role: "reader",
+      type: "anyone",
+    }),
+  });
+
+  log.drive.info("uploaded", { fileId: uploadData.id, fileName: uploadData.name, bytes: fileBuffer.length });
+
+  return {
+    fileId: uploadData.id,
+    fileName: uploadData.name,
+    webViewLink: uploadData.webViewLink,
+    webContentLink: uploadData.webContentLink,
+    driveUrl: `https://drive.google.com/file/d/${uploadData.id}/view`,
+  };
+}
+
+app.post("/drive/upload", requireScope("drive:write"), limits.leads, async (req, res) => {
+  try {
+    const { fileData, fileName, mimeType, vendorFolder } = req.body;
+    if (!driveConfigured()) return res.status(500).json({ error: true, message: "Google Drive not configured" });
+    if (!fileData) return res.status(400).json({ error: true, message: "fileData (base64) required" });
+
+    // Decode base64 to binary
+    const fileBuffer = Buffer.from(fileData, "base64");
+    const uploaded = await uploadToDrive({ fileBuffer, fileName, mimeType, vendorFolder });
+    res.json({ success: true, ...uploaded });
 
   } catch (e) {
-    console.error("[Drive] Error:", e.message);
-    res.status(500).json({ error: true, message: e.message });
+    log.drive.error("upload errored", { error: e.message });
+    res.status(e.status || 500).json({ error: true, message: e.message });
   }
 });
 
 // ============================================================
 // GOOGLE VISION — OCR Proxy for Lead Scanner Pro
 // ============================================================
-app.post("/vision/ocr", async (req, res) => {
+app.post("/vision/ocr", requireScope("leads:scan"), limits.leads, async (req, res) => {
   try {
     const GCP_API_KEY = process.env.GCP_VISION_API_KEY || "";
     if (!GCP_API_KEY) return res.status(500).json({ error: true, message: "GCP_VISION_API_KEY not configured" });
@@ -308,16 +430,15 @@ app.post("/vision/ocr", async (req, res) => {
       }],
     };
 
-    console.log("[Vision] Processing OCR request...");
-    const resp = await fetch(url, {
+    const resp = await upstreamFetch("google-vision", url, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(body),
-    });
+    }, { idempotent: true });
 
     const result = await resp.json();
     if (!resp.ok) {
-      console.error("[Vision] API error:", result);
+      log.vision.error("API error", { status: resp.status, error: result.error?.message });
       return res.status(resp.status).json({ error: true, message: result.error?.message || "Vision API error" });
     }
 
@@ -344,7 +465,7 @@ app.post("/vision/ocr", async (req, res) => {
     }
 
     const avgConfidence = wordCount > 0 ? Math.round((totalConf / wordCount) * 100) : null;
-    console.log(`[Vision] ✓ OCR complete: ${wordCount} words, ${avgConfidence}% confidence`);
+    log.vision.info("OCR complete", { wordCount, confidence: avgConfidence });
 
     res.json({
       success: true,
@@ -354,85 +475,113 @@ app.post("/vision/ocr", async (req, res) => {
     });
 
   } catch (e) {
-    console.error("[Vision] Error:", e.message);
-    res.status(500).json({ error: true, message: e.message });
+    log.vision.error("OCR errored", { error: e.message });
+    res.status(e instanceof UpstreamError ? e.status : 500).json({ error: true, message: e.message });
   }
 });
 
+// ============================================================
+// GHL — ERROR MAPPING
+// ============================================================
+function sendGhlError(res, e) {
+  const status = e instanceof GhlError || e instanceof UpstreamError ? e.status : 500;
+  const payload = { error: true, message: e.message };
+  if (e.details && e.details.upstreamStatus) payload.upstreamStatus = e.details.upstreamStatus;
+  res.status(status).json(payload);
+}
+
 // ============================================================
 // GHL — CONTACTS
 // ============================================================
-app.post("/ghl/contacts", async (req, res) => {
+app.post("/ghl/contacts", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("POST", "/contacts/", { ...req.body, locationId: GHL_LOCATION_ID });
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
+});
+
+// GET /ghl/contacts — list contacts; ?all=true walks every page (capped by maxPages)
+app.get("/ghl/contacts", requireScope("crm:read"), limits.crm, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 100);
+    let path = `/contacts/?locationId=${GHL_LOCATION_ID}&limit=${limit}`;
+    if (req.query.query) path += `&query=${encodeURIComponent(req.query.query)}`;
+    if (req.query.all === "true") {
+      const maxPages = parseInt(req.query.maxPages || "20", 10) || 20;
+      const contacts = await ghlFetchAll(path, "contacts", { maxPages });
+      return res.json({ contacts, total: contacts.length });
+    }
+    if (req.query.startAfterId) path += `&startAfterId=${encodeURIComponent(req.query.startAfterId)}`;
+    if (req.query.startAfter) path += `&startAfter=${encodeURIComponent(req.query.startAfter)}`;
+    const result = await ghlFetch("GET", path);
+    res.json(result);
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.get("/ghl/contacts/search", async (req, res) => {
+app.get("/ghl/contacts/search", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const q = req.query.query || req.query.q || "";
     const field = q.includes("@") ? "email" : "phone";
     const result = await ghlFetch("GET", `/contacts/search/duplicate?locationId=${GHL_LOCATION_ID}&${field}=${encodeURIComponent(q)}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.get("/ghl/contacts/:id", async (req, res) => {
+app.get("/ghl/contacts/:id", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/contacts/${req.params.id}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.put("/ghl/contacts/:id", async (req, res) => {
+app.put("/ghl/contacts/:id", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("PUT", `/contacts/${req.params.id}`, req.body);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/contacts/:id/tags", async (req, res) => {
+app.post("/ghl/contacts/:id/tags", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("POST", `/contacts/${req.params.id}/tags`, req.body);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/contacts/:id/notes", async (req, res) => {
+app.post("/ghl/contacts/:id/notes", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("POST", `/contacts/${req.params.id}/notes`, {
       body: req.body.body || req.body.note, userId: req.body.userId,
     });
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/contacts/:id/tasks", async (req, res) => {
+app.post("/ghl/contacts/:id/tasks", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("POST", `/contacts/${req.params.id}/tasks`, req.body);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
 // ============================================================
 // GHL — CONVERSATIONS / MESSAGING
 // ============================================================
-app.get("/ghl/conversations/:contactId", async (req, res) => {
+app.get("/ghl/conversations/:contactId", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/conversations/search?locationId=${GHL_LOCATION_ID}&contactId=${req.params.contactId}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.get("/ghl/conversations/:conversationId/messages", async (req, res) => {
+app.get("/ghl/conversations/:conversationId/messages", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/conversations/${req.params.conversationId}/messages`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/conversations/messages", async (req, res) => {
+app.post("/ghl/conversations/messages", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const payload = {
       type: req.body.type || "SMS",
@@ -445,20 +594,20 @@ app.post("/ghl/conversations/messages", async (req, res) => {
     if (req.body.attachments) payload.attachments = req.body.attachments;
     const result = await ghlFetch("POST", "/conversations/messages", payload);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
 // ============================================================
 // GHL — CALENDAR / APPOINTMENTS
 // ============================================================
-app.get("/ghl/calendars", async (req, res) => {
+app.get("/ghl/calendars", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/calendars/?locationId=${GHL_LOCATION_ID}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.get("/ghl/calendars/events", async (req, res) => {
+app.get("/ghl/calendars/events", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const { calendarId, startTime, endTime } = req.query;
     let path = `/calendars/events?locationId=${GHL_LOCATION_ID}`;
@@ -467,10 +616,10 @@ app.get("/ghl/calendars/events", async (req, res) => {
     if (endTime) path += `&endTime=${encodeURIComponent(endTime)}`;
     const result = await ghlFetch("GET", path);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/calendars/events", async (req, res) => {
+app.post("/ghl/calendars/events", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const payload = {
       locationId: GHL_LOCATION_ID,
@@ -485,20 +634,20 @@ app.post("/ghl/calendars/events", async (req, res) => {
     };
     const result = await ghlFetch("POST", "/calendars/events", payload);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.delete("/ghl/calendars/events/:eventId", async (req, res) => {
+app.delete("/ghl/calendars/events/:eventId", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("DELETE", `/calendars/events/${req.params.eventId}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
 // ============================================================
 // GHL — PHONE (Click-to-Dial)
 // ============================================================
-app.post("/ghl/phone/call", async (req, res) => {
+app.post("/ghl/phone/call", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const contactId = req.body.contactId;
     const phone = req.body.phone;
@@ -521,44 +670,44 @@ app.post("/ghl/phone/call", async (req, res) => {
       ghlLog: ghlResult,
       note: "Frontend should open tel: URI or GHL softphone widget",
     });
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
 // ============================================================
 // GHL — USERS / PIPELINES / OPPORTUNITIES
 // ============================================================
-app.get("/ghl/users", async (req, res) => {
+app.get("/ghl/users", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/users/?locationId=${GHL_LOCATION_ID}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.get("/ghl/pipelines", async (req, res) => {
+app.get("/ghl/pipelines", requireScope("crm:read"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("GET", `/opportunities/pipelines?locationId=${GHL_LOCATION_ID}`);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.post("/ghl/opportunities", async (req, res) => {
+app.post("/ghl/opportunities", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("POST", "/opportunities/", { ...req.body, locationId: GHL_LOCATION_ID });
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
-app.put("/ghl/opportunities/:id", async (req, res) => {
+app.put("/ghl/opportunities/:id", requireScope("crm:write"), limits.crm, async (req, res) => {
   try {
     const result = await ghlFetch("PUT", `/opportunities/${req.params.id}`, req.body);
     res.json(result);
-  } catch (e) { res.status(500).json({ error: true, message: e.message }); }
+  } catch (e) { sendGhlError(res, e); }
 });
 
 // ============================================================
 // COMPULIFE ROUTES
 // ============================================================
-app.post("/", async (req, res) => {
+app.post("/", requireScope("compulife:read"), limits.quotes, async (req, res) => {
   try {
     const action = (req.body || {}).action || "ping";
     switch (action) {
@@ -574,98 +723,425 @@ app.post("/", async (req, res) => {
       }
       case "quote-sidebyside":
       case "quote-compare":
-        return res.json(await proxyPrivate("/sidebyside", buildCompulifeParams(req.body)));
+        return sendSideBySide(req, res);
+      case "quote-matrix":
+        return sendQuoteMatrix(req, res);
       default:
         return res.status(400).json({ error: `Unknown action: ${action}` });
     }
   } catch (e) {
-    console.error("[Compulife]", e.message);
-    res.status(500).json({ error: true, message: e.message });
+    log.compulife.error("action failed", { action: (req.body || {}).action, error: e.message });
+    res.status(e.status || 500).json({ error: true, message: e.message });
+  }
+});
+
+// POST /compulife/sidebyside — same as the quote-compare action, as its own route
+// Body: Compulife quote fields + bypassCache (optional)
+app.post("/compulife/sidebyside", requireScope("compulife:read"), limits.quotes, (req, res) => sendSideBySide(req, res));
+
+// Shared by the quote-compare action and /compulife/sidebyside; normalize=true opts into the stable schema
+async function sendSideBySide(req, res) {
+  const body = req.body || {};
+  const normalize = wantsNormalized(req);
+  try {
+    const { params, errors } = validateCompulifeParams(body);
+    if (errors.length) return sendValidationError(res, errors);
+    const result = await cachedSideBySide(params, { bypassCache: isTruthy(body.bypassCache) });
+    return res.json(normalize ? normalizeQuoteResponse(result, params) : result);
+  } catch (e) {
+    log.compulife.error("side-by-side failed", { error: e.message, code: e.code });
+    if (normalize) return sendNormalizedError(res, e);
+    res.status(e.status || 500).json({ error: true, message: e.message });
   }
-});// ══════════════════════════════════════════════════════════
+}
+
+function wantsNormalized(req) {
+  return isTruthy((req.body || {}).normalize) || isTruthy(req.query.normalize);
+}
+
+// POST /compulife/matrix — same as the quote-matrix action
+// Body: client profile + arrays of FaceAmount, TermPeriod or NewCategory, Health
+app.post("/compulife/matrix", requireScope("compulife:read"), limits.quotes, (req, res) => sendQuoteMatrix(req, res));
+
+// ── /compulife/products — CompanyProductList for one carrier/category ──
+// GET  /compulife/products?CompanyCode=SENA&Category=6
+// POST /compulife/products  { CompanyCode, Category }
+async function sendCompanyProducts(res, { CompanyCode, Category } = {}) {
+  try {
+    const data = await compulife.companyProductList({ CompanyCode, Category });
+    if (data.raw !== undefined) {
+      return res.status(502).json({ error: "Non-JSON", status: data.status, raw: data.raw.substring(0, 400) });
+    }
+    res.json(data);
+  } catch (e) {
+    log.compulife.error("products failed", { error: e.message, code: e.code });
+    res.status(e.status || 500).json({ error: e.message });
+  }
+}
+
+app.post("/compulife/products", requireScope("compulife:read"), limits.quotes, (req, res) => sendCompanyProducts(res, req.body));
+app.get("/compulife/products", requireScope("compulife:read"), limits.quotes, (req, res) => sendCompanyProducts(res, req.query));
+
+// ── GET /compulife/companies — company list with official logo URLs ──
+// Public like its CORS override: no credential, rate limited per client IP
+app.get("/compulife/companies", limits.quotes, async (req, res) => {
+  try {
+    const data = await compulife.companyList();
+    if (data.raw !== undefined) {
+      return res.status(502).json({ error: "Non-JSON", raw: data.raw.substring(0, 500) });
+    }
+    res.json(data);
+  } catch (e) {
+    log.compulife.error("companies failed", { error: e.message, code: e.code });
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ══════════════════════════════════════════════════════════
 // COMPULIFE DIRECT QUOTE ROUTE
 // ══════════════════════════════════════════════════════════
-app.post("/compulife/quote", async (req, res) => {
+app.post("/compulife/quote", requireScope("compulife:read"), limits.quotes, async (req, res) => {
+  const normalize = wantsNormalized(req);
   try {
-    const result = await proxyPrivate("/request", req.body);
-    return res.json(result);
+    const { params, errors } = validateCompulifeParams(req.body);
+    if (errors.length) return sendValidationError(res, errors);
+    const result = await proxyPrivate("/request", params);
+    return res.json(normalize ? normalizeQuoteResponse(result, params) : result);
   } catch (e) {
-    console.error("[Compulife/quote]", e.message);
-    res.status(500).json({ error: true, message: e.message });
+    log.compulife.error("quote failed", { error: e.message, code: e.code });
+    if (normalize) return sendNormalizedError(res, e);
+    res.status(e.status || 500).json({ error: true, message: e.message });
   }
 });
 
-function buildCompulifeParams(body) {
-  const params = {};
-  const fields = [
-    // Core quote fields (legacy + current naming)
-    "Province","State","Sex","Smoker","Birthdate","BirthMonth","Birthday","BirthYear",
-    "FaceAmount","Premium","Mode","ModeUsed","Health",
-    "TermPeriod","NewCategory","Category",
-    "TableRating","InquiryType","ResultType","NumberOfCompanies",
-    "Plan","DisplayFlags","DropCompanies",
-    // Sort/display options
-    "CompRating","SortOverride1","LANGUAGE","ZipCode","COMPINC","PRODDIS",
-    "ErrOnMissingZipCode","MaxNumResults",
-    // Health analyzer fields
-    "Alcohol","AlcoholYearsSinceTreatment",
-    "Asthma","AsthmaRegularMedication","BloodPressure","BloodPressureMedication",
-    "BPSystolic","BPDiastolic","Cancer","CancerType","CancerYearsSinceTreatment",
-    "Cholesterol","CholesterolMedication","CholesterolReading","Diabetes",
-    "DiabetesType","DiabetesA1CReading","HeartDisease","HeartType",
-    "HeartYearsSinceTreatment","Depression","DepressionYearsSinceTreatment",
-    "Drugs","DrugsYearsSinceTreatment","EmbeddedAccums","EmbeddedAccumColor","NoRedX",
-    // Smoking/Tobacco detail
-    "DoSmokingTobacco","DoCigarettes","PeriodCigarettes","NumCigarettes",
-    "DoCigars","PeriodCigars","NumCigars","DoPipe","PeriodPipe",
-    "DoChewingTobacco","PeriodChewingTobacco","DoNicotinePatchesOrGum","PeriodNicotinePatchesOrGum",
-    // Height/Weight
-    "DoHeightWeight","Weight","Feet","Inches",
-    // Blood Pressure detail
-    "DoBloodPressure","Systolic","Dystolic",
-    // Cholesterol detail
-    "DoCholesterol","CholesterolLevel","HDLRatio","PeriodCholesterol","PeriodCholesterolControlDuration",
-    // Driving
-    "DoDriving","HadDriversLicense",
-    "MovingViolations0","MovingViolations1","MovingViolations2","MovingViolations3","MovingViolations4",
-    "RecklessConviction","DwiConviction","SuspendedConviction","MoreThanOneAccident",
-    "PeriodRecklessConviction","PeriodDwiConviction","PeriodSuspendedConviction","PeriodMoreThanOneAccident",
-    // Family History
-    "DoFamily","NumDeaths","NumContracted",
-    "AgeDied00","AgeContracted00","IsParent00","CVD00","ColonCancer00",
-    "AgeContracted10","IsParent10","CVD10","ColonCancer10",
-    // Substance Abuse
-    "DoSubAbuse",
-  ];
-  for (const k of fields) { if (body[k] !== undefined) params[k] = String(body[k]); }
-  return params;
+// ============================================================
+// COMPULIFE HEALTH PROFILE
+// Plain-language health questionnaire → health analyzer fields + estimated class.
+// Nothing is sent to Compulife; merge `params` into a quote request.
+// ============================================================
+app.post("/compulife/health-profile", requireScope("compulife:read"), (req, res) => {
+  const body = req.body || {};
+  const mapped = mapQuestionnaire(body);
+  // Range checks (weight, readings, periods) are the same ones a quote request gets
+  const errors = mapped.errors.length ? mapped.errors
+    : validateCompulifeParams(mapped.params, { requireQuoteFields: false }).errors;
+  if (errors.length) {
+    return res.status(400).json({
+      error: true,
+      code: "VALIDATION_FAILED",
+      message: `Invalid health questionnaire: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`,
+      fields: errors,
+    });
+  }
+  res.json({
+    success: true,
+    params: mapped.params,
+    estimate: mapped.estimate,
+    unanswered: mapped.unanswered,
+    notes: mapped.notes,
+  });
+});
+
+// ============================================================
+// COMPULIFE QUOTE PDF
+// Side-by-side quote → branded comparison PDF, returned as base64 and
+// optionally uploaded to Drive and/or emailed as a Postmark attachment
+// ============================================================
+const QUOTE_PDF_EMAIL_SUBJECT = "Your life insurance quote comparison";
+
+function quotePdfFileName(client, date) {
+  const who = String(client.name || "").trim().replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `Quote-Comparison-${who || "Client"}-${date.toISOString().slice(0, 10)}.pdf`;
 }
 
-async function proxyPublic(path) {
-  const url = `${COMPULIFE_BASE}${path}`;
-  console.log(`[Compulife] PUBLIC → ${url}`);
-  const r = await fetch(url);
-  const t = await r.text();
-  try { return JSON.parse(t); } catch { return { raw: t, status: r.status }; }
+// Email body for the PDF: caller content (or a hub template) if given, else a short default note
+function quotePdfEmailInput(email, { client, quote, fileName, pdf }) {
+  const hasContent = ["subject", "html", "text", "templateId", "postmarkTemplateId", "postmarkTemplateAlias"]
+    .some(k => email[k]);
+  const greeting = client.name ? `Hi ${String(client.name).split(/\s+/)[0]},` : "Hello,";
+  return {
+    ...(hasContent ? {} : {
+      subject: QUOTE_PDF_EMAIL_SUBJECT,
+      text: `${greeting}\n\nAttached is the life insurance quote comparison we prepared for you. ` +
+        "Reply to this email or give us a call with any questions.",
+    }),
+    ...email,
+    to: email.to || client.email,
+    variables: { name: client.name, email: client.email, phone: client.phone, quote, ...(email.variables || {}) },
+    attachments: [
+      ...(Array.isArray(email.attachments) ? email.attachments : []),
+      { name: fileName, content: pdf.toString("base64"), contentType: "application/pdf" },
+    ],
+  };
 }
 
-async function proxyPrivate(path, params) {
-  const payload = { COMPULIFEAUTHORIZATIONID: AUTH_ID, REMOTE_IP, ...params };
-  const url = `${COMPULIFE_BASE}${path}/?COMPULIFE=${encodeURIComponent(JSON.stringify(payload))}`;
-  console.log(`[Compulife] PRIVATE → ${COMPULIFE_BASE}${path}`);
-  console.log(`[Compulife] Full URL length: ${url.length}`);
-  console.log(`[Compulife] Payload keys: ${Object.keys(payload).join(', ')}`);
-  const r = await fetch(url);
-  console.log(`[Compulife] Response status: ${r.status}`);
-  const t = await r.text();
-  console.log(`[Compulife] Response preview: ${t.substring(0, 200)}`);
-  try { return JSON.parse(t); } catch { return { raw: t, status: r.status }; }
+// POST /compulife/quote-pdf
+// Body: Compulife quote fields + bypassCache,
+//       client: { name, email, phone }, agent: { name, phone, email, license },
+//       title, maxCarriers (default 20, max 50), fileName,
+//       drive: { vendorFolder } or true    — also upload to Drive (needs drive:write)
+//       email: { to (default client.email), subject/html/text | templateId + variables, cc, bcc, ... } or true
+//                                          — also email it as an attachment (needs email:send)
+//       includePdf (default true; false leaves pdfBase64 out of the response)
+app.post("/compulife/quote-pdf", requireScope("compulife:read"), limits.quotes,
+  limitWhen(body => body.drive, limits.leads), limitWhen(body => body.email, limits.email), async (req, res) => {
+  const body = req.body || {};
+  const client = body.client && typeof body.client === "object" ? body.client : {};
+  const email = body.email && typeof body.email === "object" ? body.email : body.email ? {} : null;
+  const drive = body.drive && typeof body.drive === "object" ? body.drive : body.drive ? {} : null;
+
+  for (const [option, scope] of [["drive", "drive:write"], ["email", "email:send"]]) {
+    if (body[option] && !hasScope(req.principal.scopes, scope)) {
+      return res.status(403).json({
+        error: true,
+        code: "FORBIDDEN",
+        message: `Credential "${req.principal.id}" lacks scope ${scope} (needed for ${option} delivery)`,
+        requiredScope: scope,
+      });
+    }
+  }
+  if (drive && !driveConfigured()) return res.status(500).json({ error: true, message: "Google Drive not configured" });
+  if (email && !POSTMARK_API_KEY) return res.status(500).json({ error: true, message: "POSTMARK_API_KEY not configured" });
+
+  let quote, params;
+  try {
+    const validated = validateCompulifeParams(body);
+    if (validated.errors.length) return sendValidationError(res, validated.errors);
+    params = validated.params;
+    quote = normalizeQuoteResponse(await cachedSideBySide(params, { bypassCache: isTruthy(body.bypassCache) }), params);
+  } catch (e) {
+    log.compulife.error("quote pdf quote failed", { error: e.message, code: e.code });
+    return sendNormalizedError(res, e);
+  }
+  if (!quote.count) {
+    return res.status(422).json({ error: true, code: "NO_QUOTES", message: "Compulife returned no quotes for this profile" });
+  }
+
+  const generatedAt = new Date();
+  const maxCarriers = parseInt(body.maxCarriers, 10) || 20;
+  let pdf;
+  try {
+    pdf = await renderQuotePdf({
+      quote,
+      params,
+      client,
+      agent: body.agent && typeof body.agent === "object" ? body.agent : {},
+      title: body.title,
+      maxCarriers,
+      generatedAt,
+    });
+  } catch (e) {
+    log.compulife.error("quote pdf render failed", { error: e.message });
+    return res.status(500).json({ error: true, message: `PDF render failed: ${e.message}` });
+  }
+  const fileName = body.fileName || quotePdfFileName(client, generatedAt);
+
+  // Validate the email before anything leaves the hub, so a bad address never strands a Drive upload
+  let prepared = null;
+  if (email) {
+    prepared = prepareEmail(quotePdfEmailInput(email, { client, quote, fileName, pdf: pdf.buffer }));
+    if (prepared.error) {
+      const { status, error, ...rest } = prepared;
+      return res.status(status).json({ error: true, message: error, ...rest });
+    }
+  }
+
+  const result = {
+    success: true,
+    fileName,
+    bytes: pdf.buffer.length,
+    carriers: pdf.carriers,
+    quoteCount: quote.count,
+    ...(quote.cache ? { cache: quote.cache } : {}),
+  };
+
+  if (drive) {
+    try {
+      result.drive = { success: true, ...await uploadToDrive({
+        fileBuffer: pdf.buffer,
+        fileName,
+        mimeType: "application/pdf",
+        vendorFolder: drive.vendorFolder,
+      }) };
+    } catch (e) {
+      log.drive.error("quote pdf upload failed", { error: e.message });
+      result.drive = { success: false, error: e.message };
+    }
+  }
+
+  if (prepared) {
+    const { message, template } = prepared;
+    try {
+      const sent = await postmark.sendMessage(message, { template });
+      if (sent.ok) {
+        recordSentEmail(message, sent);
+        log.email.info("sent", { to: message.To, messageId: sent.messageId, stream: message.MessageStream, template });
+        result.email = { success: true, messageId: sent.messageId, to: message.To, submittedAt: sent.submittedAt };
+      } else {
+        log.email.error("send failed", { to: message.To, status: sent.status, errorCode: sent.errorCode, error: sent.error });
+        result.email = { success: false, error: sent.error, errorCode: sent.errorCode };
+      }
+    } catch (e) {
+      log.email.error("send errored", { error: e.message });
+      result.email = { success: false, error: e.message };
+    }
+  }
+
+  log.compulife.info("quote pdf rendered", {
+    carriers: pdf.carriers,
+    bytes: pdf.buffer.length,
+    drive: result.drive?.success ?? null,
+    email: result.email?.success ?? null,
+  });
+
+  // The PDF always comes back when a delivery failed, so the caller can retry it by hand
+  const failed = [result.drive, result.email].some(d => d && !d.success);
+  if (failed) result.success = false;
+  if (failed || body.includePdf === undefined || isTruthy(body.includePdf)) result.pdfBase64 = pdf.buffer.toString("base64");
+  res.status(failed ? 502 : 200).json(result);
+});
+
+// ============================================================
+// COMPULIFE QUOTE CACHE
+// Keyed on the normalized, validated quote params; rates rarely move intra-day
+// ============================================================
+const QUOTE_CACHE_TTL_MS = parseInt(process.env.QUOTE_CACHE_TTL_MS || String(4 * 60 * 60 * 1000), 10);
+const QUOTE_CACHE_MAX    = parseInt(process.env.QUOTE_CACHE_MAX || "500", 10);
+const quoteCache = createTtlCache({ ttlMs: QUOTE_CACHE_TTL_MS, maxEntries: QUOTE_CACHE_MAX });
+
+function isTruthy(v) {
+  return v === true || v === "true" || v === "1" || v === 1;
+}
+
+function quoteCacheKey(path, params) {
+  const normalized = Object.keys(params).sort().map(k => [k, String(params[k]).trim().toUpperCase()]);
+  return path + ":" + JSON.stringify(normalized);
+}
+
+// Only cache real quote payloads — not unparseable bodies or Compulife error messages
+function isCacheableQuote(result) {
+  return !!result && typeof result === "object" && !Array.isArray(result) &&
+    result.raw === undefined && !result.error && !result.ErrorMessage;
+}
+
+async function cachedSideBySide(params, { bypassCache = false } = {}) {
+  const key = quoteCacheKey("/sidebyside", params);
+
+  if (!bypassCache) {
+    const entry = quoteCache.get(key);
+    if (entry) {
+      log.compulife.info("quote cache hit", { ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000) });
+      return { ...entry.value, _cache: cacheMeta(true, entry) };
+    }
+  }
+
+  const result = await proxyPrivate("/sidebyside", params);
+  if (!isCacheableQuote(result)) return result;
+
+  const entry = quoteCache.set(key, result);
+  return { ...result, _cache: entry ? cacheMeta(false, entry, bypassCache) : { hit: false, enabled: false } };
+}
+
+function cacheMeta(hit, entry, bypassed = false) {
+  return {
+    hit,
+    bypassed,
+    cachedAt: new Date(entry.storedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+  };
+}
+
+// ============================================================
+// COMPULIFE QUOTE MATRIX
+// One profile fanned out over FaceAmount × term × Health, top carriers per cell
+// ============================================================
+const MATRIX_AXES        = ["FaceAmount", "TermPeriod", "NewCategory", "Health"];
+const MATRIX_MAX_CELLS   = parseInt(process.env.MATRIX_MAX_CELLS || "48", 10);
+const MATRIX_CONCURRENCY = parseInt(process.env.MATRIX_CONCURRENCY || "4", 10);
+
+function matrixAxes(body) {
+  const axes = {};
+  for (const k of MATRIX_AXES) {
+    if (Array.isArray(body[k])) axes[k] = [...new Set(body[k].map(String))];
+  }
+  return axes;
+}
+
+// Cell count from the axis lengths alone, so an oversized matrix is refused before it is expanded
+function matrixSize(axes) {
+  return Object.values(axes).reduce((n, values) => n * values.length, 1);
+}
+
+function buildMatrixCells(axes) {
+  let cells = [{}];
+  for (const [k, values] of Object.entries(axes)) {
+    cells = cells.flatMap(cell => values.map(v => ({ ...cell, [k]: v })));
+  }
+  return cells;
+}
+
+async function sendQuoteMatrix(req, res) {
+  try {
+    const body = req.body || {};
+    const axes = matrixAxes(body);
+    if (!Object.keys(axes).length) {
+      return res.status(400).json({ error: true, message: `At least one of ${MATRIX_AXES.join(", ")} must be an array` });
+    }
+    if (Object.values(axes).some(v => !v.length)) {
+      return res.status(400).json({ error: true, message: "Matrix axes cannot be empty arrays" });
+    }
+    const size = matrixSize(axes);
+    if (size > MATRIX_MAX_CELLS) {
+      return res.status(400).json({ error: true, message: `Matrix has ${size} cells; max is ${MATRIX_MAX_CELLS}` });
+    }
+    const cells = buildMatrixCells(axes);
+
+    const top = Math.min(Math.max(parseInt(body.top || "3", 10) || 3, 1), 25);
+    const bypassCache = isTruthy(body.bypassCache);
+    const profile = { ...body };
+    for (const k of Object.keys(axes)) delete profile[k];
+
+    // Validate every cell up front so a bad axis value fails before any Compulife call
+    const validated = cells.map(cell => ({ cell, ...validateCompulifeParams({ ...profile, ...cell }) }));
+    const invalid = validated.filter(v => v.errors.length);
+    if (invalid.length) {
+      const errors = invalid.flatMap(v => v.errors.map(e => ({ ...e, cell: v.cell })));
+      return sendValidationError(res, errors.filter((e, i) =>
+        errors.findIndex(o => o.field === e.field && o.message === e.message) === i));
+    }
+
+    log.compulife.info("quote matrix", { cells: cells.length, concurrency: MATRIX_CONCURRENCY });
+    const results = await mapWithConcurrency(validated, MATRIX_CONCURRENCY, async ({ cell, params }) => {
+      try {
+        const data = await cachedSideBySide(params, { bypassCache });
+        if (data.raw !== undefined) return { ...cell, error: `Unparseable Compulife response (${data.status})`, carriers: [] };
+        return { ...cell, cached: !!(data._cache && data._cache.hit), carriers: topCarriers(data, top) };
+      } catch (e) {
+        return { ...cell, error: e.message, carriers: [] };
+      }
+    });
+
+    res.json({
+      success: true,
+      axes,
+      top,
+      cellCount: results.length,
+      failed: results.filter(c => c.error).length,
+      cells: results,
+    });
+  } catch (e) {
+    log.compulife.error("matrix failed", { error: e.message });
+    res.status(e.status || 500).json({ error: true, message: e.message });
+  }
 }
 
 // ============================================================
 // ANTHROPIC — OCR for Lead Scanner Pro
 // ============================================================
-app.post("/anthropic", async (req, res) => {
+const LEGACY_OCR_PROMPT = "Extract all text from this lead card. Return JSON.";
+
+app.post("/anthropic", requireScope("ai:chat"), limits.ai, limits.aiTokens, async (req, res) => {
   try {
     if (!ANTHROPIC_API_KEY) return res.status(500).json({ error: "ANTHROPIC_API_KEY not configured" });
 
@@ -674,12 +1150,27 @@ app.post("/anthropic", async (req, res) => {
 
     let body;
     if (isPassthrough) {
-      // New format: pass through the full Anthropic request
-      body = JSON.stringify(req.body);
+      // New format: the full Anthropic request, held to the AI model policy
+      try {
+        body = JSON.stringify(aiPolicy.applyPolicy(req.body, req.principal));
+      } catch (e) {
+        if (!(e instanceof aiPolicy.AiPolicyError)) throw e;
+        log.anthropic.warn("request refused by policy", { route: "/anthropic", code: e.code, model: req.body.model });
+        return res.status(e.status).json({ error: true, code: e.code, message: e.message, ...e.details });
+      }
     } else {
       // Legacy format: image + prompt
-      const { image, media_type, prompt } = req.body;
+      const { image, media_type, prompt, profile, vendorFolder } = req.body;
       if (!image) return res.status(400).json({ error: "image (base64) required" });
+      // Without a prompt, `profile` / `vendorFolder` ask for that lead profile's fields; neither keeps the generic prompt
+      let text = prompt || LEGACY_OCR_PROMPT;
+      if (!prompt && (profile || vendorFolder)) {
+        const leadProfile = leadProfiles.resolveProfile({ profile, vendorFolder });
+        if (!leadProfile) {
+          return res.status(400).json({ error: `Unknown lead profile ${profile}`, profiles: leadProfiles.profileIds() });
+        }
+        text = leadProfiles.jsonPrompt(leadProfile);
+      }
       body = JSON.stringify({
         model: "claude-sonnet-4-20250514",
         max_tokens: 4096,
@@ -687,13 +1178,13 @@ app.post("/anthropic", async (req, res) => {
           role: "user",
           content: [
             { type: "image", source: { type: "base64", media_type: media_type || "image/png", data: image } },
-            { type: "text", text: prompt || "Extract all text from this lead card. Return JSON." },
+            { type: "text", text },
           ],
         }],
       });
     }
 
-    const r = await fetch("https://api.anthropic.com/v1/messages", {
+    const r = await upstreamFetch("anthropic", "https://api.anthropic.com/v1/messages", {
       method: "POST",
       headers: {
         "x-api-key": ANTHROPIC_API_KEY,
@@ -704,47 +1195,366 @@ app.post("/anthropic", async (req, res) => {
     });
 
     const data = await r.json();
+    await chargeAnthropicUsage(req, data);
     res.json(data);
   } catch (e) {
-    console.error("[Anthropic]", e.message);
-    res.status(500).json({ error: true, message: e.message });
+    log.anthropic.error("request errored", { route: "/anthropic", error: e.message });
+    res.status(e instanceof UpstreamError ? e.status : 500).json({ error: true, message: e.message });
   }
 });
 
 // ═══════════════════════════════════════════════════════════════
 // AI Chat Proxy — shields Anthropic API key from frontend; frontend POSTs to /ai/chat
+// Requests are held to lib/ai-policy (model allowlist, max_tokens caps, agency system prompt)
 // ═══════════════════════════════════════════════════════════════
-app.post("/ai/chat", async (req, res) => {
+
+// One non-streaming Messages API call → { ok, status, data }
+async function anthropicMessages(body) {
+  const response = await upstreamFetch("anthropic", "https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01",
+    },
+    body: JSON.stringify(body),
+  });
+
+  const raw = await response.text();
+  let data;
   try {
-    if (!ANTHROPIC_API_KEY) {
-      return res.status(500).json({ error: "AI proxy error", detail: "ANTHROPIC_API_KEY not configured" });
-    }
+    data = raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    data = { error: "Invalid JSON from Anthropic", detail: raw.slice(0, 200) };
+  }
+  return { ok: response.ok, status: response.status, data };
+}
+
+// stream: true — Anthropic's server-sent events are relayed as they arrive. A client that
+// disconnects aborts the upstream request; whatever usage the stream reported is still charged.
+async function streamChat(req, res, body) {
+  const upstream = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) upstream.abort();
+  });
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
+  let response;
+  try {
+    response = await upstreamFetch("anthropic", "https://api.anthropic.com/v1/messages", {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
         "x-api-key": ANTHROPIC_API_KEY,
         "anthropic-version": "2023-06-01",
       },
-      body: JSON.stringify(req.body),
+      body: JSON.stringify(body),
+      signal: upstream.signal,
+    }, { stream: true });
+  } catch (e) {
+    if (upstream.signal.aborted) return log.anthropic.info("client disconnected before stream", { route: "/ai/chat" });
+    throw e;
+  }
+
+  // Refused before any event was sent: answer with an ordinary JSON error
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    return res.status(response.status).json(anthropicStream.errorPayload(data || `Anthropic returned ${response.status}`));
+  }
+
+  anthropicStream.openStream(res);
+  const result = await anthropicStream.relayMessageStream(response, res);
+  await chargeAnthropicUsage(req, result);
+
+  const fields = { route: "/ai/chat", model: result.model, inputTokens: result.usage.input_tokens, outputTokens: result.usage.output_tokens };
+  if (result.error) log.anthropic.error("stream failed", { ...fields, detail: result.error.detail });
+  else if (result.aborted) log.anthropic.info("client disconnected mid-stream", fields);
+  if (!res.destroyed) res.end();
+}
+
+// ---- Hub tools: server-side capabilities the assistant may call (see lib/ai-tools) ----
+const AI_TOOL_TOP = 10;
+const AI_TOOL_MAX_TOP = 25;
+const AI_TOOL_MAX_CALENDARS = 10;
+const AI_TOOL_MAX_EVENT_DAYS = 31;
+
+const clampInt = (v, min, max, fallback) => (Number.isInteger(v) ? Math.min(Math.max(v, min), max) : fallback);
+
+// Age today → the MM/DD/YYYY birth date Compulife needs
+function birthdateForAge(age, today = new Date()) {
+  const d = new Date(today.getFullYear() - age, today.getMonth(), today.getDate());
+  return `${String(d.getMonth() + 1).padStart(2, "0")}/${String(d.getDate()).padStart(2, "0")}/${d.getFullYear()}`;
+}
+
+async function toolQuoteCompare(input) {
+  const years = Number(input.termYears);
+  const category = Object.keys(CATEGORY_TERM_YEARS).find(k => CATEGORY_TERM_YEARS[k] === years);
+  if (!category || years < 10) throw new aiTools.ToolInputError("termYears must be 10, 15, 20, 25, 30, 35 or 40");
+  if (!input.birthDate && !Number.isInteger(input.age)) throw new aiTools.ToolInputError("age or birthDate is required");
+  const birthDate = input.birthDate || birthdateForAge(input.age);
+
+  const { params, errors } = validateCompulifeParams({
+    State: input.state,
+    Birthdate: birthDate,
+    Sex: input.sex,
+    Smoker: typeof input.smoker === "boolean" ? (input.smoker ? "Y" : "N") : input.smoker,
+    FaceAmount: input.faceAmount,
+    NewCategory: category,
+    Health: input.health || "R",
+    ModeUsed: "M",
+  });
+  if (errors.length) {
+    throw new aiTools.ToolInputError(`Invalid quote request: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`, errors);
+  }
+
+  const normalized = normalizeQuoteResponse(await cachedSideBySide(params), params);
+  const price = (q) => q.premiums.annual ?? Infinity;
+  const quotes = normalized.quotes.slice().sort((a, b) => price(a) - price(b))
+    .slice(0, clampInt(input.top, 1, AI_TOOL_MAX_TOP, AI_TOOL_TOP));
+  return {
+    request: {
+      state: params.State,
+      birthDate,
+      sex: params.Sex,
+      smoker: params.Smoker === "Y",
+      faceAmount: Number(params.FaceAmount),
+      termYears: years,
+      health: params.Health,
+    },
+    carriersQuoted: normalized.count,
+    quotes: quotes.map(q => ({
+      carrier: q.carrier.name,
+      carrierCode: q.carrier.code,
+      product: q.product.name,
+      amBestRating: q.amBestRating,
+      healthClass: q.healthClass.label,
+      monthly: q.premiums.monthly,
+      annual: q.premiums.annual,
+    })),
+  };
+}
+
+async function toolGetProducts(input) {
+  if (!input.company) throw new aiTools.ToolInputError("company is required");
+  const data = await proxyPublic(`/ProductList/${encodeURIComponent(input.company)}`);
+  if (data.raw !== undefined) throw new Error(`Compulife returned a non-JSON response (HTTP ${data.status})`);
+  return data;
+}
+
+async function toolSearchContacts(input) {
+  const query = String(input.query || "").trim();
+  if (!query) throw new aiTools.ToolInputError("query is required");
+  const limit = clampInt(input.limit, 1, AI_TOOL_MAX_TOP, AI_TOOL_TOP);
+  const result = await ghlFetch("GET", `/contacts/?locationId=${GHL_LOCATION_ID}&limit=${limit}&query=${encodeURIComponent(query)}`);
+  const contacts = (result.contacts || []).map(c => ({
+    id: c.id,
+    name: c.contactName || [c.firstName, c.lastName].filter(Boolean).join(" ") || null,
+    phone: c.phone || null,
+    email: c.email || null,
+    tags: c.tags || [],
+    dateAdded: c.dateAdded || null,
+  }));
+  return { count: contacts.length, contacts };
+}
+
+async function toolCalendarEvents(input) {
+  const start = input.startDate ? Date.parse(input.startDate) : Date.now();
+  if (Number.isNaN(start)) throw new aiTools.ToolInputError("startDate must be an ISO date");
+  const end = input.endDate ? Date.parse(input.endDate) : start + 7 * 86400000;
+  if (Number.isNaN(end) || end <= start) throw new aiTools.ToolInputError("endDate must be an ISO date after startDate");
+  if (end - start > AI_TOOL_MAX_EVENT_DAYS * 86400000) {
+    throw new aiTools.ToolInputError(`The range may span at most ${AI_TOOL_MAX_EVENT_DAYS} days`);
+  }
+
+  let calendarIds = [input.calendarId];
+  if (!input.calendarId) {
+    const { calendars = [] } = await ghlFetch("GET", `/calendars/?locationId=${GHL_LOCATION_ID}`);
+    calendarIds = calendars.slice(0, AI_TOOL_MAX_CALENDARS).map(c => c.id);
+  }
+  const perCalendar = await mapWithConcurrency(calendarIds, 3, async (calendarId) => {
+    const path = `/calendars/events?locationId=${GHL_LOCATION_ID}&calendarId=${encodeURIComponent(calendarId)}` +
+      `&startTime=${start}&endTime=${end}`;
+    return (await ghlFetch("GET", path)).events || [];
+  });
+  const events = perCalendar.flat()
+    .map(e => ({
+      id: e.id,
+      title: e.title || null,
+      calendarId: e.calendarId || null,
+      contactId: e.contactId || null,
+      status: e.appointmentStatus || e.status || null,
+      startTime: e.startTime,
+      endTime: e.endTime,
+    }))
+    .sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+  return { from: new Date(start).toISOString(), to: new Date(end).toISOString(), count: events.length, events };
+}
+
+const AI_TOOL_HANDLERS = {
+  "quote-compare": toolQuoteCompare,
+  "get-products": toolGetProducts,
+  "search-contacts": toolSearchContacts,
+  "list-calendar-events": toolCalendarEvents,
+};
+
+// Each tool call spends one unit of the limit its own route uses; an exhausted limit is reported to Claude
+const AI_TOOL_LIMITS = { "compulife:read": limits.quotes, "crm:read": limits.crm };
+
+// Handlers for the tools resolveTools declared — a tool the model names without being offered it stays unknown
+function meteredToolHandlers(req, tools) {
+  const handlers = new Map();
+  for (const { name, scope } of tools) {
+    const handler = AI_TOOL_HANDLERS[name];
+    const limiter = AI_TOOL_LIMITS[scope];
+    handlers.set(name, async (input) => {
+      const state = await limiter.take(req);
+      if (!state.allowed) {
+        throw new aiTools.ToolInputError(
+          `Rate limit for ${limiter.limitName} reached; try again in ${Math.ceil(state.retryMs / 1000)}s`);
+      }
+      return handler(input);
     });
+  }
+  return handlers;
+}
 
-    const raw = await response.text();
-    let data;
+// hubTools — run the tool loop, charging every model call, and return the final answer with its trace
+async function toolChat(req, res, request, tools) {
+  const result = await aiTools.runToolLoop({
+    request,
+    tools,
+    handlers: meteredToolHandlers(req, tools),
+    callModel: async (body) => {
+      const call = await anthropicMessages(body);
+      await chargeAnthropicUsage(req, call.data);
+      return call;
+    },
+  });
+  log.anthropic.info("tool loop finished", {
+    route: "/ai/chat",
+    rounds: result.rounds,
+    tools: result.trace.map(t => t.name),
+    failed: result.trace.filter(t => !t.ok).length,
+  });
+
+  const hubTools = { rounds: result.rounds, trace: result.trace };
+  if (!result.ok) return res.status(result.status).json({ ...result.data, hubTools });
+  res.json({ ...result.data, usage: result.usage, hubTools });
+}
+
+app.post("/ai/chat", requireScope("ai:chat"), limits.ai, limits.aiTokens, async (req, res) => {
+  try {
+    if (!ANTHROPIC_API_KEY) {
+      return res.status(500).json({ error: "AI proxy error", detail: "ANTHROPIC_API_KEY not configured" });
+    }
+
+    let body, tools;
     try {
-      data = raw ? JSON.parse(raw) : {};
+      const { hubTools, ...checked } = aiPolicy.applyPolicy(req.body, req.principal, { allowStream: true, allowHubTools: true });
+      body = checked;
+      tools = hubTools ? aiTools.resolveTools(hubTools, req.principal.scopes) : null;
     } catch (e) {
-      data = { error: "Invalid JSON from Anthropic", detail: raw.slice(0, 200) };
+      if (!(e instanceof aiPolicy.AiPolicyError)) throw e;
+      log.anthropic.warn("request refused by policy", { route: "/ai/chat", code: e.code, model: (req.body || {}).model });
+      return res.status(e.status).json({ error: "AI policy violation", code: e.code, detail: e.message, ...e.details });
     }
+    if (body.stream) return await streamChat(req, res, body);
+    if (tools) return await toolChat(req, res, body, tools);
 
-    if (!response.ok) {
-      return res.status(response.status).json(data);
+    const { ok, status, data } = await anthropicMessages(body);
+    await chargeAnthropicUsage(req, data);
+
+    if (!ok) {
+      return res.status(status).json(data);
     }
     res.json(data);
   } catch (err) {
-    console.error("[AI Chat Proxy] Error:", err.message);
-    res.status(500).json({ error: "AI proxy error", detail: err.message });
+    log.anthropic.error("request errored", { route: "/ai/chat", error: err.message });
+    if (res.headersSent) return res.end();
+    res.status(err instanceof UpstreamError ? err.status : 500).json({ error: "AI proxy error", detail: err.message });
+  }
+});
+
+// GET /ai/policy — allowed models, max_tokens caps, accepted request fields and hub tools
+app.get("/ai/policy", requireScope("ai:chat"), (req, res) => {
+  res.json({ ...aiPolicy.describePolicy(), hubTools: aiTools.listTools() });
+});
+
+// GET /ai/usage?days=7 — the caller's Anthropic token usage per day and model.
+// ?caller=<id> reads another caller's usage and needs ai:admin; ?caller=* lists the callers with usage.
+app.get("/ai/usage", requireScope("ai:chat"), (req, res) => {
+  const days = parseInt(req.query.days || "7", 10) || 7;
+  const caller = req.query.caller || req.principal.id;
+  if (caller !== req.principal.id && !hasScope(req.principal.scopes, "ai:admin")) {
+    return res.status(403).json({
+      error: true,
+      code: "FORBIDDEN",
+      message: `Credential "${req.principal.id}" lacks scope ai:admin`,
+      requiredScope: "ai:admin",
+    });
+  }
+  if (caller === "*") return res.json({ callers: aiPolicy.listCallers() });
+  res.json(aiPolicy.getUsage(caller, { days }));
+});
+
+// ============================================================
+// TEMPLATES — named SMS/email bodies with {merge} fields
+// ============================================================
+
+// GET /templates — all templates (?channel=sms|email), each with the merge fields it uses
+app.get("/templates", requireScope("templates:read"), (req, res) => {
+  const list = templates.listTemplates({ channel: req.query.channel });
+  res.json({ count: list.length, templates: list });
+});
+
+// GET /templates/:id
+app.get("/templates/:id", requireScope("templates:read"), (req, res) => {
+  try {
+    res.json(templates.describe(templates.getTemplate(req.params.id)));
+  } catch (e) {
+    templates.sendTemplateError(res, e);
+  }
+});
+
+// POST /templates — create
+// Body: { id (optional slug), name, channel: "sms", body } or { ..., channel: "email", subject, html, text }
+app.post("/templates", requireScope("templates:write"), (req, res) => {
+  try {
+    res.status(201).json(templates.createTemplate(req.body || {}, { by: req.principal.id }));
+  } catch (e) {
+    templates.sendTemplateError(res, e);
+  }
+});
+
+// PUT /templates/:id — update any of name, description, body, subject, html, text
+app.put("/templates/:id", requireScope("templates:write"), (req, res) => {
+  try {
+    res.json(templates.updateTemplate(req.params.id, req.body || {}));
+  } catch (e) {
+    templates.sendTemplateError(res, e);
+  }
+});
+
+// DELETE /templates/:id
+app.delete("/templates/:id", requireScope("templates:write"), (req, res) => {
+  try {
+    templates.deleteTemplate(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (e) {
+    templates.sendTemplateError(res, e);
+  }
+});
+
+// POST /templates/:id/preview — render with sample variables; SMS previews include segment counts
+// Body: { variables }
+app.post("/templates/:id/preview", requireScope("templates:read"), (req, res) => {
+  try {
+    const t = templates.getTemplate(req.params.id);
+    const vars = templates.mergeVariables((req.body || {}).variables);
+    if (t.channel === "email") return res.json(templates.renderEmail(t.id, vars));
+    const rendered = templates.renderSms(t.id, vars);
+    res.json({ ...rendered, segments: countSegments(rendered.text) });
+  } catch (e) {
+    templates.sendTemplateError(res, e);
   }
 });
 
@@ -753,7 +1563,7 @@ app.post("/ai/chat", async (req, res) => {
 // ============================================================
 
 // GET /sms/status — confirm SMS is configured
-app.get("/sms/status", (req, res) => {
+app.get("/sms/status", requireScope("sms:read"), (req, res) => {
   res.json({
     configured: !!TELNYX_API_KEY,
     from: TELNYX_PHONE,
@@ -762,12 +1572,33 @@ app.get("/sms/status", (req, res) => {
   });
 });
 
+// Templated sends render a stored template; plain bodies only merge fields when variables are given
+function renderSmsText({ body, templateId }, variables) {
+  if (templateId) return templates.renderSms(templateId, variables);
+  if (Object.keys(variables).length) return templates.render(body, variables);
+  return { text: body, missing: [] };
+}
+
+function missingFieldsError(missing) {
+  return `Missing template variables: ${missing.join(", ")}`;
+}
+
+// POST /sms/segments — GSM-7/UCS-2 segment count for a draft
+// Body: { text }
+app.post("/sms/segments", requireScope("sms:read"), (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== "string") {
+    return res.status(400).json({ error: true, message: "Missing required field: text" });
+  }
+  res.json(countSegments(text));
+});
+
 // POST /sms/send — send single SMS
-// Body: { to, body, from (optional) }
-app.post("/sms/send", async (req, res) => {
-  const { to, body, from } = req.body || {};
-  if (!to || !body) {
-    return res.status(400).json({ success: false, error: "Missing required fields: to, body" });
+// Body: { to, body | templateId, variables (optional), from (optional) }
+app.post("/sms/send", requireScope("sms:send"), limits.sms, async (req, res) => {
+  const { to, body, templateId, variables, from } = req.body || {};
+  if (!to || (!body && !templateId)) {
+    return res.status(400).json({ success: false, error: "Missing required fields: to, body or templateId" });
   }
   const toClean = normalizePhone(to);
   if (!toClean) {
@@ -776,283 +1607,719 @@ app.post("/sms/send", async (req, res) => {
   if (!TELNYX_API_KEY) {
     return res.status(500).json({ success: false, error: "TELNYX_API_KEY not configured" });
   }
+  let text;
   try {
-    const r = await fetch("https://api.telnyx.com/v2/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${TELNYX_API_KEY}`,
-      },
-      body: JSON.stringify({
-        from: from || TELNYX_PHONE,
-        to: toClean,
-        text: body,
-      }),
-    });
-    const data = await r.json();
-    if (!r.ok) {
-      const errMsg = data?.errors?.[0]?.detail || data?.error || "Telnyx send failed";
-      console.error(`[SMS] Error to ${toClean}:`, errMsg);
-      return res.status(r.status).json({ success: false, error: errMsg });
+    const rendered = renderSmsText({ body, templateId }, templates.mergeVariables(variables));
+    if (rendered.missing.length) {
+      return res.status(400).json({ success: false, error: missingFieldsError(rendered.missing), missing: rendered.missing });
+    }
+    text = rendered.text;
+  } catch (e) {
+    if (e instanceof templates.TemplateError) return res.status(e.status).json({ success: false, error: e.message });
+    log.sms.error("render errored", { templateId, error: e.message });
+    return res.status(500).json({ success: false, error: e.message });
+  }
+  const blocked = smsCompliance.checkRecipient(toClean);
+  if (blocked) {
+    log.sms.warn("send blocked", { to: toClean, suppressed: !!blocked.suppressed, quietHours: !!blocked.quietHours });
+    return res.status(blocked.suppressed ? 403 : 409).json(blocked);
+  }
+  try {
+    const sent = await telnyx.sendMessage({ from, to: toClean, text });
+    if (!sent.ok) {
+      log.sms.error("send failed", { to: toClean, status: sent.status, error: sent.error });
+      return res.status(sent.status).json({ success: false, error: sent.error });
     }
-    console.log(`[SMS] Sent to ${toClean} | ID: ${data?.data?.id || "unknown"}`);
+    smsStore.recordOutbound({ id: sent.id, from: sent.from, to: toClean, text, status: sent.toStatus });
+    log.sms.info("sent", { to: toClean, messageId: sent.id || null, templateId });
     res.json({
       success: true,
-      sid: data?.data?.id,
+      sid: sent.id,
       to: toClean,
-      status: data?.data?.to?.[0]?.status || "queued",
+      status: sent.toStatus,
+      segments: countSegments(text).segments,
     });
   } catch (e) {
-    console.error("[SMS] Exception:", e.message);
-    res.status(500).json({ success: false, error: e.message });
+    log.sms.error("send errored", { error: e.message });
+    res.status(e instanceof UpstreamError ? e.status : 500).json({ success: false, error: e.message });
   }
 });
 
-// POST /sms/send-bulk — send same message to multiple recipients
-// Body: { recipients: ['+16015551234', ...], body, from (optional) }
-app.post("/sms/send-bulk", async (req, res) => {
-  const { recipients, body, from } = req.body || {};
-  if (!recipients || !Array.isArray(recipients) || !body) {
-    return res.status(400).json({ success: false, error: "Missing required fields: recipients (array), body" });
+// POST /sms/send-bulk — queue a message to multiple recipients as a background job
+// Body: { recipients: ['+16015551234', { to, variables }, ...], body | templateId,
+//         variables (shared), recipientVariables: { '+16015551234': {...} }, from (optional) }
+// Returns 202 { jobId } right away; poll GET /sms/jobs/:id for progress and per-recipient results
+app.post("/sms/send-bulk", requireScope("sms:send"), limits.smsBulk, (req, res) => {
+  const { recipients, body, templateId, variables, recipientVariables, from } = req.body || {};
+  if (!recipients || !Array.isArray(recipients) || (!body && !templateId)) {
+    return res.status(400).json({ success: false, error: "Missing required fields: recipients (array), body or templateId" });
   }
-  const results = [];
-  for (const phone of recipients) {
-    const toClean = normalizePhone(phone);
-    if (!toClean) { results.push({ to: phone, success: false, error: "Invalid phone" }); continue; }
+  if (!TELNYX_API_KEY) {
+    return res.status(500).json({ success: false, error: "TELNYX_API_KEY not configured" });
+  }
+  if (templateId) {
     try {
-      const r = await fetch("https://api.telnyx.com/v2/messages", {
-        method: "POST",
-        headers: { "Content-Type": "application/json", "Authorization": `Bearer ${TELNYX_API_KEY}` },
-        body: JSON.stringify({ from: from || TELNYX_PHONE, to: toClean, text: body }),
-      });
-      const data = await r.json();
-      if (r.ok) {
-        results.push({ to: toClean, success: true, sid: data?.data?.id });
-      } else {
-        results.push({ to: toClean, success: false, error: data?.errors?.[0]?.detail || "Send failed" });
-      }
-      await new Promise(resolve => setTimeout(resolve, 120)); // rate limit buffer
+      templates.getTemplate(templateId, "sms");
     } catch (e) {
-      results.push({ to: toClean, success: false, error: e.message });
+      return res.status(e instanceof templates.TemplateError ? e.status : 500).json({ success: false, error: e.message });
+    }
+  }
+
+  // Per-recipient variables may be keyed by any phone format
+  const varsByPhone = {};
+  for (const [phone, vars] of Object.entries(recipientVariables || {})) {
+    const key = normalizePhone(phone);
+    if (key) varsByPhone[key] = vars;
+  }
+
+  const messages = [];
+  const rejected = [];
+  let segments = 0;
+  for (const entry of recipients) {
+    const phone = entry && typeof entry === "object" ? entry.to : entry;
+    const toClean = normalizePhone(phone);
+    if (!toClean) { rejected.push({ to: phone, success: false, error: "Invalid phone" }); continue; }
+    const vars = templates.mergeVariables(variables, varsByPhone[toClean], entry && entry.variables);
+    const rendered = renderSmsText({ body, templateId }, vars);
+    if (rendered.missing.length) {
+      rejected.push({ to: toClean, success: false, error: missingFieldsError(rendered.missing) });
+      continue;
     }
+    segments += countSegments(rendered.text).segments;
+    messages.push({ to: toClean, text: rendered.text });
+  }
+  const job = smsJobs.createJob({ from, messages, rejected, createdBy: req.principal.id });
+  log.sms.info("bulk job queued", { jobId: job.id, total: job.total, rejected: rejected.length, templateId });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    total: job.total,
+    segments,
+    statusUrl: `/sms/jobs/${job.id}`,
+  });
+});
+
+// GET /sms/jobs — recent bulk jobs (no per-recipient results)
+app.get("/sms/jobs", requireScope("sms:read"), (req, res) => {
+  const jobs = smsJobs.listJobs().map(job => smsJobs.describe(job, { includeResults: false }));
+  res.json({ count: jobs.length, jobs });
+});
+
+// GET /sms/jobs/:id — progress, counts and per-recipient results (?results=false to omit them)
+app.get("/sms/jobs/:id", requireScope("sms:read"), (req, res) => {
+  const job = smsJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: true, message: `No SMS job ${req.params.id}` });
+  }
+  res.json(smsJobs.describe(job, { includeResults: req.query.results !== "false" }));
+});
+
+// POST /sms/jobs/:id/cancel — stop a running job before its next recipient
+app.post("/sms/jobs/:id/cancel", requireScope("sms:send"), (req, res) => {
+  const job = smsJobs.cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: true, message: `No SMS job ${req.params.id}` });
   }
-  const sent = results.filter(r => r.success).length;
-  console.log(`[SMS] Bulk: ${sent}/${recipients.length} delivered`);
-  res.json({ success: true, sent, total: recipients.length, results });
+  res.json(smsJobs.describe(job, { includeResults: false }));
+});
+
+// POST /sms/webhook — Telnyx messaging events (no hub credentials; ed25519-signed instead)
+// message.sent / message.finalized update delivery status; message.received records replies
+app.post("/sms/webhook", async (req, res) => {
+  const reason = telnyx.verifyWebhook(
+    req.rawBody,
+    req.get("telnyx-signature-ed25519"),
+    req.get("telnyx-timestamp"),
+  );
+  if (reason) {
+    log.sms.warn("webhook rejected", { reason, ip: req.ip });
+    const status = telnyx.webhookConfigured() ? 401 : 503;
+    return res.status(status).json({ error: true, code: "INVALID_SIGNATURE", message: reason });
+  }
+
+  const event = (req.body || {}).data || {};
+  const payload = event.payload || {};
+  if (!payload.id) {
+    return res.status(400).json({ error: true, message: "Webhook payload missing data.payload.id" });
+  }
+
+  switch (event.event_type) {
+    case "message.sent":
+    case "message.finalized": {
+      const msg = smsStore.applyStatusEvent({
+        eventId: event.id,
+        eventType: event.event_type,
+        occurredAt: event.occurred_at,
+        payload,
+      });
+      log.sms.info("delivery status", { messageId: msg.id, to: msg.to, status: msg.status, event: event.event_type });
+      break;
+    }
+    case "message.received": {
+      const msg = smsStore.recordInbound({
+        id: payload.id,
+        from: payload.from?.phone_number,
+        to: payload.to?.[0]?.phone_number,
+        text: payload.text || "",
+        media: (payload.media || []).map(m => ({ url: m.url, contentType: m.content_type })),
+        receivedAt: payload.received_at || event.occurred_at,
+      });
+      log.sms.info("inbound message", { messageId: msg.id, from: msg.from });
+      const { action, reply } = smsCompliance.handleInbound(msg);
+      if (action) log.sms.info("keyword received", { from: msg.from, action });
+      if (reply && TELNYX_API_KEY) await sendAutoReply(msg, reply);
+      break;
+    }
+    default:
+      log.sms.debug("webhook ignored", { event: event.event_type });
+  }
+  res.json({ received: true });
+});
+
+// HELP replies go out from the number the client texted; compliance replies bypass quiet hours
+async function sendAutoReply(inbound, text) {
+  try {
+    const sent = await telnyx.sendMessage({ from: inbound.to, to: inbound.from, text });
+    if (!sent.ok) {
+      log.sms.error("auto-reply failed", { to: inbound.from, status: sent.status, error: sent.error });
+      return;
+    }
+    smsStore.recordOutbound({ id: sent.id, from: sent.from, to: inbound.from, text, status: sent.toStatus });
+  } catch (e) {
+    log.sms.error("auto-reply errored", { to: inbound.from, error: e.message });
+  }
+}
+
+// GET /sms/messages — recent tracked messages, newest first
+// Query: direction=inbound|outbound, phone, limit (max 200)
+app.get("/sms/messages", requireScope("sms:read"), (req, res) => {
+  const phone = req.query.phone ? normalizePhone(req.query.phone) : null;
+  if (req.query.phone && !phone) {
+    return res.status(400).json({ error: true, message: "Invalid phone number format" });
+  }
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const messages = smsStore.listMessages({ direction: req.query.direction, phone, limit });
+  res.json({ count: messages.length, messages });
+});
+
+// GET /sms/messages/:id — delivery status for one message (the sid returned by /sms/send)
+app.get("/sms/messages/:id", requireScope("sms:read"), (req, res) => {
+  const msg = smsStore.getMessage(req.params.id);
+  if (!msg) {
+    return res.status(404).json({ error: true, message: `No tracked message ${req.params.id}` });
+  }
+  res.json(msg);
+});
+
+// GET /sms/suppressions — numbers that will not be texted (STOP replies + manual entries)
+app.get("/sms/suppressions", requireScope("sms:read"), (req, res) => {
+  const suppressions = smsCompliance.listSuppressions();
+  res.json({ count: suppressions.length, suppressions });
+});
+
+// POST /sms/suppressions — manually suppress a number
+// Body: { phone, reason (optional) }
+app.post("/sms/suppressions", requireScope("sms:send"), (req, res) => {
+  const { phone, reason } = req.body || {};
+  const phoneClean = normalizePhone(phone);
+  if (!phoneClean) {
+    return res.status(400).json({ error: true, message: "Missing or invalid field: phone" });
+  }
+  const entry = smsCompliance.suppress(phoneClean, { source: "manual", reason, by: req.principal.id });
+  res.status(201).json({ success: true, suppression: entry });
+});
+
+// DELETE /sms/suppressions/:phone — lift a suppression (only with the client's renewed consent)
+app.delete("/sms/suppressions/:phone", requireScope("sms:send"), (req, res) => {
+  const phoneClean = normalizePhone(req.params.phone);
+  if (!phoneClean) {
+    return res.status(400).json({ error: true, message: "Invalid phone number format" });
+  }
+  const removed = smsCompliance.unsuppress(phoneClean, { source: "manual", by: req.principal.id });
+  if (!removed) {
+    return res.status(404).json({ error: true, message: `${phoneClean} is not suppressed` });
+  }
+  res.json({ success: true, removed });
 });
 
 // ============================================================
 // EMAIL — Postmark
 // ============================================================
 
-// POST /email/send — send transactional email
-// Body: { to, subject, html, text, replyTo (optional) }
-app.post("/email/send", async (req, res) => {
-  const { to, subject, html, text, replyTo } = req.body || {};
-  if (!to || !subject || (!html && !text)) {
-    return res.status(400).json({ success: false, error: "Missing required fields: to, subject, html or text" });
+// Hub templates (templateId + variables) render into subject/html/text before the
+// body is mapped to a Postmark message. Returns { message, template } or { status, error, ... }.
+function prepareEmail(input) {
+  let body = input || {};
+  if (body.templateId) {
+    let rendered;
+    try {
+      rendered = templates.renderEmail(body.templateId, templates.mergeVariables(body.variables));
+    } catch (e) {
+      if (e instanceof templates.TemplateError) return { status: e.status, error: e.message };
+      throw e;
+    }
+    if (rendered.missing.length) {
+      return { status: 400, error: missingFieldsError(rendered.missing), missing: rendered.missing };
+    }
+    body = { ...body, subject: rendered.subject, html: rendered.html, text: rendered.text };
+  }
+  const { message, template, errors } = postmark.buildMessage(body);
+  if (errors) return { status: 400, error: "Invalid email", fields: errors };
+
+  // Hard-bounced or complained addresses are never mailed again
+  const recipients = [message.To, message.Cc, message.Bcc].filter(Boolean).join(",").split(",");
+  const suppressed = emailTracking.suppressedAmong(recipients);
+  if (suppressed.length) {
+    return { status: 403, error: `Suppressed recipient(s): ${suppressed.join(", ")}`, suppressed };
   }
+  return { message, template };
+}
+
+function recordSentEmail(message, sent) {
+  emailTracking.recordSent({
+    messageId: sent.messageId,
+    to: message.To,
+    cc: message.Cc,
+    bcc: message.Bcc,
+    subject: message.Subject || message.TemplateAlias || (message.TemplateId ? `template ${message.TemplateId}` : null),
+    stream: message.MessageStream,
+    tag: message.Tag,
+    submittedAt: sent.submittedAt,
+  });
+}
+
+// POST /email/send — send transactional email
+// Body: { to, subject, html, text | templateId + variables (hub template)
+//         | postmarkTemplateId / postmarkTemplateAlias + templateModel,
+//         cc, bcc, replyTo, tag, metadata, messageStream, attachments: [{ name, content (base64), contentType }] }
+app.post("/email/send", requireScope("email:send"), limits.email, async (req, res) => {
   if (!POSTMARK_API_KEY) {
     return res.status(500).json({ success: false, error: "POSTMARK_API_KEY not configured" });
   }
+  const prepared = prepareEmail(req.body);
+  if (prepared.error) {
+    const { status, ...rest } = prepared;
+    return res.status(status).json({ success: false, ...rest });
+  }
+  const { message, template } = prepared;
   try {
-    const r = await fetch("https://api.postmarkapp.com/email", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Postmark-Server-Token": POSTMARK_API_KEY,
-        "Accept": "application/json",
-      },
-      body: JSON.stringify({
-        From: FROM_EMAIL,
-        To: to,
-        Subject: subject,
-        HtmlBody: html || "",
-        TextBody: text || "",
-        ReplyTo: replyTo || FROM_EMAIL,
-        MessageStream: "outbound",
-      }),
+    const sent = await postmark.sendMessage(message, { template });
+    if (!sent.ok) {
+      log.email.error("send failed", { to: message.To, status: sent.status, errorCode: sent.errorCode, error: sent.error });
+      return res.status(sent.status >= 400 ? sent.status : 502).json({ success: false, error: sent.error, errorCode: sent.errorCode });
+    }
+    recordSentEmail(message, sent);
+    log.email.info("sent", { to: message.To, messageId: sent.messageId, stream: message.MessageStream, template });
+    res.json({
+      success: true,
+      messageId: sent.messageId,
+      to: message.To,
+      subject: message.Subject,
+      submittedAt: sent.submittedAt,
     });
-    const data = await r.json();
-    if (!r.ok) {
-      console.error("[EMAIL] Error:", data?.Message || data);
-      return res.status(r.status).json({ success: false, error: data?.Message || "Postmark send failed" });
+  } catch (e) {
+    log.email.error("send errored", { error: e.message });
+    res.status(e instanceof UpstreamError ? e.status : 500).json({ success: false, error: e.message });
+  }
+});
+
+// POST /email/send-batch — up to 500 messages in one Postmark batch call
+// Body: { messages: [ <same shape as /email/send>, ... ] }
+// Invalid messages are reported without blocking the valid ones; results keep input order
+app.post("/email/send-batch", requireScope("email:send"), limits.email, async (req, res) => {
+  const { messages } = req.body || {};
+  if (!Array.isArray(messages) || !messages.length) {
+    return res.status(400).json({ success: false, error: "Missing required field: messages (array)" });
+  }
+  if (messages.length > postmark.MAX_BATCH) {
+    return res.status(400).json({ success: false, error: `At most ${postmark.MAX_BATCH} messages per batch` });
+  }
+  if (!POSTMARK_API_KEY) {
+    return res.status(500).json({ success: false, error: "POSTMARK_API_KEY not configured" });
+  }
+
+  const results = new Array(messages.length);
+  const valid = [];
+  messages.forEach((input, index) => {
+    const prepared = prepareEmail(input);
+    if (prepared.error) {
+      const { status, ...rest } = prepared;
+      results[index] = { index, to: input && input.to, success: false, ...rest };
+    } else {
+      valid.push({ index, ...prepared });
     }
-    console.log(`[EMAIL] Sent to ${to} | ID: ${data.MessageID}`);
-    res.json({ success: true, messageId: data.MessageID, to, subject });
+  });
+
+  try {
+    const sent = valid.length ? await postmark.sendBatch(valid) : [];
+    sent.forEach((r, k) => {
+      const { index, message } = valid[k];
+      if (r.ok) recordSentEmail(message, r);
+      results[index] = r.ok
+        ? { index, to: r.to, success: true, messageId: r.messageId, submittedAt: r.submittedAt }
+        : { index, to: valid[k].message.To, success: false, error: r.error, errorCode: r.errorCode };
+    });
   } catch (e) {
-    console.error("[EMAIL] Exception:", e.message);
-    res.status(500).json({ success: false, error: e.message });
+    log.email.error("batch errored", { error: e.message });
+    return res.status(e instanceof UpstreamError ? e.status : 500).json({ success: false, error: e.message });
   }
+
+  const sentCount = results.filter(r => r.success).length;
+  log.email.info("batch sent", { sent: sentCount, failed: results.length - sentCount, total: results.length });
+  res.json({ success: sentCount > 0, sent: sentCount, failed: results.length - sentCount, total: results.length, results });
+});
+
+// POST /email/webhook — Postmark Delivery / Bounce / SpamComplaint / Open / Click events
+// No hub credentials: Postmark sends the basic-auth user:password embedded in the webhook URL
+app.post("/email/webhook", (req, res) => {
+  const reason = postmark.verifyWebhookAuth(req.get("authorization"));
+  if (reason) {
+    log.email.warn("webhook rejected", { reason, ip: req.ip });
+    res.set("WWW-Authenticate", `Basic realm="postmark-webhook"`);
+    return res.status(postmark.webhookConfigured() ? 401 : 503).json({ error: true, code: "WEBHOOK_UNAUTHORIZED", message: reason });
+  }
+
+  const event = req.body || {};
+  const applied = emailTracking.applyEvent(event);
+  if (!applied) {
+    log.email.debug("webhook ignored", { recordType: event.RecordType });
+    return res.json({ received: true, ignored: true });
+  }
+  log.email.info("email event", {
+    messageId: applied.message.messageId,
+    recordType: event.RecordType,
+    bounceType: event.Type,
+    status: applied.message.status,
+    suppressed: !!applied.suppressed,
+  });
+  res.json({ received: true });
+});
+
+// GET /email/messages/:id — delivery/bounce/open/click history for the messageId from /email/send
+app.get("/email/messages/:id", requireScope("email:read"), (req, res) => {
+  const msg = emailTracking.getMessage(req.params.id);
+  if (!msg) {
+    return res.status(404).json({ error: true, message: `No tracked email ${req.params.id}` });
+  }
+  res.json(msg);
+});
+
+// GET /email/suppressions — addresses that will not be emailed (hard bounces, complaints, manual)
+app.get("/email/suppressions", requireScope("email:read"), (req, res) => {
+  const suppressions = emailTracking.listSuppressions();
+  res.json({ count: suppressions.length, suppressions });
+});
+
+// POST /email/suppressions — manually suppress an address
+// Body: { email, reason (optional) }
+app.post("/email/suppressions", requireScope("email:send"), (req, res) => {
+  const { email, reason } = req.body || {};
+  if (!email || !String(email).includes("@")) {
+    return res.status(400).json({ error: true, message: "Missing or invalid field: email" });
+  }
+  const entry = emailTracking.suppress(email, { source: "manual", reason, by: req.principal.id });
+  res.status(201).json({ success: true, suppression: entry });
+});
+
+// DELETE /email/suppressions/:email — lift a suppression (e.g. after the client fixes their mailbox)
+app.delete("/email/suppressions/:email", requireScope("email:send"), (req, res) => {
+  const removed = emailTracking.unsuppress(req.params.email, { by: req.principal.id });
+  if (!removed) {
+    return res.status(404).json({ error: true, message: `${req.params.email} is not suppressed` });
+  }
+  res.json({ success: true, removed });
 });
 
 // ============================================================
-// START
+// LEAD SCANNER — lead card image/PDF → validated lead (lib/lead-scan.js)
 // ============================================================
-app.listen(PORT, () => {
-  console.log(`\n✅ iAgentIQ API Hub v7.0 running on port ${PORT}`);
-  console.log(`   Compulife:  ${AUTH_ID ? "✓ configured" : "✗ NOT SET"}`);
-  console.log(`   Anthropic:  ${ANTHROPIC_API_KEY ? "✓ configured" : "✗ NOT SET"}`);
-  console.log(`   SMS/Telnyx: ${TELNYX_API_KEY ? "✓ configured (" + TELNYX_PHONE + ")" : "✗ NOT SET"}`);
-  console.log(`   Email/PM:   ${POSTMARK_API_KEY ? "✓ configured (" + FROM_EMAIL + ")" : "✗ NOT SET"}`);
-  console.log(`   Drive:      ${GOOGLE_REFRESH_TOKEN ? "✓ configured" : "✗ NOT SET"}`);
-  console.log(`   Vision:     ${GCP_VISION_API_KEY ? "✓ configured" : "✗ NOT SET"}`);
-  console.log(`   CORS:       ${ALLOWED_ORIGINS.join(", ")}\n`);
+// GET /leads/profiles — lead card profiles (built-in + LEAD_PROFILES_FILE vendors) and their fields
+app.get("/leads/profiles", requireScope("leads:scan"), (req, res) => {
+  const profiles = leadProfiles.listProfiles();
+  res.json({ count: profiles.length, profiles });
 });
-// ═══════════════════════════════════════════════════════════════
-// RAILWAY PROXY PATCH — zestful-education index.js
-//
-// INSTRUCTIONS:
-// 1. Open Railway → zestful-education → index.js
-// 2. Find your existing /compulife/quote route
-// 3. Paste this ENTIRE block right after it
-// 4. Save — Railway auto-deploys (~60 seconds)
-// 5. iAgentIQ → My Account → Admin Tools → Compulife Product Inspector
-//    → Click "Fetch via Railway Proxy" — all 12 carriers populate
-// ═══════════════════════════════════════════════════════════════
 
-const COMPULIFE_AUTH_ID = '6c1B02Df8';
-const COMPULIFE_API_BASE = 'https://compulifeapi.com/api';
+// POST /scan-lead
+// Body: { file: base64 image or PDF (or a data: URL), mediaType (optional; detected when omitted),
+//         profile (e.g. "final-expense") or vendorFolder (picks that vendor's profile) — default mortgage-protection }
+// → { success, profile, vendorFolder, lead, confidence: { field: 0–1 }, missing: [field],
+//     invalid: [{ field, value, message }], incomplete }
+app.post("/scan-lead", requireScope("leads:scan"), limits.leads, limits.aiTokens, async (req, res) => {
+  const { file, mediaType, profile, vendorFolder } = req.body || {};
+  try {
+    const result = await leadScan.scanLead({ file, mediaType, profile, vendorFolder });
+    await chargeAnthropicUsage(req, result);
+    log.scan.info("lead scanned", {
+      profile: result.profile.id,
+      mediaType: result.mediaType,
+      missing: result.missing,
+      invalid: result.invalid.map(i => i.field),
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    log.scan[e.status && e.status < 500 ? "warn" : "error"]("scan failed", { error: e.message, status: e.status });
+    res.status(e.status || 500).json({ error: true, message: e.message || "Scan failed", ...(e.details || {}) });
+  }
+});
 
-// ── POST /compulife/products ─────────────────────────────────
-// Auth goes as QUERY PARAM per Compulife curl docs:
-// ═══════════════════════════════════════════════════════════════
-// REPLACE your /compulife/products routes in server.js with this
-// FIX: CompanyProductList is a GET endpoint, not POST
-// ═══════════════════════════════════════════════════════════════
+// ============================================================
+// LEAD INTAKE — scan → Drive → CRM contact + note → instant quote in one call
+// Every step reports { status: "ok" | "failed" | "skipped", ... } so a failure
+// part-way never hides what already succeeded.
+// ============================================================
+// 20-year level term at Regular rates unless the request says otherwise
+const INTAKE_QUOTE_DEFAULTS = { NewCategory: "5", Health: "R", ModeUsed: "M" };
+// Used when neither the card nor the request says, and listed as `assumed` on the quote step
+const INTAKE_QUOTE_ASSUMPTIONS = { Sex: "M", Smoker: "N" };
+const INTAKE_FILE_EXTENSIONS = {
+  "application/pdf": "pdf", "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp",
+};
 
-app.post('/compulife/products', async (req, res) => {
-  try {
-    const { CompanyCode, Category } = req.body;
+const stepSkipped = (reason) => ({ status: "skipped", reason });
+const stepFailed = (e) => ({ status: "failed", error: e.message, ...(e.status ? { httpStatus: e.status } : {}) });
 
-    // Compulife CompanyProductList = GET with query params
-    const params = new URLSearchParams({
-      COMPULIFEAUTHORIZATIONID: '6c1B02Df8',
-      CompanyCode: CompanyCode || '',
-      Category:    Category    || ''
-    });
+// "04/12/1961" → "1961-04-12" for GHL's dateOfBirth
+function isoDate(mmddyyyy) {
+  const m = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(mmddyyyy || "");
+  return m ? `${m[3]}-${m[1]}-${m[2]}` : undefined;
+}
 
-    const url = `https://www.compulifeapi.com/api/CompanyProductList?${params}`;
-    console.log('[products] GET', url);
+function intakeFileName(lead, mediaType, date) {
+  const who = [lead.lastName, lead.firstName].filter(Boolean).join("_").replace(/[^A-Za-z0-9_]+/g, "");
+  return `${who || "lead"}_${date.toISOString().slice(0, 10)}.${INTAKE_FILE_EXTENSIONS[mediaType] || "bin"}`;
+}
 
-    const r = await fetch(url, {
-      method:  'GET',
-      headers: { 'Accept': 'application/json' }
+async function intakeDrive({ prepared, lead, vendorFolder }) {
+  if (!driveConfigured()) return stepSkipped("Google Drive not configured");
+  try {
+    const uploaded = await uploadToDrive({
+      fileBuffer: Buffer.from(prepared.data, "base64"),
+      fileName: intakeFileName(lead, prepared.mediaType, new Date()),
+      mimeType: prepared.mediaType,
+      vendorFolder,
     });
+    return { status: "ok", vendorFolder: vendorFolder || null, ...uploaded };
+  } catch (e) {
+    return stepFailed(e);
+  }
+}
 
-    const text = await r.text();
-    console.log('[products]', r.status, text.substring(0, 150));
+// Compulife params from the lead; `overrides` (the request's `quote` object) win over lead values and defaults
+function intakeQuoteParams(lead, overrides) {
+  const face = lead.mortgageAmount || lead.coverageAmount;
+  const params = { ...INTAKE_QUOTE_DEFAULTS, ...overrides };
+  const fromLead = {
+    State: lead.state,
+    Birthdate: lead.dob,
+    FaceAmount: face ? String(Math.round(face)) : null,
+    Sex: lead.sex,
+    Smoker: typeof lead.tobaccoUse === "boolean" ? (lead.tobaccoUse ? "Y" : "N") : null,
+  };
+  for (const [k, v] of Object.entries(fromLead)) {
+    if (params[k] === undefined && v !== null && v !== undefined) params[k] = v;
+  }
+  const assumed = [];
+  for (const [k, v] of Object.entries(INTAKE_QUOTE_ASSUMPTIONS)) {
+    if (params[k] === undefined) {
+      params[k] = v;
+      assumed.push(k);
+    }
+  }
+  return { params, assumed };
+}
 
-    try { res.json(JSON.parse(text)); }
-    catch(e) { res.status(502).json({ error: 'Non-JSON', status: r.status, raw: text.substring(0, 400) }); }
+async function intakeQuote({ lead, overrides, bypassCache, top }) {
+  const built = intakeQuoteParams(lead, overrides);
+  const { params, errors } = validateCompulifeParams(built.params);
+  if (errors.length) {
+    return { ...stepSkipped("Not enough lead data to quote"), fields: errors };
+  }
+  try {
+    const normalized = normalizeQuoteResponse(await cachedSideBySide(params, { bypassCache }), params);
+    const price = (q) => q.premiums.annual ?? Infinity;
+    const quotes = normalized.quotes.slice().sort((a, b) => price(a) - price(b)).slice(0, top);
+    return {
+      status: "ok",
+      params: {
+        State: params.State,
+        FaceAmount: params.FaceAmount,
+        NewCategory: params.NewCategory,
+        Health: params.Health,
+        Sex: params.Sex,
+        Smoker: params.Smoker,
+      },
+      assumed: built.assumed,
+      count: normalized.count,
+      quotes,
+    };
+  } catch (e) {
+    return stepFailed(e);
+  }
+}
 
-  } catch(err) { res.status(500).json({ error: err.message }); }
-});
+function contactFields(lead, { source, profile }) {
+  const fields = {
+    firstName: lead.firstName,
+    lastName: lead.lastName,
+    email: lead.email,
+    phone: lead.phone,
+    dateOfBirth: isoDate(lead.dob),
+    address1: lead.address,
+    city: lead.city,
+    state: lead.state,
+    postalCode: lead.zip,
+    source: lead.leadSource || source,
+  };
+  const out = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null && v !== undefined && v !== ""));
+  return { fields: out, tags: ["lead-scan", profile.id] };
+}
 
-app.get('/compulife/products', async (req, res) => {
+// Finds the contact by phone, then email (GHL's duplicate search), and updates it; creates one otherwise
+async function intakeContact({ lead, profile, vendorFolder, tags: extraTags }) {
+  if (!ghlConfigured()) return stepSkipped("GHL not configured");
+  if (!lead.phone && !lead.email) return stepSkipped("Lead has no phone or email to match a contact on");
+  const { fields, tags } = contactFields(lead, { source: vendorFolder, profile });
+  const allTags = [...tags, ...(Array.isArray(extraTags) ? extraTags : [])];
   try {
-    const { CompanyCode, Category } = req.query;
+    let existing = null, matchedBy = null;
+    for (const field of ["phone", "email"]) {
+      if (existing || !lead[field]) continue;
+      const found = await ghlFetch("GET", `/contacts/search/duplicate?locationId=${GHL_LOCATION_ID}&${field}=${encodeURIComponent(lead[field])}`);
+      if (found.contact && found.contact.id) {
+        existing = found.contact;
+        matchedBy = field;
+      }
+    }
+    if (existing) {
+      await ghlFetch("PUT", `/contacts/${existing.id}`, fields);
+      await ghlFetch("POST", `/contacts/${existing.id}/tags`, { tags: allTags });
+      return { status: "ok", action: "updated", contactId: existing.id, matchedBy };
+    }
+    const created = await ghlFetch("POST", "/contacts/", { ...fields, tags: allTags, locationId: GHL_LOCATION_ID });
+    return { status: "ok", action: "created", contactId: created.contact?.id || created.id || null };
+  } catch (e) {
+    return stepFailed(e);
+  }
+}
 
-    const params = new URLSearchParams({
-      COMPULIFEAUTHORIZATIONID: '6c1B02Df8',
-      CompanyCode: CompanyCode || '',
-      Category:    Category    || ''
-    });
+function intakeNoteBody({ profile, vendorFolder, drive, quote }) {
+  const lines = [`Lead card scanned (${[profile.name, vendorFolder].filter(Boolean).join(", ")}): ${drive.driveUrl}`];
+  const best = quote.status === "ok" && quote.quotes[0];
+  if (best) {
+    const term = best.term?.years ? `${best.term.years}-year, ` : "";
+    const face = `$${Number(quote.params.FaceAmount).toLocaleString("en-US")}`;
+    const monthly = best.premiums.monthly !== null ? `$${best.premiums.monthly.toFixed(2)}/mo` : "see quote";
+    lines.push(`Instant quote (${term}${face}): ${best.carrier.name} ${monthly}`);
+  }
+  return lines.join("\n");
+}
 
-    const url = `https://www.compulifeapi.com/api/CompanyProductList?${params}`;
-    const r = await fetch(url, {
-      method:  'GET',
-      headers: { 'Accept': 'application/json' }
-    });
+async function intakeNote({ contact, drive, ...rest }) {
+  if (contact.status !== "ok" || !contact.contactId) return stepSkipped("No CRM contact");
+  if (drive.status !== "ok") return stepSkipped("No Drive link");
+  try {
+    const result = await ghlFetch("POST", `/contacts/${contact.contactId}/notes`, { body: intakeNoteBody({ drive, ...rest }) });
+    return { status: "ok", noteId: result.note?.id || result.id || null };
+  } catch (e) {
+    return stepFailed(e);
+  }
+}
 
-    const text = await r.text();
-    try { res.json(JSON.parse(text)); }
-    catch(e) { res.status(502).json({ error: 'Non-JSON', status: r.status, raw: text.substring(0, 400) }); }
+const intakeWants = (body, step) => body[step] !== false;
+
+// POST /leads/intake
+// Body: { file, mediaType, profile | vendorFolder   — as /scan-lead
+//         drive: false, crm: false, quote: false      — turn steps off (all on by default)
+//         quote: { NewCategory, Health, Sex, Smoker, FaceAmount, ... } — override lead values / defaults
+//         top (quotes returned, default 3), tags: [extra CRM tags], bypassCache }
+// Steps on by default also need their own scope: drive:write, crm:write, compulife:read
+// → { success, profile, vendorFolder, lead, confidence, missing, invalid, incomplete,
+//     steps: { scan, drive, contact, note, quote } }
+app.post("/leads/intake", requireScope("leads:scan"), limits.leads, limits.aiTokens,
+  limitWhen(body => intakeWants(body, "crm"), limits.crm), limitWhen(body => intakeWants(body, "quote"), limits.quotes),
+  async (req, res) => {
+  const body = req.body || {};
+  for (const [step, scope] of [["drive", "drive:write"], ["crm", "crm:write"], ["quote", "compulife:read"]]) {
+    if (intakeWants(body, step) && !hasScope(req.principal.scopes, scope)) {
+      return res.status(403).json({
+        error: true,
+        code: "FORBIDDEN",
+        message: `Credential "${req.principal.id}" lacks scope ${scope} (needed for the ${step} step; send "${step}": false to skip it)`,
+        requiredScope: scope,
+      });
+    }
+  }
 
-  } catch(err) { res.status(500).json({ error: err.message }); }
-});
-// ═══════════════════════════════════════════════════════════════
-// ── GET /compulife/companies (logo lookup) ───────────────────
-// Returns company list with official logo URLs
-// https://zestful-education-production-88e7.up.railway.app/compulife/companies
-app.get('/compulife/companies', async (req, res) => {
+  const steps = {};
+  let scan, prepared;
   try {
-    const url = `${COMPULIFE_API_BASE}/GetCompanyList?COMPULIFEAUTHORIZATIONID=${COMPULIFE_AUTH_ID}`;
-    const r = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'User-Agent': 'curl/7.55.1' },
-      body: JSON.stringify({})
+    prepared = leadScan.prepareFile(body.file, body.mediaType);
+    scan = await leadScan.scanLead({ file: prepared.data, mediaType: prepared.mediaType, profile: body.profile, vendorFolder: body.vendorFolder });
+    await chargeAnthropicUsage(req, scan);
+  } catch (e) {
+    log.intake[e.status && e.status < 500 ? "warn" : "error"]("scan failed", { error: e.message, status: e.status });
+    return res.status(e.status || 500).json({
+      error: true,
+      message: e.message || "Scan failed",
+      ...(e.details || {}),
+      steps: { scan: stepFailed(e), drive: stepSkipped("Scan failed"), contact: stepSkipped("Scan failed"), note: stepSkipped("Scan failed"), quote: stepSkipped("Scan failed") },
     });
-    const text = await r.text();
-    try { res.json(JSON.parse(text)); }
-    catch(e) { res.status(502).json({ error: 'Non-JSON', raw: text.substring(0, 500) }); }
-  } catch(err) { res.status(500).json({ error: err.message }); }
-});
+  }
+  const { lead, profile, vendorFolder } = scan;
+  steps.scan = { status: "ok", profile: profile.id, missing: scan.missing.length, invalid: scan.invalid.length };
+
+  // Drive and the quote only need the scan; the note needs both the contact and the Drive link
+  const top = Math.min(Math.max(parseInt(body.top, 10) || 3, 1), 20);
+  const overrides = body.quote && typeof body.quote === "object" ? body.quote : {};
+  [steps.drive, steps.quote] = await Promise.all([
+    intakeWants(body, "drive") ? intakeDrive({ prepared, lead, vendorFolder }) : stepSkipped("Turned off"),
+    intakeWants(body, "quote") ? intakeQuote({ lead, overrides, bypassCache: isTruthy(body.bypassCache), top }) : stepSkipped("Turned off"),
+  ]);
+  if (intakeWants(body, "crm")) {
+    steps.contact = await intakeContact({ lead, profile, vendorFolder, tags: body.tags });
+    steps.note = await intakeNote({ contact: steps.contact, drive: steps.drive, quote: steps.quote, profile, vendorFolder });
+  } else {
+    steps.contact = stepSkipped("Turned off");
+    steps.note = stepSkipped("Turned off");
+  }
 
-// ═══════════════════════════════════════════════════════════════
-// QUICK BROWSER TESTS after deploying:
-//
-// Security National:
-// /compulife/products?CompanyCode=SENA&Category=6
-//
-// Combined Insurance:
-// /compulife/products?CompanyCode=COMB&Category=6
-//
-// Americo Financial:
-// /compulife/products?CompanyCode=AMSV&Category=5
-//
-// Foresters:
-// /compulife/products?CompanyCode=INDE&Category=5
-//
-// United of Omaha:
-// /compulife/products?CompanyCode=UTOM&Category=5
-//
-// Company list + logos:
-// /compulife/companies
-// ═══════════════════════════════════════════════════════════════
-// ===================== LEAD SCANNER =====================
-// Paste this at the bottom of server.js BEFORE app.listen()
-// Uses the existing ANTHROPIC_API_KEY already defined in the file
+  const failed = Object.keys(steps).filter(k => steps[k].status === "failed");
+  log.intake[failed.length ? "warn" : "info"]("lead intake finished", {
+    profile: profile.id,
+    ...Object.fromEntries(Object.entries(steps).map(([k, v]) => [k, v.status])),
+  });
+
+  const { usage, model, ...result } = scan;
+  res.json({ success: !failed.length, ...result, steps });
+});
 
-app.post('/scan-lead', async (req, res) => {
-  const { file, mediaType } = req.body;
-  if (!file) return res.status(400).json({ error: 'No file provided' });
+// ============================================================
+// START
+// ============================================================
+// Only when run directly — tests require the app and drive it in-process
+if (require.main === module) {
   try {
-    const isPDF = mediaType === 'application/pdf';
-    const fetch = require('node-fetch');
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: isPDF ? 'document' : 'image',
-              source: { type: 'base64', media_type: mediaType, data: file }
-            },
-            {
-              type: 'text',
-              text: 'This is a mortgage protection insurance lead card. Extract all fields and return ONLY a JSON object with these keys (null if not found): {"firstName":"","lastName":"","phone":"","email":"","dob":"MM/DD/YYYY","address":"","city":"","state":"2-letter","zip":"","mortgageAmount":"numbers only","lender":"","leadSource":"","coBorrowerFirstName":"","coBorrowerLastName":"","coBorrowerDob":""}. Return ONLY the JSON, no markdown, no backticks.'
-            }
-          ]
-        }]
-      })
-    });
-    const data = await response.json();
-    const raw = (data.content && data.content[0] && data.content[0].text || '').trim();
-    let lead;
-    try { lead = JSON.parse(raw); }
-    catch(e) { const m = raw.match(/\{[\s\S]*\}/); lead = m ? JSON.parse(m[0]) : {}; }
-    res.json({ lead });
-  } catch(e) {
-    console.error('[scan-lead]', e);
-    res.status(500).json({ error: e.message || 'Scan failed' });
+    compulife.assertConfig();
+  } catch (e) {
+    log.hub.error("startup aborted", { error: e.message });
+    process.exit(1);
   }
-});
+
+  app.listen(PORT, () => {
+    log.hub.info("iAgentIQ API Hub v7.0 running", {
+      port: Number(PORT),
+      compulife: `${compulife.maskedAuthId()} → ${compulife.API_BASE}`,
+      anthropic: !!ANTHROPIC_API_KEY,
+      sms: TELNYX_API_KEY ? TELNYX_PHONE : false,
+      email: POSTMARK_API_KEY ? FROM_EMAIL : false,
+      drive: !!GOOGLE_REFRESH_TOKEN,
+      vision: !!GCP_VISION_API_KEY,
+      ghl: ghlConfigured(),
+      auth: AUTH_DISABLED ? "DISABLED (HUB_AUTH_DISABLED=true)" : authConfigured() ? "configured" : "NOT SET — every protected route will return 401",
+      cors: ALLOWED_ORIGINS,
+    });
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,61 @@
+// AI model policy checks and usage accounting
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  AI_MODELS: "model-a:2000,model-b:500",
+  AI_DEFAULT_MAX_TOKENS: "1024",
+  AI_USAGE_FILE: "",
+  LOG_LEVEL: "error",
+});
+const aiPolicy = require("../lib/ai-policy");
+
+const messages = [{ role: "user", content: "hi" }];
+const refused = (status, code) => (e) => e instanceof aiPolicy.AiPolicyError && e.status === status && e.code === code;
+
+test("fills in the default model, max_tokens, agency system prompt and caller metadata", () => {
+  const body = aiPolicy.applyPolicy({ messages, system: "Be brief.", metadata: { user_id: "spoofed" } }, { id: "key:agent" });
+
+  assert.equal(body.model, "model-a");
+  assert.equal(body.max_tokens, 1024);
+  assert.equal(body.system.length, 2);
+  assert.equal(body.system[1].text, "Be brief.");
+  assert.deepEqual(body.metadata, { user_id: "key:agent" });
+});
+
+test("caps the default max_tokens at the model's own cap", () => {
+  assert.equal(aiPolicy.applyPolicy({ model: "model-b", messages }, null).max_tokens, 500);
+});
+
+test("refuses models, token budgets and fields outside the policy", () => {
+  assert.throws(() => aiPolicy.applyPolicy({ model: "model-z", messages }), refused(403, "MODEL_NOT_ALLOWED"));
+  assert.throws(() => aiPolicy.applyPolicy({ model: "model-b", max_tokens: 501, messages }), refused(403, "MAX_TOKENS_EXCEEDED"));
+  assert.throws(() => aiPolicy.applyPolicy({ messages, stream: true }), refused(400, "UNSUPPORTED_FIELD"));
+  assert.throws(() => aiPolicy.applyPolicy({ messages, temperature: 2 }), refused(400, "INVALID_REQUEST"));
+  assert.throws(() => aiPolicy.applyPolicy({ messages: [] }), refused(400, "INVALID_REQUEST"));
+  assert.throws(() => aiPolicy.applyPolicy({ messages: [{ role: "system", content: "x" }] }), refused(400, "INVALID_REQUEST"));
+});
+
+test("accepts stream and hubTools only where the route allows them, and not together", () => {
+  const options = { allowStream: true, allowHubTools: true };
+  assert.equal(aiPolicy.applyPolicy({ messages, stream: true }, null, options).stream, true);
+  assert.equal(aiPolicy.applyPolicy({ messages, hubTools: true }, null, options).hubTools, true);
+  assert.throws(() => aiPolicy.applyPolicy({ messages, stream: true, hubTools: true }, null, options), refused(400, "INVALID_REQUEST"));
+});
+
+test("records input including cache tokens, and returns the total charged", () => {
+  const total = aiPolicy.recordUsage("key:usage", {
+    model: "model-a",
+    usage: { input_tokens: 100, cache_creation_input_tokens: 40, cache_read_input_tokens: 60, output_tokens: 25 },
+  });
+  aiPolicy.recordUsage("key:usage", { model: "model-b", usage: { input_tokens: 10, output_tokens: 5 } });
+
+  assert.equal(total, 225);
+  const { total: sum, byDay } = aiPolicy.getUsage("key:usage");
+  assert.equal(sum.requests, 2);
+  assert.equal(sum.inputTokens, 210);
+  assert.equal(sum.outputTokens, 30);
+  assert.deepEqual(Object.keys(byDay[0].models).sort(), ["model-a", "model-b"]);
+  assert.equal(aiPolicy.recordUsage("key:usage", { model: "model-a" }), 0);
+});
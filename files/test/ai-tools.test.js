@@ -0,0 +1,123 @@
+// Hub tool resolution and the runToolLoop round / per-turn limits, with a scripted model
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+const aiTools = require("../lib/ai-tools");
+const { AiPolicyError } = require("../lib/ai-policy");
+
+const request = { model: "claude-test", max_tokens: 100, messages: [{ role: "user", content: "hi" }] };
+
+function toolUse(...names) {
+  return {
+    ok: true,
+    status: 200,
+    data: {
+      stop_reason: "tool_use",
+      content: names.map((name, i) => ({ type: "tool_use", id: `t${i}`, name, input: {} })),
+      usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 2 },
+    },
+  };
+}
+
+const answer = { ok: true, status: 200, data: { stop_reason: "end_turn", content: [{ type: "text", text: "done" }], usage: { input_tokens: 1, output_tokens: 1 } } };
+
+// Replays the scripted responses in order and records each request body
+function scriptedModel(responses) {
+  const bodies = [];
+  return {
+    bodies,
+    callModel: async (body) => {
+      bodies.push(body);
+      return responses[Math.min(bodies.length - 1, responses.length - 1)];
+    },
+  };
+}
+
+test("resolveTools offers only the tools the caller's scopes allow", () => {
+  const names = aiTools.resolveTools(true, ["crm:read"]).map(t => t.name);
+  assert.deepEqual(names, ["search-contacts", "list-calendar-events"]);
+
+  assert.throws(() => aiTools.resolveTools(["quote-compare"], ["crm:read"]), (e) => e instanceof AiPolicyError && e.status === 403);
+  assert.throws(() => aiTools.resolveTools(["nope"], ["*"]), (e) => e instanceof AiPolicyError && e.status === 400);
+  assert.throws(() => aiTools.resolveTools(true, []), (e) => e instanceof AiPolicyError && e.status === 403);
+});
+
+test("runs declared tools and sums usage across model calls", async () => {
+  const tools = aiTools.resolveTools(["search-contacts"], ["crm:read"]);
+  const model = scriptedModel([toolUse("search-contacts"), answer]);
+  const result = await aiTools.runToolLoop({
+    request,
+    tools,
+    callModel: model.callModel,
+    handlers: new Map([["search-contacts", async () => ({ contacts: [] })]]),
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.rounds, 1);
+  assert.deepEqual(result.trace.map(t => [t.name, t.ok]), [["search-contacts", true]]);
+  assert.deepEqual(result.usage, { input_tokens: 11, cache_creation_input_tokens: 0, cache_read_input_tokens: 5, output_tokens: 3 });
+  assert.deepEqual(model.bodies[0].tools.map(t => t.name), ["search-contacts"]);
+  assert.equal(model.bodies[1].messages.at(-1).content[0].tool_use_id, "t0");
+});
+
+test("answers undeclared and prototype tool names as unknown tools", async () => {
+  const tools = aiTools.resolveTools(["search-contacts"], ["crm:read"]);
+  const model = scriptedModel([toolUse("quote-compare", "constructor"), answer]);
+  const result = await aiTools.runToolLoop({
+    request,
+    tools,
+    callModel: model.callModel,
+    handlers: new Map([["search-contacts", async () => ({})]]),
+  });
+
+  assert.deepEqual(result.trace.map(t => t.error), ["Unknown tool quote-compare", "Unknown tool constructor"]);
+  assert.ok(model.bodies[1].messages.at(-1).content.every(c => c.is_error));
+});
+
+test("answers tool calls past the per-turn cap with an error instead of running them", async () => {
+  const tools = aiTools.resolveTools(["search-contacts"], ["crm:read"]);
+  const names = Array(aiTools.MAX_CALLS_PER_ROUND + 2).fill("search-contacts");
+  let runs = 0;
+  const result = await aiTools.runToolLoop({
+    request,
+    tools,
+    callModel: scriptedModel([toolUse(...names), answer]).callModel,
+    handlers: new Map([["search-contacts", async () => ({ run: ++runs })]]),
+  });
+
+  assert.equal(runs, aiTools.MAX_CALLS_PER_ROUND);
+  assert.equal(result.trace.length, names.length);
+  assert.equal(result.trace.filter(t => !t.ok).length, 2);
+});
+
+test("forces a text answer once MAX_ROUNDS is reached", async () => {
+  const tools = aiTools.resolveTools(["search-contacts"], ["crm:read"]);
+  const model = scriptedModel([toolUse("search-contacts")]);
+  const result = await aiTools.runToolLoop({
+    request,
+    tools,
+    callModel: model.callModel,
+    handlers: new Map([["search-contacts", async () => ({})]]),
+  });
+
+  assert.equal(result.rounds, aiTools.MAX_ROUNDS);
+  assert.equal(model.bodies.length, aiTools.MAX_ROUNDS + 1);
+  assert.deepEqual(model.bodies.at(-1).tool_choice, { type: "none" });
+  assert.equal(model.bodies[0].tool_choice, undefined);
+});
+
+test("stops on a failed model call", async () => {
+  const failed = { ok: false, status: 529, data: { error: { type: "overloaded_error" } } };
+  const result = await aiTools.runToolLoop({
+    request,
+    tools: aiTools.resolveTools(true, ["*"]),
+    callModel: scriptedModel([failed]).callModel,
+    handlers: new Map(),
+  });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 529);
+  assert.equal(result.rounds, 0);
+});
@@ -0,0 +1,88 @@
+// requireScope with API keys and HS256 JWTs, driven with minimal req/res stand-ins
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+
+const SECRET = "test-secret";
+Object.assign(process.env, {
+  HUB_AUTH_DISABLED: "false",
+  HUB_API_KEYS: "quote-engine:qe-key:compulife:read,admin:admin-key:*",
+  HUB_JWT_SECRET: SECRET,
+  HUB_JWT_MAX_TTL_SECS: "3600",
+  LOG_LEVEL: "error",
+});
+const { requireScope } = require("../lib/auth");
+
+const b64 = (v) => Buffer.from(typeof v === "string" ? v : JSON.stringify(v)).toString("base64url");
+
+function jwt(claims, { header = { alg: "HS256", typ: "JWT" }, secret = SECRET } = {}) {
+  const input = `${b64(header)}.${b64(claims)}`;
+  return `${input}.${crypto.createHmac("sha256", secret).update(input).digest("base64url")}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Runs one request through requireScope(scope) → { principal } when let through, else { status, body }
+function authorize(scope, headers) {
+  const req = { method: "GET", path: "/test", ip: "127.0.0.1", get: (name) => headers[name.toLowerCase()] };
+  let result = null;
+  const res = {
+    set() {
+      return this;
+    },
+    status(code) {
+      result = { status: code };
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  requireScope(scope)(req, res, () => {
+    result = { principal: req.principal };
+  });
+  return result;
+}
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+test("accepts API keys by header or bearer and enforces their scopes", () => {
+  assert.equal(authorize("compulife:read", { "x-api-key": "qe-key" }).principal.id, "quote-engine");
+  assert.equal(authorize("sms:send", bearer("admin-key")).principal.id, "admin");
+
+  const forbidden = authorize("sms:send", { "x-api-key": "qe-key" });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.requiredScope, "sms:send");
+  assert.equal(authorize("sms:send", { "x-api-key": "nope" }).body.code, "INVALID_API_KEY");
+  assert.equal(authorize("sms:send", {}).body.code, "UNAUTHENTICATED");
+});
+
+test("accepts a signed JWT and takes scopes from scope or scopes", () => {
+  const spaced = authorize("crm:read", bearer(jwt({ sub: "agent-7", exp: now() + 600, scope: "crm:read sms:send" })));
+  assert.deepEqual(spaced.principal, { id: "agent-7", type: "jwt", scopes: ["crm:read", "sms:send"] });
+
+  const listed = authorize("crm:write", bearer(jwt({ sub: "agent-7", exp: now() + 600, scopes: ["crm:*"] })));
+  assert.equal(listed.principal.id, "agent-7");
+});
+
+test("rejects JWTs with a bad signature, no exp, no sub or an overlong lifetime", () => {
+  const reject = (token) => authorize("crm:read", bearer(token)).body.message;
+
+  assert.equal(reject(jwt({ sub: "a", exp: now() + 600, scope: "*" }, { secret: "other" })), "Token signature is invalid");
+  assert.equal(reject(jwt({ sub: "a", scope: "*" })), "Token has no exp claim");
+  assert.equal(reject(jwt({ exp: now() + 600, scope: "*" })), "Token has no sub claim");
+  assert.equal(reject(jwt({ sub: "", exp: now() + 600, scope: "*" })), "Token has no sub claim");
+  assert.equal(reject(jwt({ sub: "a", exp: now() + 7200, scope: "*" })), "Token lifetime exceeds 3600s");
+  assert.equal(authorize("crm:read", bearer(jwt({ sub: "a", exp: now() - 600, scope: "*" }))).body.code, "TOKEN_EXPIRED");
+  assert.equal(reject(jwt({ sub: "a", exp: now() + 600, scope: "*" }, { header: { alg: "none" } })), "Unsupported token algorithm: none");
+});
+
+test("rejects JWT parts that are valid JSON but not objects with 401", () => {
+  for (const token of [`${b64("null")}.${b64({ sub: "a" })}.x`, `${b64({ alg: "HS256" })}.${b64("null")}.x`, `${b64("[]")}.${b64("7")}.x`]) {
+    const result = authorize("crm:read", bearer(token));
+    assert.equal(result.status, 401);
+    assert.equal(result.body.message, "Malformed token");
+  }
+});
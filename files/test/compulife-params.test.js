@@ -0,0 +1,71 @@
+// Compulife quote field whitelist, coercion and validation
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCompulifeParams, validateCompulifeParams } = require("../lib/compulife-params");
+
+const quote = {
+  State: "ms",
+  Birthdate: "01/15/1980",
+  Sex: "m",
+  Smoker: false,
+  FaceAmount: "$250,000",
+  NewCategory: "5",
+};
+
+const fields = (errors) => errors.map(e => e.field);
+
+test("whitelists fields and drops null and undefined values", () => {
+  assert.deepEqual(buildCompulifeParams({ State: "MS", Sex: null, Smoker: undefined, Evil: "x" }), { State: "MS" });
+});
+
+test("coerces a valid quote into Compulife's string form", () => {
+  const { params, errors } = validateCompulifeParams(quote);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, {
+    State: "MS",
+    Sex: "M",
+    Smoker: "N",
+    FaceAmount: "250000",
+    NewCategory: "5",
+    BirthMonth: "1",
+    Birthday: "15",
+    BirthYear: "1980",
+  });
+});
+
+test("treats a null required field as missing rather than the string null", () => {
+  const { errors } = validateCompulifeParams({ ...quote, Sex: null, Health: null });
+
+  assert.deepEqual(errors, [{ field: "Sex", message: "is required" }]);
+});
+
+test("accepts Compulife's numeric state codes only within their range", () => {
+  assert.equal(validateCompulifeParams({ ...quote, State: "25" }).params.State, "25");
+  assert.equal(validateCompulifeParams({ ...quote, State: "07" }).params.State, "7");
+  for (const State of ["0", "57", "99", "ZZ"]) {
+    assert.deepEqual(fields(validateCompulifeParams({ ...quote, State }).errors), ["State"], State);
+  }
+});
+
+test("reports bad values, impossible dates and ages outside the quotable range", () => {
+  const { errors } = validateCompulifeParams({ ...quote, Sex: "X", FaceAmount: "500", Health: "Z" });
+  assert.deepEqual(fields(errors).sort(), ["FaceAmount", "Health", "Sex"]);
+
+  assert.deepEqual(fields(validateCompulifeParams({ ...quote, Birthdate: "02/30/1980" }).errors), ["Birthday"]);
+  assert.match(validateCompulifeParams({ ...quote, Birthdate: "01/01/1920" }).errors[0].message, /outside the quotable range/);
+  assert.deepEqual(fields(validateCompulifeParams({ ...quote, Birthdate: "01/15/1980", BirthYear: "1981" }).errors), ["BirthYear"]);
+});
+
+test("enforces health analyzer dependencies", () => {
+  const { errors } = validateCompulifeParams({ ...quote, DoCholesterol: true, CholesterolLevel: 210, DoSmokingTobacco: "Y" });
+
+  assert.deepEqual(fields(errors), ["HDLRatio", "DoSmokingTobacco"]);
+});
+
+test("requires the core quote fields unless told not to", () => {
+  assert.deepEqual(fields(validateCompulifeParams({}).errors), ["State", "Sex", "Smoker", "Birthdate", "FaceAmount", "NewCategory"]);
+  assert.deepEqual(validateCompulifeParams({ State: "TX" }, { requireQuoteFields: false }).errors, []);
+});
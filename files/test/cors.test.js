@@ -0,0 +1,79 @@
+// CORS origin patterns and the hub-wide policy with per-route overrides
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.LOG_LEVEL = "error";
+const { createCorsPolicy, createOriginMatcher } = require("../lib/cors");
+
+test("matches exact origins, subdomain wildcards and ports", () => {
+  const allows = createOriginMatcher(["https://quoteit.insure/", "https://*.iagentiq.com", "http://localhost:*"]);
+
+  assert.ok(allows("https://quoteit.insure"));
+  assert.ok(allows("https://QuoteIt.Insure"));
+  assert.ok(allows("https://app.iagentiq.com"));
+  assert.ok(allows("https://a.b.iagentiq.com"));
+  assert.ok(allows("http://localhost:5173"));
+
+  assert.ok(!allows("https://iagentiq.com"));
+  assert.ok(!allows("https://evil-iagentiq.com"));
+  assert.ok(!allows("https://app.iagentiq.com.evil.net"));
+  assert.ok(!allows("http://quoteit.insure"));
+  assert.ok(!allows("http://localhost.evil.net:80"));
+});
+
+let server, base;
+
+before(async () => {
+  const app = express();
+  app.use(createCorsPolicy({
+    origins: ["https://quoteit.insure"],
+    overrides: { "/public": { origins: ["*"], credentials: false } },
+  }));
+  app.get("*", (req, res) => res.json({ ok: true }));
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test("echoes an allowed origin with credentials", async () => {
+  const r = await fetch(`${base}/quotes`, { headers: { Origin: "https://quoteit.insure" } });
+
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("access-control-allow-origin"), "https://quoteit.insure");
+  assert.equal(r.headers.get("access-control-allow-credentials"), "true");
+});
+
+test("answers an unknown origin with 403 CORS_ORIGIN_DENIED", async () => {
+  const r = await fetch(`${base}/quotes`, { headers: { Origin: "https://evil.example" } });
+
+  assert.equal(r.status, 403);
+  assert.equal((await r.json()).code, "CORS_ORIGIN_DENIED");
+});
+
+test("lets requests without an Origin through", async () => {
+  assert.equal((await fetch(`${base}/quotes`)).status, 200);
+});
+
+test("applies a route override open to any origin without credentials", async () => {
+  const r = await fetch(`${base}/public`, { headers: { Origin: "https://evil.example" } });
+
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("access-control-allow-origin"), "*");
+  assert.equal(r.headers.get("access-control-allow-credentials"), null);
+});
+
+test("answers preflights for allowed origins", async () => {
+  const r = await fetch(`${base}/quotes`, {
+    method: "OPTIONS",
+    headers: { Origin: "https://quoteit.insure", "Access-Control-Request-Method": "POST", "Access-Control-Request-Headers": "x-api-key" },
+  });
+
+  assert.equal(r.status, 204);
+  assert.match(r.headers.get("access-control-allow-headers"), /X-API-Key/);
+});
@@ -0,0 +1,48 @@
+// Postmark webhook events → per-message status and the suppression list
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+delete process.env.EMAIL_SUPPRESSION_FILE;
+const tracking = require("../lib/email-tracking");
+
+test("moves status forward only and ignores Postmark retries", () => {
+  tracking.recordSent({ messageId: "m-1", to: "Ann <Ann@Example.com>", cc: "bo@example.com", subject: "Quote" });
+  const delivery = { RecordType: "Delivery", MessageID: "m-1", Recipient: "ann@example.com", DeliveredAt: "2026-01-01T00:00:00Z" };
+
+  tracking.applyEvent({ RecordType: "Open", MessageID: "m-1", Recipient: "ann@example.com", ReceivedAt: "2026-01-01T00:05:00Z" });
+  tracking.applyEvent(delivery);
+  tracking.applyEvent(delivery);
+
+  const msg = tracking.getMessage("m-1");
+  assert.deepEqual(msg.to, ["ann@example.com", "bo@example.com"]);
+  assert.equal(msg.status, "opened");
+  assert.equal(msg.opens, 1);
+  assert.deepEqual(msg.delivered, ["ann@example.com"]);
+  assert.equal(msg.events.length, 2);
+  assert.ok(msg.events.every(e => !("key" in e)));
+});
+
+test("suppresses hard bounces and complaints but not soft bounces", () => {
+  tracking.applyEvent({ RecordType: "Bounce", MessageID: "m-2", Email: "soft@example.com", Type: "SoftBounce", BouncedAt: "2026-01-01T00:00:00Z" });
+  const hard = tracking.applyEvent({ RecordType: "Bounce", MessageID: "m-2", Email: "Hard@Example.com", Type: "HardBounce", BouncedAt: "2026-01-01T00:00:00Z" });
+  tracking.applyEvent({ RecordType: "SpamComplaint", MessageID: "m-3", Email: "angry@example.com", BouncedAt: "2026-01-01T00:00:00Z" });
+
+  assert.deepEqual([hard.suppressed.email, hard.suppressed.source, hard.suppressed.reason], ["hard@example.com", "bounce", "HardBounce"]);
+  assert.equal(hard.message.status, "bounced");
+  assert.deepEqual(
+    tracking.suppressedAmong(["soft@example.com", "HARD@example.com", "Angry <angry@example.com>"]),
+    ["hard@example.com", "angry@example.com"],
+  );
+  assert.equal(tracking.getMessage("m-3").status, "complained");
+});
+
+test("lifts a suppression and ignores unknown record types", () => {
+  assert.equal(tracking.unsuppress("hard@example.com").source, "bounce");
+  assert.equal(tracking.unsuppress("hard@example.com"), null);
+  assert.deepEqual(tracking.suppressedAmong(["hard@example.com"]), []);
+
+  assert.equal(tracking.applyEvent({ RecordType: "SubscriptionChange", MessageID: "m-4" }), null);
+  assert.equal(tracking.applyEvent({ RecordType: "Delivery" }), null);
+});
@@ -0,0 +1,160 @@
+// GHL client against a local mock GHL server, driven through the hub's /ghl routes in-process
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+let mock, hub, hubUrl;
+let requests = [];
+let handler = () => ({ status: 200, body: {} });
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+before(async () => {
+  mock = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://mock");
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+    const { status, body, headers } = handler(url, req);
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  });
+  const mockUrl = await listen(mock);
+
+  Object.assign(process.env, {
+    GHL_API_BASE: mockUrl,
+    GHL_API_KEY: "test-token",
+    GHL_LOCATION_ID: "loc-1",
+    GHL_MAX_RETRY_DELAY_MS: "1000",
+    HUB_AUTH_DISABLED: "true",
+    UPSTREAM_RETRY_BASE_MS: "1",
+    LOG_LEVEL: "error",
+  });
+  const app = require("../server");
+  hub = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => hub.once("listening", resolve));
+  hubUrl = `http://127.0.0.1:${hub.address().port}`;
+});
+
+after(() => {
+  hub.close();
+  mock.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+async function get(path) {
+  const r = await fetch(`${hubUrl}${path}`);
+  return { status: r.status, body: await r.json() };
+}
+
+test("sends the bearer token, API version and location", async () => {
+  handler = () => ({ status: 200, body: { contact: { id: "c1" } } });
+  const { status, body } = await get("/ghl/contacts/c1");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { contact: { id: "c1" } });
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].path, "/contacts/c1");
+  assert.equal(requests[0].headers.authorization, "Bearer test-token");
+  assert.equal(requests[0].headers.version, "2021-07-28");
+  assert.equal(requests[0].headers.accept, "application/json");
+
+  await get("/ghl/contacts?limit=5");
+  assert.equal(requests[1].query.locationId, "loc-1");
+  assert.equal(requests[1].query.limit, "5");
+});
+
+test("passes through GHL client errors with the upstream message", async () => {
+  handler = () => ({ status: 404, body: { message: "Contact not found" } });
+  const { status, body } = await get("/ghl/contacts/missing");
+
+  assert.equal(status, 404);
+  assert.deepEqual(body, { error: true, message: "Contact not found", upstreamStatus: 404 });
+});
+
+test("joins GHL validation message arrays", async () => {
+  handler = () => ({ status: 422, body: { message: ["email must be an email", "phone is invalid"] } });
+  const { status, body } = await get("/ghl/contacts/c1");
+
+  assert.equal(status, 422);
+  assert.equal(body.message, "email must be an email; phone is invalid");
+});
+
+test("maps GHL server errors to 502", async () => {
+  handler = () => ({ status: 500, body: { message: "boom" } });
+  const { status, body } = await get("/ghl/contacts/c1");
+
+  assert.equal(status, 502);
+  assert.equal(body.upstreamStatus, 500);
+});
+
+test("follows nextPageUrl and startAfterId pagination with ?all=true", async () => {
+  handler = (url) => {
+    if (url.searchParams.get("page") === "2") {
+      return { status: 200, body: { contacts: [{ id: "c2" }], meta: { startAfterId: "c2", startAfter: 200 } } };
+    }
+    if (url.searchParams.get("startAfterId") === "c2") {
+      return { status: 200, body: { contacts: [{ id: "c3" }], meta: {} } };
+    }
+    return {
+      status: 200,
+      body: { contacts: [{ id: "c1" }], meta: { nextPageUrl: `${process.env.GHL_API_BASE}/contacts/?locationId=loc-1&page=2` } },
+    };
+  };
+  const { status, body } = await get("/ghl/contacts?all=true");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.contacts.map(c => c.id), ["c1", "c2", "c3"]);
+  assert.equal(body.total, 3);
+  assert.equal(requests.length, 3);
+  assert.equal(requests[2].query.startAfter, "200");
+});
+
+test("stops paginating at maxPages", async () => {
+  handler = (url) => ({
+    status: 200,
+    body: { contacts: [{ id: url.searchParams.get("startAfterId") || "c0" }], meta: { startAfterId: `c${requests.length}` } },
+  });
+  const { body } = await get("/ghl/contacts?all=true&maxPages=2");
+
+  assert.equal(body.total, 2);
+  assert.equal(requests.length, 2);
+});
+
+test("backs off on 429 and retries after Retry-After", async () => {
+  handler = () => (requests.length === 1
+    ? { status: 429, body: { message: "Too many requests" }, headers: { "Retry-After": "0" } }
+    : { status: 200, body: { contact: { id: "c1" } } });
+  const { status, body } = await get("/ghl/contacts/c1");
+
+  assert.equal(status, 200);
+  assert.equal(body.contact.id, "c1");
+  assert.equal(requests.length, 2);
+});
+
+test("returns the 429 when Retry-After exceeds GHL_MAX_RETRY_DELAY_MS", async () => {
+  handler = () => ({ status: 429, body: { message: "Too many requests" }, headers: { "Retry-After": "3600" } });
+  const started = Date.now();
+  const { status, body } = await get("/ghl/contacts/c1");
+
+  assert.equal(status, 429);
+  assert.equal(body.message, "Too many requests");
+  assert.equal(requests.length, 1);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("refuses a nextPageUrl on another host without sending the token there", async () => {
+  handler = () => ({
+    status: 200,
+    body: { contacts: [{ id: "c1" }], meta: { nextPageUrl: "https://attacker.example/contacts/?page=2" } },
+  });
+  const { status, body } = await get("/ghl/contacts?all=true");
+
+  assert.equal(status, 502);
+  assert.match(body.message, /outside 127\.0\.0\.1/);
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,68 @@
+// Health questionnaire → Compulife health analyzer fields and class estimate
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mapQuestionnaire } = require("../lib/health-profile");
+
+const now = new Date(2026, 5, 15);
+const map = (q) => mapQuestionnaire(q, { now });
+
+test("maps a clean profile to Preferred Plus with every section answered", () => {
+  const { params, estimate, unanswered, errors } = map({
+    tobacco: "never",
+    height: { feet: 5, inches: 10 },
+    weightLbs: 170,
+    bloodPressure: { systolic: 120, diastolic: 80 },
+    cholesterol: { total: 190, hdl: 50 },
+    driving: { violations: [] },
+    familyHistory: [],
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(unanswered, []);
+  assert.equal(estimate.health, "PP");
+  assert.equal(params.Health, "PP");
+  assert.deepEqual([params.Feet, params.Inches, params.Weight], ["5", "10", "170"]);
+  assert.equal(params.HDLRatio, "3.8");
+});
+
+test("counts tobacco recency and rates current smokers", () => {
+  const { params, estimate } = map({ tobacco: [{ type: "cigarettes", current: true, perDay: 10 }] });
+
+  assert.equal(params.DoCigarettes, "Y");
+  assert.equal(estimate.tobacco, true);
+});
+
+test("buckets moving violations by year and applies DUI rules", () => {
+  const { params, estimate } = map({ driving: { violations: ["2026-01", "2025-03", "2022-01"], dui: "2025-01" } });
+
+  assert.deepEqual([0, 1, 2, 3, 4].map(i => params[`MovingViolations${i}`]), ["1", "1", "0", "0", "1"]);
+  assert.equal(params.DwiConviction, "Y");
+  assert.equal(params.PeriodDwiConviction, "17");
+  assert.equal(estimate.health, "R");
+  assert.equal(estimate.ratedLikely, true);
+});
+
+test("reports a driving section that is not an object or whose violations are not an array", () => {
+  for (const driving of [{ violations: "2025-01" }, { violations: 3 }]) {
+    const { errors, estimate } = map({ driving });
+    assert.equal(estimate, null);
+    assert.deepEqual(errors, [{ field: "driving.violations", message: "must be an array of violation dates" }]);
+  }
+  assert.equal(map({ driving: "none" }).errors[0].field, "driving");
+  assert.equal(map({ driving: { violations: ["next year"] } }).errors[0].field, "driving.violations[0]");
+});
+
+test("reports family history that is not an array and ignores relatives that do not count", () => {
+  assert.equal(map({ familyHistory: { relation: "mother" } }).errors[0].field, "familyHistory");
+
+  const { estimate, notes } = map({
+    familyHistory: [
+      { relation: "father", condition: "heart disease", ageDiagnosed: 55, ageDied: 58 },
+      { relation: "uncle", condition: "heart disease", ageDiagnosed: 40 },
+    ],
+  });
+  assert.equal(estimate.health, "RP");
+  assert.ok(notes.some(n => n.includes("only parents and siblings count")));
+});
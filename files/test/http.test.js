@@ -0,0 +1,159 @@
+// upstreamFetch retries, timeouts and circuit breaker against a local mock provider
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+Object.assign(process.env, {
+  UPSTREAM_RETRIES: "2",
+  UPSTREAM_RETRY_BASE_MS: "1",
+  UPSTREAM_BREAKER_THRESHOLD: "3",
+  UPSTREAM_BREAKER_COOLDOWN_MS: "60000",
+  LOG_LEVEL: "error",
+});
+const { ERROR_CODES, UpstreamError, upstreamFetch, upstreamHealth } = require("../lib/http");
+
+let mock, base;
+let hits = 0;
+let handler = (req, res) => res.end("{}");
+
+before(async () => {
+  mock = http.createServer((req, res) => {
+    hits++;
+    handler(req, res);
+  });
+  await new Promise(resolve => mock.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${mock.address().port}`;
+});
+
+after(() => {
+  mock.closeAllConnections();
+  mock.close();
+});
+
+beforeEach(() => {
+  hits = 0;
+});
+
+test("retries an idempotent call on 5xx and returns the recovered response", async () => {
+  handler = (req, res) => {
+    res.writeHead(hits < 3 ? 503 : 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: hits >= 3 }));
+  };
+  const resp = await upstreamFetch("retry-get", `${base}/x`);
+
+  assert.equal(resp.status, 200);
+  assert.deepEqual(await resp.json(), { ok: true });
+  assert.equal(hits, 3);
+  assert.equal(upstreamHealth()["retry-get"].retries, 2);
+});
+
+test("does not retry a POST that reached the provider", async () => {
+  handler = (req, res) => {
+    res.writeHead(502);
+    res.end();
+  };
+  const resp = await upstreamFetch("no-retry-post", `${base}/x`, { method: "POST", body: "{}" });
+
+  assert.equal(resp.status, 502);
+  assert.equal(hits, 1);
+});
+
+test("retries a POST whose connection could not be opened", async () => {
+  const calls = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    calls.push(url);
+    if (calls.length === 1) throw Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNREFUSED" } });
+    return new Response("{}", { status: 200 });
+  };
+  try {
+    const resp = await upstreamFetch("not-sent-post", "https://provider.test/x", { method: "POST", body: "{}" });
+    assert.equal(resp.status, 200);
+    assert.equal(calls.length, 2);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
+
+test("times out waiting for headers with UPSTREAM_TIMEOUT 504", async () => {
+  handler = () => {};
+  await assert.rejects(
+    upstreamFetch("slow-headers", `${base}/x`, {}, { timeoutMs: 50, idempotent: false }),
+    (e) => e instanceof UpstreamError && e.code === ERROR_CODES.TIMEOUT && e.status === 504,
+  );
+});
+
+test("times out a body that outlasts the call's timeout with UPSTREAM_TIMEOUT", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write("{\"partial\":");
+  };
+  const resp = await upstreamFetch("slow-body", `${base}/x`, {}, { timeoutMs: 100, idempotent: false });
+
+  assert.equal(resp.status, 200);
+  await assert.rejects(resp.json(), (e) => e instanceof UpstreamError && e.code === ERROR_CODES.TIMEOUT && e.status === 504);
+});
+
+test("lets a stream run past its timeout while chunks keep arriving", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    let n = 0;
+    const tick = setInterval(() => {
+      res.write(`data: ${n}\n\n`);
+      if (++n === 6) {
+        clearInterval(tick);
+        res.end();
+      }
+    }, 30);
+  };
+  const resp = await upstreamFetch("stream-flowing", `${base}/x`, { method: "POST" }, { timeoutMs: 100, stream: true });
+  const text = await resp.text();
+
+  assert.equal(text.match(/data:/g).length, 6);
+});
+
+test("times out a stream that stalls between chunks", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write("data: 1\n\n");
+  };
+  const resp = await upstreamFetch("stream-stalled", `${base}/x`, { method: "POST" }, { timeoutMs: 100, stream: true });
+  const reader = resp.body.getReader();
+  await reader.read();
+
+  await assert.rejects(reader.read(), (e) => e instanceof UpstreamError && e.code === ERROR_CODES.TIMEOUT);
+});
+
+test("aborts a stream's body when the caller's signal fires after headers", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write("data: 1\n\n");
+  };
+  const caller = new AbortController();
+  const resp = await upstreamFetch("stream-abort", `${base}/x`, { method: "POST", signal: caller.signal }, { timeoutMs: 5000, stream: true });
+  const reader = resp.body.getReader();
+  await reader.read();
+  setTimeout(() => caller.abort(), 20);
+
+  await assert.rejects(reader.read(), (e) => e.name === "AbortError");
+});
+
+test("opens the circuit after repeated failures and short-circuits further calls", async () => {
+  handler = (req, res) => {
+    res.writeHead(500);
+    res.end();
+  };
+  for (let i = 0; i < 3; i++) {
+    await upstreamFetch("breaker", `${base}/x`, { method: "POST" });
+  }
+  const before = hits;
+
+  await assert.rejects(
+    upstreamFetch("breaker", `${base}/x`),
+    (e) => e.code === ERROR_CODES.CIRCUIT_OPEN && e.status === 503 && e.details.retryAfterMs > 0,
+  );
+  assert.equal(hits, before);
+  assert.equal(upstreamHealth().breaker.state, "open");
+  assert.equal(upstreamHealth().breaker.shortCircuited, 1);
+});
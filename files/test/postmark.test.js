@@ -0,0 +1,106 @@
+// Postmark batch sending with global.fetch mocked, and webhook basic auth
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, {
+  POSTMARK_API_KEY: "server-token",
+  POSTMARK_WEBHOOK_USER: "hooks",
+  POSTMARK_WEBHOOK_PASSWORD: "s3cret:with-colon",
+  UPSTREAM_RETRY_BASE_MS: "1",
+  LOG_LEVEL: "error",
+});
+const postmark = require("../lib/postmark");
+
+const realFetch = global.fetch;
+let calls = [];
+
+function mockPostmark(respond) {
+  calls = [];
+  global.fetch = async (url, init) => {
+    const call = { path: new URL(url).pathname, body: JSON.parse(init.body), headers: init.headers };
+    calls.push(call);
+    return respond(call);
+  };
+}
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+function entry(input) {
+  const { message, template, errors } = postmark.buildMessage(input);
+  assert.equal(errors, null);
+  return { message, template };
+}
+
+const accepted = (messages) => new Response(JSON.stringify(messages.map((m, i) => ({
+  ErrorCode: 0, Message: "OK", MessageID: `id-${i}`, To: m.To, SubmittedAt: "2026-01-01T00:00:00Z",
+}))));
+
+test("sends plain and templated messages to their batch endpoints and keeps input order", async () => {
+  mockPostmark(({ path, body }) => accepted(path === "/email/batchWithTemplates" ? body.Messages : body));
+  const results = await postmark.sendBatch([
+    entry({ to: "a@example.com", subject: "Hi", text: "a" }),
+    entry({ to: "b@example.com", postmarkTemplateAlias: "welcome" }),
+    entry({ to: "c@example.com", subject: "Hi", text: "c" }),
+  ]);
+
+  assert.deepEqual(calls.map(c => c.path), ["/email/batch", "/email/batchWithTemplates"]);
+  assert.equal(calls[0].headers["X-Postmark-Server-Token"], "server-token");
+  assert.deepEqual(results.map(r => [r.ok, r.to]), [[true, "a@example.com"], [true, "b@example.com"], [true, "c@example.com"]]);
+});
+
+test("reports per-message Postmark errors", async () => {
+  mockPostmark(() => new Response(JSON.stringify([
+    { ErrorCode: 0, MessageID: "id-0", To: "a@example.com" },
+    { ErrorCode: 406, Message: "Inactive recipient", To: "b@example.com" },
+  ])));
+  const results = await postmark.sendBatch([
+    entry({ to: "a@example.com", subject: "Hi", text: "a" }),
+    entry({ to: "b@example.com", subject: "Hi", text: "b" }),
+  ]);
+
+  assert.equal(results[0].ok, true);
+  assert.deepEqual([results[1].ok, results[1].errorCode, results[1].error], [false, 406, "Inactive recipient"]);
+});
+
+test("fails only the group whose call could not be made", async () => {
+  mockPostmark(({ path, body }) => {
+    if (path === "/email/batchWithTemplates") {
+      throw Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNRESET" } });
+    }
+    return accepted(body);
+  });
+  const results = await postmark.sendBatch([
+    entry({ to: "a@example.com", subject: "Hi", text: "a" }),
+    entry({ to: "b@example.com", postmarkTemplateAlias: "welcome" }),
+  ]);
+
+  assert.equal(results[0].ok, true);
+  assert.equal(results[0].messageId, "id-0");
+  assert.equal(results[1].ok, false);
+  assert.equal(results[1].status, 502);
+  assert.match(results[1].error, /postmark request failed/);
+});
+
+test("fails every message of a rejected batch call", async () => {
+  mockPostmark(() => new Response(JSON.stringify({ ErrorCode: 10, Message: "Bad or missing API token" }), { status: 401 }));
+  const results = await postmark.sendBatch([
+    entry({ to: "a@example.com", subject: "Hi", text: "a" }),
+    entry({ to: "b@example.com", subject: "Hi", text: "b" }),
+  ]);
+
+  assert.ok(results.every(r => !r.ok && r.status === 401 && r.errorCode === 10));
+});
+
+test("checks webhook basic auth against the configured user and password", () => {
+  const basic = (credentials) => `Basic ${Buffer.from(credentials).toString("base64")}`;
+
+  assert.equal(postmark.verifyWebhookAuth(basic("hooks:s3cret:with-colon")), null);
+  assert.equal(postmark.verifyWebhookAuth(basic("hooks:s3cret")), "Invalid basic auth credentials");
+  assert.equal(postmark.verifyWebhookAuth(basic("other:s3cret:with-colon")), "Invalid basic auth credentials");
+  assert.equal(postmark.verifyWebhookAuth(basic("hooks")), "Invalid basic auth credentials");
+  assert.equal(postmark.verifyWebhookAuth("Bearer abc"), "Missing basic auth credentials");
+  assert.equal(postmark.verifyWebhookAuth(undefined), "Missing basic auth credentials");
+});
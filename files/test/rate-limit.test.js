@@ -0,0 +1,107 @@
+// Token buckets, the rateLimit / usageQuota middleware and idle bucket eviction
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+const { MemoryStore, setStore, parseLimit, rateLimit, usageQuota } = require("../lib/rate-limit");
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+// Runs middleware once → { next: true, req } when it passes, else { status, body, headers }
+async function run(middleware, { id = "agent", body = {}, path = "/test" } = {}) {
+  const req = { principal: { id, type: "api_key" }, ip: "127.0.0.1", body, path };
+  const out = { headers: {} };
+  const res = {
+    set(name, value) {
+      out.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(payload) {
+      out.body = payload;
+      return this;
+    },
+  };
+  await middleware(req, res, (err) => {
+    if (err) throw err;
+    out.next = true;
+  });
+  out.req = req;
+  return out;
+}
+
+test("parseLimit reads count/window specs", () => {
+  assert.deepEqual(parseLimit("60/min"), { capacity: 60, windowMs: 60000, refillPerMs: 0.001 });
+  assert.equal(parseLimit("500 / day").windowMs, 86400000);
+  assert.throws(() => parseLimit("60 per minute"), /Invalid rate limit/);
+  assert.throws(() => parseLimit("60/fortnight"), /Invalid rate limit/);
+});
+
+test("limits each caller separately and answers 429 with Retry-After", async () => {
+  const limiter = rateLimit("test", "2/min");
+
+  assert.ok((await run(limiter)).next);
+  const second = await run(limiter);
+  assert.ok(second.next);
+  assert.equal(second.headers["RateLimit-Remaining"], "0");
+
+  const third = await run(limiter);
+  assert.equal(third.status, 429);
+  assert.equal(third.body.code, "RATE_LIMITED");
+  assert.ok(Number(third.headers["Retry-After"]) >= 1);
+
+  assert.ok((await run(limiter, { id: "other-agent" })).next);
+});
+
+test("charges a request's cost and refuses one larger than the whole limit", async () => {
+  const limiter = rateLimit("bulk", "10/day", { cost: (req) => req.body.recipients.length });
+
+  assert.ok((await run(limiter, { body: { recipients: Array(4).fill("x") } })).next);
+  assert.equal((await run(limiter, { body: { recipients: Array(7).fill("x") } })).body.code, "RATE_LIMITED");
+  assert.equal((await run(limiter, { body: { recipients: Array(11).fill("x") } })).body.code, "QUOTA_EXCEEDED");
+});
+
+test("limiter.take spends from the route's bucket", async () => {
+  const limiter = rateLimit("tools", "2/min");
+  const req = { principal: { id: "agent", type: "api_key" } };
+
+  assert.equal((await limiter.take(req)).allowed, true);
+  assert.equal((await run(limiter)).next, true);
+  const spent = await limiter.take(req);
+  assert.equal(spent.allowed, false);
+  assert.ok(spent.retryMs > 0);
+});
+
+test("usageQuota lets callers through until a charge empties it", async () => {
+  const quota = usageQuota("tokens", "1000/day");
+
+  const first = await run(quota);
+  assert.ok(first.next);
+  await first.req.chargeQuota(1500);
+
+  const refused = await run(quota);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.limit, "tokens");
+});
+
+test("sweep drops buckets once they have refilled and keeps the rest", () => {
+  const store = new MemoryStore();
+  const policy = parseLimit("60/min");
+  store.take("spent", 30, policy);
+  store.peek("untouched", policy);
+  const now = Date.now();
+
+  store.sweep(now);
+  assert.deepEqual(Array.from(store.buckets.keys()), ["spent"]);
+
+  store.sweep(now + 29000);
+  assert.ok(store.buckets.has("spent"));
+  store.sweep(now + 31000);
+  assert.equal(store.buckets.size, 0);
+});
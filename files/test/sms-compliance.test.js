@@ -0,0 +1,51 @@
+// STOP/START/HELP keywords, the suppression list and recipient quiet hours
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, { SMS_QUIET_HOURS: "21:00-08:00", LOG_LEVEL: "error" });
+delete process.env.SMS_SUPPRESSION_FILE;
+const compliance = require("../lib/sms-compliance");
+
+test("honors stop words however they are phrased", () => {
+  for (const text of ["STOP", "Stop all.", "stop texting me", "Cancel please", "please STOP", "I want to opt out", "unsubscribe me"]) {
+    assert.equal(compliance.classifyKeyword(text), "stop", text);
+  }
+  assert.equal(compliance.classifyKeyword("Help, stop"), "stop");
+  assert.equal(compliance.classifyKeyword("I can't wait for this to end"), null);
+  assert.equal(compliance.classifyKeyword("stopwatch"), null);
+});
+
+test("needs START and HELP to be the whole message", () => {
+  assert.equal(compliance.classifyKeyword(" Start! "), "start");
+  assert.equal(compliance.classifyKeyword("info"), "help");
+  assert.equal(compliance.classifyKeyword("can you help me with a quote"), null);
+  assert.equal(compliance.classifyKeyword(""), null);
+});
+
+test("suppresses on STOP, replies to HELP and lets START lift only keyword suppressions", () => {
+  const texted = "+16015550101";
+  assert.equal(compliance.handleInbound({ from: texted, text: "stop" }).action, "stop");
+  assert.match(compliance.checkRecipient(texted).error, /opted out \(STOP\)/);
+  assert.match(compliance.handleInbound({ from: texted, text: "HELP" }).reply, /Reply STOP/);
+  compliance.handleInbound({ from: texted, text: "start" });
+  assert.equal(compliance.isSuppressed(texted), false);
+
+  const manual = "+16015550102";
+  compliance.suppress(manual, { reason: "asked by phone" });
+  compliance.handleInbound({ from: manual, text: "START" });
+  assert.equal(compliance.checkRecipient(manual).error, "Recipient is on the suppression list");
+});
+
+test("holds texts during the recipient's local quiet hours", () => {
+  const night = compliance.quietHoursFor("+16015550103", new Date("2026-10-19T03:30:00Z"));
+  assert.deepEqual(night, {
+    timeZone: "America/Chicago",
+    localTime: "22:30",
+    window: "21:00-08:00",
+    resumeAt: "2026-10-19T13:00:00.000Z",
+  });
+
+  assert.equal(compliance.quietHoursFor("+16015550103", new Date("2026-10-19T18:00:00Z")), null);
+  assert.equal(compliance.quietHoursFor("+15555550103", new Date("2026-10-19T03:30:00Z")), null);
+});
@@ -0,0 +1,31 @@
+// SMS segment counting for GSM-7 and UCS-2 texts
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { countSegments } = require("../lib/sms-segments");
+
+test("fits 160 GSM-7 characters in one segment and splits at 153 after that", () => {
+  assert.deepEqual(countSegments("a".repeat(160)), { encoding: "GSM-7", characters: 160, segments: 1, perSegment: 160, remaining: 0 });
+  const two = countSegments("a".repeat(161));
+  assert.equal(two.segments, 2);
+  assert.equal(two.remaining, 306 - 161);
+});
+
+test("counts GSM-7 extension characters twice", () => {
+  const r = countSegments("{price} €5");
+  assert.equal(r.encoding, "GSM-7");
+  assert.equal(r.characters, 13);
+});
+
+test("switches to UCS-2 for other characters and names them", () => {
+  const r = countSegments("It’s ready 👍");
+  assert.equal(r.encoding, "UCS-2");
+  assert.equal(r.characters, 13);
+  assert.deepEqual(r.nonGsmCharacters, ["’", "👍"]);
+  assert.equal(countSegments("é".repeat(10) + "’".repeat(61)).segments, 2);
+});
+
+test("an empty text has no segments", () => {
+  assert.deepEqual(countSegments(""), { encoding: "GSM-7", characters: 0, segments: 0, perSegment: 160, remaining: 160 });
+});
@@ -0,0 +1,43 @@
+// Telnyx webhook signature verification against a locally generated ed25519 key
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const rawKey = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+
+Object.assign(process.env, {
+  TELNYX_PUBLIC_KEY: rawKey.toString("base64"),
+  TELNYX_WEBHOOK_TOLERANCE_SECS: "300",
+  LOG_LEVEL: "error",
+});
+const telnyx = require("../lib/telnyx");
+
+const body = Buffer.from(JSON.stringify({ data: { event_type: "message.received" } }));
+const now = () => String(Math.floor(Date.now() / 1000));
+const sign = (timestamp, raw = body) =>
+  crypto.sign(null, Buffer.concat([Buffer.from(`${timestamp}|`), raw]), privateKey).toString("base64");
+
+test("accepts a body signed with the account key", () => {
+  const ts = now();
+
+  assert.equal(telnyx.webhookConfigured(), true);
+  assert.equal(telnyx.verifyWebhook(body, sign(ts), ts), null);
+});
+
+test("rejects a tampered body or a signature for another timestamp", () => {
+  const ts = now();
+
+  assert.equal(telnyx.verifyWebhook(Buffer.from("{}"), sign(ts), ts), "Signature is invalid");
+  assert.equal(telnyx.verifyWebhook(body, sign(String(+ts - 1)), ts), "Signature is invalid");
+});
+
+test("rejects stale timestamps and missing headers", () => {
+  const stale = String(Math.floor(Date.now() / 1000) - 301);
+
+  assert.equal(telnyx.verifyWebhook(body, sign(stale), stale), "Timestamp outside tolerance");
+  assert.equal(telnyx.verifyWebhook(body, sign("soon"), "soon"), "Timestamp outside tolerance");
+  assert.equal(telnyx.verifyWebhook(body, "", now()), "Missing signature headers");
+  assert.equal(telnyx.verifyWebhook(body, sign(now()), undefined), "Missing signature headers");
+});
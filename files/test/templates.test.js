@@ -0,0 +1,78 @@
+// Merge-field rendering, quote snippets and the template store
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+Object.assign(process.env, { TEMPLATES_FILE: "", LOG_LEVEL: "error" });
+const templates = require("../lib/templates");
+
+test("renders merge fields, fallbacks and lists missing fields", () => {
+  assert.deepEqual(templates.render("Hi {firstName|there}, your agent is {agent}.", { agent: "Sam" }),
+    { text: "Hi there, your agent is Sam.", missing: [] });
+  assert.deepEqual(templates.render("Hi {firstName}, call {phone}", { firstName: "Jo", phone: "" }),
+    { text: "Hi Jo, call ", missing: ["phone"] });
+});
+
+test("renders only the caller's own variables, never Object.prototype members", () => {
+  const { text, missing } = templates.render("{constructor}{toString|x}{hasOwnProperty}", {});
+  assert.equal(text, "x");
+  assert.deepEqual(missing, ["constructor", "hasOwnProperty"]);
+});
+
+test("escapes values and fallbacks in html", () => {
+  assert.equal(templates.render("<p>{name|<none>}</p>", {}, { html: true }).text, "<p>&lt;none&gt;</p>");
+  assert.equal(templates.render("{name}", { name: "A & \"B\"" }, { html: true }).text, "A &amp; &quot;B&quot;");
+});
+
+test("mergeVariables derives quote fields and a full name; caller values win", () => {
+  const quote = {
+    quotes: [
+      { carrier: { name: "Beta Life" }, product: { name: "Term 20" }, premiums: { monthly: 42.5, annual: 480 }, term: { years: 20 } },
+      { carrier: { name: "Alpha Life" }, product: { name: "Level 20" }, premiums: { monthly: 30, annual: 340 }, term: { years: 20 } },
+    ],
+  };
+  const vars = templates.mergeVariables({ quote, firstName: "Jo", lastName: "Doe" }, { productName: "Custom" });
+
+  assert.equal(vars.topCarrier, "Alpha Life");
+  assert.equal(vars.monthlyPremium, "$30.00");
+  assert.equal(vars.productName, "Custom");
+  assert.equal(vars.name, "Jo Doe");
+  assert.equal(vars.quoteSummary, "1. Alpha Life $30.00/mo\n2. Beta Life $42.50/mo");
+});
+
+test("creates, renders, updates and deletes stored templates", () => {
+  const created = templates.createTemplate({ id: "welcome-sms", name: "Welcome", channel: "sms", body: "Hi {firstName}" }, { by: "admin" });
+  assert.deepEqual(created.fields, ["firstName"]);
+  assert.equal(templates.renderSms("welcome-sms", { firstName: "Jo" }).text, "Hi Jo");
+
+  templates.updateTemplate("welcome-sms", { body: "Hello {firstName|friend}" });
+  assert.equal(templates.renderSms("welcome-sms", {}).text, "Hello friend");
+
+  assert.throws(() => templates.createTemplate({ id: "welcome-sms", name: "Dup", channel: "sms", body: "x" }), { status: 409 });
+  assert.throws(() => templates.renderEmail("welcome-sms", {}), { status: 400 });
+  assert.throws(() => templates.createTemplate({ name: "No body", channel: "sms" }), { status: 400 });
+
+  templates.deleteTemplate("welcome-sms");
+  assert.throws(() => templates.getTemplate("welcome-sms"), { status: 404 });
+});
+
+test("sendTemplateError keeps TemplateError statuses and answers anything else with 500", () => {
+  const sent = [];
+  const res = {
+    status(code) {
+      sent.push(code);
+      return this;
+    },
+    json(body) {
+      sent.push(body);
+      return this;
+    },
+  };
+  templates.sendTemplateError(res, new templates.TemplateError(400, "Invalid template", { fields: { name: "is required" } }));
+  templates.sendTemplateError(res, new TypeError("boom"));
+
+  assert.deepEqual(sent, [
+    400, { error: true, message: "Invalid template", fields: { name: "is required" } },
+    500, { error: true, message: "boom" },
+  ]);
+});